@@ -84,10 +84,10 @@
 
   // Voucher login flow
   loginBtn.addEventListener('click', async () => {
-    const code = (voucherCodeEl.value || '').trim().replace(/\D/g, '');
+    const code = (voucherCodeEl.value || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
 
     if(!code || code.length < 5){
-      showVoucherMsg('Please enter a valid 5-digit voucher code', false);
+      showVoucherMsg('Please enter a valid voucher code', false);
       return;
     }
 
@@ -133,9 +133,9 @@
     }
   });
 
-  // Allow only numeric input for voucher code
+  // Voucher codes are letters and digits; keep input uppercase
   voucherCodeEl.addEventListener('input', () => {
-    voucherCodeEl.value = voucherCodeEl.value.replace(/\D/g, '');
+    voucherCodeEl.value = voucherCodeEl.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
   });
 
   // Submit on Enter key for voucher
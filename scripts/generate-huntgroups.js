@@ -0,0 +1,35 @@
+/**
+ * Generate the FreeRADIUS huntgroups file from the devices table
+ *
+ * Each registered MikroTik/Ubiquiti/Cisco NAS is put in its vendor's
+ * huntgroup, so logins through it match the plan's vendor group
+ * (plan_<id>_<vendor>) and get that vendor's reply attributes.
+ *
+ * Usage:
+ *   npm run radius:huntgroups                                  # print
+ *   npm run radius:huntgroups -- /etc/freeradius/3.0/mods-config/preprocess/huntgroups
+ */
+
+const fs = require("fs");
+const portalDB = require("../src/config/db.portal");
+const nasVendor = require("../src/services/nas-vendor.service");
+
+async function main() {
+  const target = process.argv[2];
+  const huntgroups = await nasVendor.buildHuntgroups();
+
+  if (!target) {
+    process.stdout.write(huntgroups);
+    return;
+  }
+
+  fs.writeFileSync(target, huntgroups);
+  console.log(`Wrote ${target}; reload FreeRADIUS to apply`);
+}
+
+main()
+  .catch((e) => {
+    console.error("Generating huntgroups failed:", e);
+    process.exitCode = 1;
+  })
+  .finally(() => portalDB.end());
@@ -0,0 +1,41 @@
+/**
+ * Migrate existing voucher users to FreeRADIUS plan groups
+ *
+ * Syncs every plan to its radgroupreply/radgroupcheck group, adds each
+ * voucher/order user to their plan's group and removes their per-user
+ * copies of plan attributes. Password and Expiration rows are kept.
+ *
+ * Usage:
+ *   npm run migrate:radius-groups              # apply
+ *   npm run migrate:radius-groups -- --dry-run # report only
+ */
+
+const portalDB = require("../src/config/db.portal");
+const radiusDB = require("../src/config/db.radius");
+const planService = require("../src/services/plan.service");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const result = await planService.migrateUsersToGroups({ dryRun });
+
+  for (const plan of result.plans) {
+    console.log(`${plan.code.padEnd(20)} ${plan.groupname.padEnd(12)} ${plan.users} user(s)`);
+  }
+
+  console.log(
+    dryRun
+      ? `Dry run: ${result.totalUsers} user(s) would be migrated`
+      : `Migrated ${result.totalUsers} user(s) to plan groups`
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error("Migration failed:", e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await portalDB.end();
+    await radiusDB.end();
+  });
@@ -0,0 +1,102 @@
+/**
+ * Local mock of the MTN MoMo Collections API, for trying the MTN MoMo
+ * provider without MTN credentials
+ *
+ * Implements the token, RequestToPay and RequestToPay status endpoints.
+ * A request becomes SUCCESSFUL after MOCK_MOMO_DELAY seconds, or FAILED
+ * when the payer's number ends in 0, and the callback URL (if given) is
+ * then called with the result like MTN does.
+ *
+ * Usage:
+ *   npm run mock:momo                 # listens on :4010 (MOCK_MOMO_PORT)
+ *
+ * Then set the MTN MoMo provider's API Base URL to http://localhost:4010
+ * (or MOMO_BASE_URL) with any subscription key, API user and API key.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+const axios = require("axios");
+
+const PORT = parseInt(process.env.MOCK_MOMO_PORT || "4010", 10);
+const DELAY_SECONDS = parseInt(process.env.MOCK_MOMO_DELAY || "5", 10);
+
+// X-Reference-Id => request
+const requests = new Map();
+const tokens = new Set();
+
+const app = express();
+app.use(express.json());
+
+function requireToken(req, res, next) {
+  const token = String(req.headers.authorization || "").replace(/^Bearer /, "");
+  if (!tokens.has(token)) {
+    return res.status(401).json({ code: "UNAUTHORIZED", message: "Invalid access token" });
+  }
+  next();
+}
+
+app.post("/collection/token/", (req, res) => {
+  if (!req.headers["ocp-apim-subscription-key"] || !/^Basic /.test(req.headers.authorization || "")) {
+    return res.status(401).json({ error: "login_failed" });
+  }
+  const token = crypto.randomBytes(24).toString("hex");
+  tokens.add(token);
+  res.json({ access_token: token, token_type: "access_token", expires_in: 3600 });
+});
+
+app.post("/collection/v1_0/requesttopay", requireToken, (req, res) => {
+  const referenceId = req.headers["x-reference-id"];
+  const { amount, currency, externalId, payer } = req.body || {};
+  if (!referenceId || !amount || !currency || !payer || !payer.partyId) {
+    return res.status(400).json({ code: "INVALID_REQUEST", message: "Missing reference id, amount, currency or payer" });
+  }
+  if (requests.has(referenceId)) {
+    return res.status(409).json({ code: "RESOURCE_ALREADY_EXIST", message: "Duplicated reference id" });
+  }
+
+  const request = {
+    amount: String(amount),
+    currency,
+    externalId,
+    payer,
+    payerMessage: req.body.payerMessage,
+    payeeNote: req.body.payeeNote,
+    status: "PENDING"
+  };
+  requests.set(referenceId, request);
+  console.log(`RequestToPay ${referenceId}: ${amount} ${currency} from ${payer.partyId} (${externalId})`);
+
+  setTimeout(async () => {
+    if (String(payer.partyId).endsWith("0")) {
+      request.status = "FAILED";
+      request.reason = "APPROVAL_REJECTED";
+    } else {
+      request.status = "SUCCESSFUL";
+      request.financialTransactionId = String(crypto.randomInt(100000000, 999999999));
+    }
+    console.log(`RequestToPay ${referenceId}: ${request.status}`);
+
+    const callbackUrl = req.headers["x-callback-url"];
+    if (!callbackUrl) return;
+    try {
+      await axios.put(callbackUrl, request, { timeout: 10000 });
+    } catch (e) {
+      console.error(`Callback to ${callbackUrl} failed:`, e.message);
+    }
+  }, DELAY_SECONDS * 1000);
+
+  res.status(202).end();
+});
+
+app.get("/collection/v1_0/requesttopay/:referenceId", requireToken, (req, res) => {
+  const request = requests.get(req.params.referenceId);
+  if (!request) {
+    return res.status(404).json({ code: "RESOURCE_NOT_FOUND", message: "Requested resource was not found" });
+  }
+  res.json(request);
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock MTN MoMo API listening on :${PORT}`);
+});
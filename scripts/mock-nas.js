@@ -0,0 +1,146 @@
+/**
+ * Local mock of a NAS answering RADIUS Dynamic Authorization (RFC 5176),
+ * for trying disconnects and live plan changes without a router
+ *
+ * Answers Disconnect-Request with Disconnect-ACK and CoA-Request with
+ * CoA-ACK. A request whose User-Name ends in 0 is answered with a NAK and
+ * Error-Cause 503 (Session Context Not Found), like a NAS that no longer
+ * has the session. Requests signed with another secret are dropped, as a
+ * real NAS does, so the portal sees a timeout.
+ *
+ * Usage:
+ *   npm run mock:nas                  # listens on udp :3799 (MOCK_NAS_PORT)
+ *
+ * Then set RADIUS_COA_HOST=127.0.0.1 (and RADIUS_COA_PORT if MOCK_NAS_PORT
+ * was changed) so requests go here instead of the session's NAS, and give
+ * the NAS of the test sessions (devices.secret or nas.secret) the secret
+ * testing123 (MOCK_NAS_SECRET).
+ */
+
+const dgram = require("dgram");
+const crypto = require("crypto");
+
+const PORT = parseInt(process.env.MOCK_NAS_PORT || "3799", 10);
+const SECRET = process.env.MOCK_NAS_SECRET || "testing123";
+
+const DISCONNECT_REQUEST = 40;
+const COA_REQUEST = 43;
+
+// Request code => [ACK, NAK]
+const ANSWERS = {
+  [DISCONNECT_REQUEST]: [41, 42],
+  [COA_REQUEST]: [44, 45]
+};
+
+const CODE_NAMES = {
+  40: "Disconnect-Request",
+  41: "Disconnect-ACK",
+  42: "Disconnect-NAK",
+  43: "CoA-Request",
+  44: "CoA-ACK",
+  45: "CoA-NAK"
+};
+
+const ATTR_USER_NAME = 1;
+const ATTR_ACCT_SESSION_ID = 44;
+const ATTR_ERROR_CAUSE = 101;
+
+const SESSION_CONTEXT_NOT_FOUND = 503;
+
+/**
+ * Whether a request's authenticator was made with our secret
+ */
+function verifyRequest(packet, length) {
+  const copy = Buffer.from(packet.subarray(0, length));
+  copy.fill(0, 4, 20);
+
+  const expected = crypto.createHash("md5").update(copy).update(SECRET).digest();
+  return crypto.timingSafeEqual(expected, packet.subarray(4, 20));
+}
+
+/**
+ * Attributes of a request as [type, value] pairs (vendor attributes as
+ * 26 with the raw data)
+ */
+function readAttributes(packet, length) {
+  const attributes = [];
+  let offset = 20;
+
+  while (offset + 2 <= length) {
+    const type = packet.readUInt8(offset);
+    const attrLength = packet.readUInt8(offset + 1);
+    if (attrLength < 2 || offset + attrLength > length) break;
+    attributes.push([type, packet.subarray(offset + 2, offset + attrLength)]);
+    offset += attrLength;
+  }
+
+  return attributes;
+}
+
+/**
+ * Build the ACK/NAK for a request.
+ * The Response Authenticator is MD5(Code + Identifier + Length + Request Authenticator + Attributes + Secret)
+ */
+function buildResponse(code, request, errorCause) {
+  const attributes = [];
+  if (errorCause) {
+    const value = Buffer.alloc(4);
+    value.writeUInt32BE(errorCause);
+    attributes.push(Buffer.from([ATTR_ERROR_CAUSE, 6]), value);
+  }
+  const attrBuf = Buffer.concat(attributes);
+
+  const response = Buffer.alloc(20 + attrBuf.length);
+  response.writeUInt8(code, 0);
+  response.writeUInt8(request.readUInt8(1), 1);
+  response.writeUInt16BE(response.length, 2);
+  request.copy(response, 4, 4, 20);
+  attrBuf.copy(response, 20);
+
+  crypto.createHash("md5").update(response).update(SECRET).digest().copy(response, 4);
+  return response;
+}
+
+const socket = dgram.createSocket("udp4");
+
+socket.on("message", (packet, remote) => {
+  if (packet.length < 20) return;
+
+  const code = packet.readUInt8(0);
+  const length = packet.readUInt16BE(2);
+  if (!ANSWERS[code] || length < 20 || length > packet.length) {
+    console.log(`Ignored packet code ${code} from ${remote.address}`);
+    return;
+  }
+  if (!verifyRequest(packet, length)) {
+    console.log(`Dropped ${CODE_NAMES[code]} from ${remote.address}: wrong secret`);
+    return;
+  }
+
+  const attributes = readAttributes(packet, length);
+  const value = (type) => {
+    const attribute = attributes.find(([t]) => t === type);
+    return attribute ? attribute[1].toString("utf8") : "";
+  };
+  const username = value(ATTR_USER_NAME);
+
+  const [ack, nak] = ANSWERS[code];
+  const errorCause = username.endsWith("0") ? SESSION_CONTEXT_NOT_FOUND : null;
+  const responseCode = errorCause ? nak : ack;
+
+  console.log(
+    `${CODE_NAMES[code]} for ${username || "?"} (session ${value(ATTR_ACCT_SESSION_ID) || "?"}, ` +
+    `${attributes.length} attribute(s)): ${CODE_NAMES[responseCode]}${errorCause ? ` Error-Cause ${errorCause}` : ""}`
+  );
+
+  socket.send(buildResponse(responseCode, packet, errorCause), remote.port, remote.address);
+});
+
+socket.on("error", (err) => {
+  console.error("Mock NAS error:", err.message);
+  socket.close();
+});
+
+socket.bind(PORT, () => {
+  console.log(`Mock NAS answering Disconnect/CoA requests on udp :${PORT}`);
+});
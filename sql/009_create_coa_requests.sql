@@ -0,0 +1,23 @@
+-- Create coa_requests table for logging RFC 5176 Disconnect/CoA requests
+-- Run this on the portal database
+
+CREATE TABLE IF NOT EXISTS coa_requests (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    request_type ENUM('disconnect', 'coa') NOT NULL,
+    username VARCHAR(64) NOT NULL,
+    radacctid BIGINT,
+    nas_ip VARCHAR(45),
+    acct_session_id VARCHAR(64),
+    attributes JSON,
+    result ENUM('ack', 'nak', 'timeout', 'error') NOT NULL,
+    response_code VARCHAR(30),
+    error_cause INT,
+    message VARCHAR(255),
+    reason VARCHAR(100),
+    requested_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_username (username),
+    INDEX idx_result (result),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,7 @@
+-- Migration: Per-plan validity start
+-- 'activation'  - Expiration is counted from voucher activation (default)
+-- 'first_login' - Expiration is written when the voucher is first used,
+--                 so vouchers can be pre-printed without losing time
+
+ALTER TABLE plans
+ADD COLUMN IF NOT EXISTS validity_start ENUM('activation', 'first_login') NOT NULL DEFAULT 'activation';
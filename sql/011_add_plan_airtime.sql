@@ -0,0 +1,8 @@
+-- Migration: Airtime (cumulative time) plans
+-- 'duration' - wall-clock validity of duration_minutes (default)
+-- 'airtime'  - airtime_minutes of online time (summed from radacct.acctsessiontime)
+--              to use within the duration_minutes validity window
+
+ALTER TABLE plans
+ADD COLUMN IF NOT EXISTS plan_type ENUM('duration', 'airtime') NOT NULL DEFAULT 'duration',
+ADD COLUMN IF NOT EXISTS airtime_minutes INT DEFAULT NULL;
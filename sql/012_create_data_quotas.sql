@@ -0,0 +1,24 @@
+-- Migration: Data caps enforced across sessions
+-- data_quotas tracks each user's data budget and usage (summed from radacct octets).
+-- data_cap_action decides what happens once the cap is used up:
+-- 'disconnect' - session is disconnected and the voucher expires (default)
+-- 'throttle'   - user stays online at throttle_kbps
+-- Run this on the portal database
+
+CREATE TABLE IF NOT EXISTS data_quotas (
+    username VARCHAR(64) PRIMARY KEY,
+    plan_bytes BIGINT NOT NULL DEFAULT 0,
+    bonus_bytes BIGINT NOT NULL DEFAULT 0,
+    used_bytes BIGINT NOT NULL DEFAULT 0,
+    cap_action ENUM('disconnect', 'throttle') NOT NULL DEFAULT 'disconnect',
+    throttle_kbps INT DEFAULT NULL,
+    status ENUM('ok', 'throttled', 'exceeded') NOT NULL DEFAULT 'ok',
+    exceeded_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE plans
+ADD COLUMN IF NOT EXISTS data_cap_action ENUM('disconnect', 'throttle') NOT NULL DEFAULT 'disconnect',
+ADD COLUMN IF NOT EXISTS throttle_kbps INT DEFAULT NULL;
@@ -0,0 +1,7 @@
+-- Migration: Devices per voucher
+-- max_devices is written to the plan group as Simultaneous-Use (radgroupcheck)
+-- and limits how many devices can be online on one voucher at the same time.
+-- FreeRADIUS needs "sql" in its session section to enforce Simultaneous-Use.
+
+ALTER TABLE plans
+ADD COLUMN IF NOT EXISTS max_devices INT NOT NULL DEFAULT 1;
@@ -0,0 +1,11 @@
+-- Migration: Voucher code format per plan
+-- Codes are generated by voucher-code.service from crypto randomness and
+-- checked for collisions against vouchers, orders and radcheck.
+-- code_length counts the random characters (prefix and check digit excluded).
+-- The alphanumeric alphabet leaves out 0/O and 1/I/L.
+
+ALTER TABLE plans
+ADD COLUMN IF NOT EXISTS code_length INT NOT NULL DEFAULT 8,
+ADD COLUMN IF NOT EXISTS code_alphabet ENUM('numeric', 'alphanumeric') NOT NULL DEFAULT 'numeric',
+ADD COLUMN IF NOT EXISTS code_prefix VARCHAR(8) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS code_check_digit TINYINT(1) NOT NULL DEFAULT 0;
@@ -0,0 +1,7 @@
+-- Migration: Voucher generation batches
+-- Every /admin/api/vouchers/generate call stamps its vouchers with one
+-- batch_ref, so printed card sheets can be grouped (and reprinted) per batch.
+
+ALTER TABLE vouchers
+ADD COLUMN IF NOT EXISTS batch_ref VARCHAR(32) DEFAULT NULL,
+ADD INDEX IF NOT EXISTS idx_batch_ref (batch_ref);
@@ -0,0 +1,30 @@
+-- Migration: Voucher batches
+-- One row per voucher generation run; vouchers link to it through batch_ref.
+-- price_ugx overrides the plan price for the batch's cards (NULL = plan price)
+-- and is used for the batch revenue report.
+-- Run this on the portal database
+
+CREATE TABLE IF NOT EXISTS voucher_batches (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    batch_ref VARCHAR(32) NOT NULL,
+    plan_id INT NOT NULL,
+    quantity INT NOT NULL DEFAULT 0,
+    location_id INT DEFAULT NULL,
+    notes TEXT DEFAULT NULL,
+    price_ugx INT DEFAULT NULL,
+    expires_at DATETIME DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE INDEX idx_batch_ref (batch_ref),
+    INDEX idx_plan_id (plan_id),
+    INDEX idx_location_id (location_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Batches for vouchers generated before this table existed
+INSERT IGNORE INTO voucher_batches (batch_ref, plan_id, quantity, expires_at, created_by, created_at)
+SELECT batch_ref, MIN(plan_id), COUNT(*), MAX(expires_at), MIN(created_by), MIN(created_at)
+FROM vouchers
+WHERE batch_ref IS NOT NULL
+GROUP BY batch_ref;
@@ -0,0 +1,27 @@
+-- Migration: Background voucher generation jobs
+-- Batches larger than 100 vouchers are generated by a job in chunks of 500.
+-- Progress is taken from the vouchers already stored under batch_ref, so a
+-- job interrupted by a restart is requeued on startup and continues.
+-- Run this on the portal database
+
+CREATE TABLE IF NOT EXISTS voucher_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    batch_ref VARCHAR(32) NOT NULL,
+    plan_id INT NOT NULL,
+    quantity INT NOT NULL,
+    generated INT NOT NULL DEFAULT 0,
+    activated INT NOT NULL DEFAULT 0,
+    status ENUM('queued', 'running', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+    initial_status ENUM('ACTIVE', 'DISABLED') NOT NULL DEFAULT 'ACTIVE',
+    activate_radius TINYINT(1) NOT NULL DEFAULT 0,
+    expires_at DATETIME DEFAULT NULL,
+    error VARCHAR(500) DEFAULT NULL,
+    created_by INT DEFAULT NULL,
+    started_at TIMESTAMP NULL,
+    finished_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_status (status),
+    INDEX idx_batch_ref (batch_ref)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
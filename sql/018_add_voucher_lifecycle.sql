@@ -0,0 +1,40 @@
+-- Migration: Voucher lifecycle
+-- vouchers.state is the voucher's lifecycle state
+-- (CREATED -> ACTIVATED -> IN_USE -> EXHAUSTED / EXPIRED / REVOKED), owned by
+-- voucher-lifecycle.service. vouchers.status is kept in step with it.
+-- Every transition is recorded in voucher_events with actor and reason.
+-- Run this on the portal database
+
+ALTER TABLE vouchers
+ADD COLUMN IF NOT EXISTS state ENUM('CREATED', 'ACTIVATED', 'IN_USE', 'EXHAUSTED', 'EXPIRED', 'REVOKED') NOT NULL DEFAULT 'CREATED' AFTER status,
+ADD COLUMN IF NOT EXISTS activated_at TIMESTAMP NULL AFTER state,
+ADD INDEX IF NOT EXISTS idx_state (state);
+
+-- Existing vouchers: state from status. Unused vouchers start as CREATED,
+-- also those already activated in RADIUS (their history starts here).
+UPDATE vouchers
+SET state = CASE status
+    WHEN 'USED' THEN 'IN_USE'
+    WHEN 'EXPIRED' THEN 'EXPIRED'
+    WHEN 'DISABLED' THEN 'REVOKED'
+    ELSE 'CREATED'
+END
+WHERE state = 'CREATED' AND status != 'ACTIVE';
+
+CREATE TABLE IF NOT EXISTS voucher_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    voucher_id INT NOT NULL,
+    voucher_code VARCHAR(50) NOT NULL,
+    from_state VARCHAR(16) DEFAULT NULL,
+    to_state VARCHAR(16) NOT NULL,
+    actor_type ENUM('admin', 'customer', 'system') NOT NULL DEFAULT 'system',
+    actor_id INT DEFAULT NULL,
+    actor_name VARCHAR(100) DEFAULT NULL,
+    reason VARCHAR(255) DEFAULT NULL,
+    details JSON DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_voucher_id (voucher_id),
+    INDEX idx_voucher_code (voucher_code),
+    INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
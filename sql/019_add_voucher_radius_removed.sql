@@ -0,0 +1,8 @@
+-- Migration: RADIUS cleanup of expired vouchers
+-- The expiry sweeper removes the RADIUS account (radcheck, radreply,
+-- radusergroup) of vouchers that have been EXPIRED for longer than
+-- RADIUS_PURGE_GRACE_DAYS and records when in radius_removed_at.
+-- Run this on the portal database
+
+ALTER TABLE vouchers
+ADD COLUMN IF NOT EXISTS radius_removed_at TIMESTAMP NULL AFTER activated_at;
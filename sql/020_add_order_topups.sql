@@ -0,0 +1,15 @@
+-- Migration: Order top-ups
+-- A TOPUP order adds its plan's time and data to an existing username
+-- (topup_username) instead of creating a new one, so its own username and
+-- password stay NULL. parent_voucher_id / parent_order_id link it to the
+-- voucher or purchase order that owns the username. See topup.service.
+-- Run this on the portal database
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS order_type ENUM('PURCHASE', 'TOPUP') NOT NULL DEFAULT 'PURCHASE',
+ADD COLUMN IF NOT EXISTS topup_username VARCHAR(64) DEFAULT NULL AFTER order_type,
+ADD COLUMN IF NOT EXISTS parent_order_id BIGINT DEFAULT NULL AFTER topup_username,
+ADD COLUMN IF NOT EXISTS parent_voucher_id INT DEFAULT NULL AFTER parent_order_id,
+ADD INDEX IF NOT EXISTS idx_topup_username (topup_username),
+ADD INDEX IF NOT EXISTS idx_parent_voucher_id (parent_voucher_id),
+ADD INDEX IF NOT EXISTS idx_parent_order_id (parent_order_id);
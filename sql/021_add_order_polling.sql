@@ -0,0 +1,13 @@
+-- Migration: Pending order polling and timeout
+-- The Yo Payments poller checks pending orders whose IPN has not arrived,
+-- backing off per order: poll_attempts counts the checks made and
+-- next_poll_at is when the order is due again. Orders PENDING for longer
+-- than PENDING_ORDER_TIMEOUT_MINUTES are marked EXPIRED, so status must
+-- accept that value.
+-- Run this on the portal database
+
+ALTER TABLE orders
+MODIFY COLUMN status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+ADD COLUMN IF NOT EXISTS poll_attempts INT NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS next_poll_at DATETIME DEFAULT NULL AFTER poll_attempts,
+ADD INDEX IF NOT EXISTS idx_status_next_poll (status, next_poll_at);
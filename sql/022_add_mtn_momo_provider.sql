@@ -0,0 +1,11 @@
+-- Migration: MTN MoMo Collections provider
+-- Orders paid directly through MTN MoMo are stored with payment_provider
+-- 'MTNMOMO' (provider codes come from the payment registry, so the column
+-- is a plain string), and the provider gets its payment_providers row.
+-- Run this on the portal database
+
+ALTER TABLE orders
+MODIFY COLUMN payment_provider VARCHAR(20) DEFAULT NULL;
+
+INSERT IGNORE INTO payment_providers (provider_code, display_name, is_enabled, environment, credentials) VALUES
+('mtnmomo', 'MTN MoMo', 0, 'test', JSON_OBJECT('subscription_key', '', 'api_user', '', 'api_key', '', 'target_environment', '', 'base_url', ''));
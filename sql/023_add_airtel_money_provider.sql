@@ -0,0 +1,7 @@
+-- Migration: Airtel Money Collections provider
+-- Orders paid directly through Airtel Money are stored with payment_provider
+-- 'AIRTEL'; the provider gets its payment_providers row.
+-- Run this on the portal database
+
+INSERT IGNORE INTO payment_providers (provider_code, display_name, is_enabled, environment, credentials) VALUES
+('airtelmoney', 'Airtel Money', 0, 'test', JSON_OBJECT('client_id', '', 'client_secret', ''));
@@ -0,0 +1,22 @@
+-- Migration: Payment webhook log and replay protection
+-- Every payment provider callback is recorded. Verified callbacks are
+-- processed once per (provider_code, event_id); rejected ones (failed
+-- signature or verification check) are listed on the admin finance page.
+-- Run this on the portal database
+
+CREATE TABLE IF NOT EXISTS webhook_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    provider_code VARCHAR(50) NOT NULL,
+    event_id VARCHAR(150) DEFAULT NULL,
+    order_ref VARCHAR(64) DEFAULT NULL,
+    status ENUM('RECEIVED', 'PROCESSED', 'REJECTED') NOT NULL DEFAULT 'RECEIVED',
+    reason VARCHAR(255) DEFAULT NULL,
+    payload MEDIUMTEXT,
+    remote_ip VARCHAR(45) DEFAULT NULL,
+    received_count INT NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_provider_event (provider_code, event_id),
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_order_ref (order_ref)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
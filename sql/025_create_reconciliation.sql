@@ -0,0 +1,48 @@
+-- Migration: Payment reconciliation
+-- Reconciliation runs check orders against the payment providers' records
+-- for a range of dates; what does not match is stored as an item for an
+-- admin to resolve (fulfil or cancel the order, or dismiss the item).
+-- Run this on the portal database
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    status ENUM('RUNNING', 'COMPLETED', 'FAILED') NOT NULL DEFAULT 'RUNNING',
+    checked_count INT NOT NULL DEFAULT 0,
+    flagged_count INT NOT NULL DEFAULT 0,
+    summary JSON DEFAULT NULL,
+    error VARCHAR(255) DEFAULT NULL,
+    triggered_by INT DEFAULT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL DEFAULT NULL,
+    INDEX idx_dates (date_from, date_to),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS reconciliation_items (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    run_id INT NOT NULL,
+    provider_code VARCHAR(50) NOT NULL,
+    item_key VARCHAR(100) NOT NULL,
+    issue ENUM('MONEY_NO_VOUCHER', 'VOUCHER_NO_MONEY', 'AMOUNT_MISMATCH') NOT NULL,
+    order_id INT DEFAULT NULL,
+    order_ref VARCHAR(64) DEFAULT NULL,
+    order_status VARCHAR(20) DEFAULT NULL,
+    order_amount INT DEFAULT NULL,
+    provider_tx_id VARCHAR(100) DEFAULT NULL,
+    provider_status VARCHAR(20) DEFAULT NULL,
+    provider_amount DECIMAL(12,2) DEFAULT NULL,
+    provider_currency VARCHAR(3) DEFAULT NULL,
+    details JSON DEFAULT NULL,
+    status ENUM('OPEN', 'RESOLVED') NOT NULL DEFAULT 'OPEN',
+    resolution VARCHAR(20) DEFAULT NULL,
+    resolution_note VARCHAR(255) DEFAULT NULL,
+    resolved_by INT DEFAULT NULL,
+    resolved_at TIMESTAMP NULL DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uniq_item (provider_code, item_key, issue),
+    INDEX idx_status_issue (status, issue),
+    INDEX idx_order_id (order_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
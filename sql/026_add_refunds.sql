@@ -0,0 +1,17 @@
+-- Migration: Order refunds
+-- A PAID order can be refunded through its payment provider (or a refund
+-- made outside the portal recorded). The order becomes REFUNDED with the
+-- provider's refund reference, and every refund attempt is logged in
+-- payment_logs as an entry_type 'refund' row, which the finance summary
+-- deducts from revenue.
+-- Run this on the portal database
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS refunded_at DATETIME DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS refund_ref VARCHAR(100) DEFAULT NULL AFTER refunded_at,
+ADD COLUMN IF NOT EXISTS refund_reason VARCHAR(255) DEFAULT NULL AFTER refund_ref,
+ADD COLUMN IF NOT EXISTS refunded_by INT DEFAULT NULL AFTER refund_reason;
+
+ALTER TABLE payment_logs
+ADD COLUMN IF NOT EXISTS entry_type ENUM('payment', 'refund') NOT NULL DEFAULT 'payment' AFTER provider_code,
+ADD INDEX IF NOT EXISTS idx_entry_type (entry_type);
@@ -0,0 +1,15 @@
+-- Migration: Withdrawal payouts through Yo Payments
+-- Approving a mobile money withdrawal pays it out from the Yo Payments
+-- account (acwithdrawfunds). payout_ref is Yo's transaction reference,
+-- which the Withdrawal payouts job checks until the withdrawal is
+-- completed or failed; payout_status and payout_message are Yo's last
+-- answer.
+-- Run this on the portal database
+
+ALTER TABLE withdrawals
+ADD COLUMN IF NOT EXISTS payout_provider VARCHAR(50) DEFAULT NULL,
+ADD COLUMN IF NOT EXISTS payout_ref VARCHAR(100) DEFAULT NULL AFTER payout_provider,
+ADD COLUMN IF NOT EXISTS payout_status VARCHAR(30) DEFAULT NULL AFTER payout_ref,
+ADD COLUMN IF NOT EXISTS payout_message VARCHAR(255) DEFAULT NULL AFTER payout_status,
+ADD COLUMN IF NOT EXISTS payout_checked_at DATETIME DEFAULT NULL AFTER payout_message,
+ADD INDEX IF NOT EXISTS idx_status_payout (status, payout_provider);
@@ -0,0 +1,9 @@
+-- Migration: Background refresh of plan members
+-- Saving a plan sets members_refresh_at; the Plan member refresh job then
+-- recomputes the airtime and data budgets of every user on the plan and
+-- clears it. A plan edited again during the refresh stays queued.
+-- Run this on the portal database
+
+ALTER TABLE plans
+ADD COLUMN IF NOT EXISTS members_refresh_at DATETIME(3) DEFAULT NULL,
+ADD INDEX IF NOT EXISTS idx_members_refresh_at (members_refresh_at);
@@ -0,0 +1,16 @@
+-- Migration: Top-ups applied once per order
+-- A top-up's RADIUS writes (Expiration, Max-All-Session, bonus bytes) are
+-- not part of the order's transaction. Each top-up order is recorded here
+-- once they were made, so a fulfilment retried after a later error does
+-- not add the same top-up again.
+-- Run this on the portal database
+
+CREATE TABLE IF NOT EXISTS topups_applied (
+    order_ref VARCHAR(64) NOT NULL PRIMARY KEY,
+    username VARCHAR(64) NOT NULL,
+    expires_at DATETIME NOT NULL,
+    airtime_seconds INT NOT NULL DEFAULT 0,
+    data_bytes BIGINT NOT NULL DEFAULT 0,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_username (username)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
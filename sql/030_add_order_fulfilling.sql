@@ -0,0 +1,8 @@
+-- Migration: Claim orders for fulfilment
+-- A confirmed order is set to FULFILLING while its voucher is activated in
+-- RADIUS, instead of holding a row lock for that long. fulfilling_at lets a
+-- claim left by a process that stopped be taken over later.
+-- Run this on the portal database
+
+ALTER TABLE orders
+ADD COLUMN IF NOT EXISTS fulfilling_at DATETIME DEFAULT NULL;
@@ -0,0 +1,9 @@
+-- Migration: Orders without a customer
+-- Admin top-ups are not paid by a customer and are stored with customer_id
+-- NULL. Earlier ones were stored with customer_id 0.
+-- Run this on the portal database
+
+ALTER TABLE orders
+MODIFY COLUMN customer_id INT DEFAULT NULL;
+
+UPDATE orders SET customer_id = NULL WHERE customer_id = 0;
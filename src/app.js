@@ -12,6 +12,8 @@ const portalRoutes = require("./routes/portal.routes");
 const loadSettings = require("./middleware/loadSettings");
 const settingsService = require("./services/settings.service");
 const paymentProviderService = require("./services/payment-provider.service");
+const paymentRegistry = require("./services/payment-registry.service");
+const planService = require("./services/plan.service");
 
 const app = express();
 
@@ -31,6 +33,8 @@ app.use(helmet({
   },
 }));
 app.use(cors({ origin: true }));
+// Voucher import uploads a CSV/XLSX file in the JSON body
+app.use("/admin/api/vouchers/import", express.json({ limit: "10mb" }));
 app.use(express.json({ limit: "1mb" }));
 app.use(morgan("combined"));
 
@@ -65,9 +69,19 @@ app.use(express.urlencoded({ extended: true }));
 // Ensure settings table exists on startup
 settingsService.ensureSettingsTable().catch(console.error);
 
+// Payment providers register themselves with the payment registry; the
+// portal prefers them in this order
+require("./services/mtnmomo.service");
+require("./services/airtelmoney.service");
+require("./services/yopayments.service");
+require("./services/flutterwave.service");
+
 // Ensure payment providers table exists on startup
 paymentProviderService.ensureTable().catch(console.error);
 
+// Mirror plans to their FreeRADIUS groups on startup
+planService.syncAllPlanGroups().catch(console.error);
+
 // Load business settings into all views
 app.use(loadSettings);
 
@@ -83,6 +97,9 @@ app.get("/portal", async (req, res) => {
   const linkLogin = req.query["link-login"] || req.query["link-login-only"] || null;
   const linkOrig = req.query["link-orig"] || null;
 
+  // Voucher code from a printed card's QR code
+  const voucherCode = String(req.query.code || "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 32) || null;
+
   // Store in session for payment flow
   if (customerMac) {
     req.session.customerMac = customerMac;
@@ -97,13 +114,15 @@ app.get("/portal", async (req, res) => {
     customerIp,
     linkLogin,
     linkOrig,
+    voucherCode,
   });
 });
 
-// Payment Pending Page (for Yo Payments polling)
+// Payment Pending Page (polls the provider while the customer approves on their phone)
 app.get("/payment-pending", async (req, res) => {
   const { orderRef } = req.query;
-  if (!orderRef) {
+  const provider = paymentRegistry.getProvider(req.query.provider || "yopayments");
+  if (!orderRef || !provider) {
     return res.redirect("/portal");
   }
 
@@ -111,14 +130,15 @@ app.get("/payment-pending", async (req, res) => {
   res.render("payment-pending", {
     settings,
     orderRef,
+    provider: provider.code,
     message: "Please check your phone and approve the payment to continue.",
-    checkUrl: `/api/payments/yopayments/status/${orderRef}`
+    checkUrl: `/api/payments/${provider.code}/status/${orderRef}`
   });
 });
 
 app.use("/api/portal", portalRoutes);
 app.use("/api/payments/flutterwave", require("./routes/flutterwave.routes"));
-app.use("/api/payments/yopayments", require("./routes/yopayments.routes"));
+app.use("/api/payments", require("./routes/payments.routes"));
 
 app.use("/admin", require("./routes/admin.routes"));
 
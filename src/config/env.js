@@ -23,6 +23,33 @@ module.exports = {
  FLW_PUBLIC_KEY: process.env.FLW_PUBLIC_KEY || "",
  FLW_SECRET_KEY: process.env.FLW_SECRET_KEY || "",
  FLW_WEBHOOK_HASH: process.env.FLW_WEBHOOK_HASH || "",
+ YO_API_USERNAME: process.env.YO_API_USERNAME || "",
+ YO_API_PASSWORD: process.env.YO_API_PASSWORD || "",
+ YO_ACCOUNT_NUMBER: process.env.YO_ACCOUNT_NUMBER || "",
+ MOMO_SUBSCRIPTION_KEY: process.env.MOMO_SUBSCRIPTION_KEY || "",
+ MOMO_API_USER: process.env.MOMO_API_USER || "",
+ MOMO_API_KEY: process.env.MOMO_API_KEY || "",
+ MOMO_TARGET_ENVIRONMENT: process.env.MOMO_TARGET_ENVIRONMENT || "",
+ // MTN MoMo API base URL override, e.g. a local mock (scripts/mock-momo.js)
+ MOMO_BASE_URL: process.env.MOMO_BASE_URL || "",
+ AIRTEL_CLIENT_ID: process.env.AIRTEL_CLIENT_ID || "",
+ AIRTEL_CLIENT_SECRET: process.env.AIRTEL_CLIENT_SECRET || "",
  BASE_URL: process.env.BASE_URL || "http://localhost:3000",
 
+ // RADIUS Dynamic Authorization (CoA / Disconnect-Message)
+ RADIUS_COA_PORT: parseInt(process.env.RADIUS_COA_PORT || "3799", 10),
+ RADIUS_COA_TIMEOUT_MS: parseInt(process.env.RADIUS_COA_TIMEOUT_MS || "3000", 10),
+ RADIUS_COA_RETRIES: parseInt(process.env.RADIUS_COA_RETRIES || "1", 10),
+ // Send every request to this host instead of the session's NAS, e.g. a
+ // local mock (scripts/mock-nas.js)
+ RADIUS_COA_HOST: process.env.RADIUS_COA_HOST || "",
+
+ // Expiry sweeper: days an expired voucher keeps its RADIUS account, and
+ // minutes without an accounting update before a session is closed
+ RADIUS_PURGE_GRACE_DAYS: parseInt(process.env.RADIUS_PURGE_GRACE_DAYS || "7", 10),
+ STALE_SESSION_MINUTES: parseInt(process.env.STALE_SESSION_MINUTES || "30", 10),
+
+ // Minutes an order may stay PENDING before it is marked EXPIRED
+ PENDING_ORDER_TIMEOUT_MINUTES: parseInt(process.env.PENDING_ORDER_TIMEOUT_MINUTES || "30", 10),
+
 };
@@ -5,15 +5,29 @@ const path = require("path");
 const fs = require("fs");
 const portalDB = require("../config/db.portal");
 const requireAdmin = require("../middleware/requireAdmin");
-const { activateVoucher } = require("../services/radius.service");
 const deviceService = require("../services/device.service");
 const settingsService = require("../services/settings.service");
 const paymentProviderService = require("../services/payment-provider.service");
+const paymentRegistry = require("../services/payment-registry.service");
 const mikrotikService = require("../services/mikrotik.service");
 const ubiquitiService = require("../services/ubiquiti.service");
 const ciscoService = require("../services/cisco.service");
 const voucherSecurity = require("../services/voucher-security.service");
 const usageService = require("../services/usage.service");
+const planService = require("../services/plan.service");
+const radiusCoa = require("../services/radius-coa.service");
+const nasVendor = require("../services/nas-vendor.service");
+const voucherCodes = require("../services/voucher-code.service");
+const voucherPrint = require("../services/voucher-print.service");
+const voucherBatches = require("../services/voucher-batch.service");
+const voucherJobs = require("../services/voucher-job.service");
+const voucherImport = require("../services/voucher-import.service");
+const lifecycle = require("../services/voucher-lifecycle.service");
+const topupService = require("../services/topup.service");
+const webhookEvents = require("../services/webhook-event.service");
+const reconciliation = require("../services/reconciliation.service");
+const refundService = require("../services/refund.service");
+const payouts = require("../services/payout.service");
 
 const router = express.Router();
 const ASSET_VERSION = Date.now();
@@ -164,7 +178,17 @@ router.get("/settings", requireAdmin, async (req, res) => {
 
 // Finance page
 router.get("/finance", requireAdmin, async (req, res) => {
-  res.render("admin/finance", { admin: req.session.admin, assetVersion: ASSET_VERSION });
+  res.render("admin/finance", {
+    admin: req.session.admin,
+    assetVersion: ASSET_VERSION,
+    paymentProviders: paymentRegistry.listProviders().map((p) => ({
+      code: p.code,
+      orderCode: p.orderCode,
+      displayName: p.displayName,
+      supportsRefund: typeof p.refund === "function"
+    })),
+    autoPayouts: await payouts.isAvailable()
+  });
 });
 
 // Sessions/Usage page
@@ -255,14 +279,76 @@ router.get("/api/usage/user/:username", requireAdmin, async (req, res) => {
 // Disconnect a user
 router.post("/api/usage/disconnect/:username", requireAdmin, async (req, res) => {
   try {
-    const result = await usageService.disconnectUser(req.params.username);
-    res.json({ ok: result.success, message: result.message || result.error });
+    const result = await usageService.disconnectUser(req.params.username, {
+      requestedBy: req.session.admin.id,
+      reason: "admin_disconnect"
+    });
+    res.json({ ok: result.success, message: result.message || result.error, sessions: result.sessions });
   } catch (e) {
     console.error("Disconnect user error:", e);
     res.status(500).json({ ok: false, message: e.message });
   }
 });
 
+// Move a user to another plan and push the new limits to their active sessions
+router.post("/api/usage/user/:username/plan", requireAdmin, async (req, res) => {
+  try {
+    const planId = parseInt(req.body.plan_id);
+    if (!planId) {
+      return res.status(400).json({ ok: false, message: "plan_id is required" });
+    }
+
+    const result = await planService.changeUserPlan(req.params.username, planId, {
+      requestedBy: req.session.admin.id
+    });
+
+    const message = result.total === 0
+      ? `Moved ${result.username} to ${result.plan.name}. No active sessions to update.`
+      : `Moved ${result.username} to ${result.plan.name}. Updated ${result.acked} of ${result.total} active session(s).`;
+
+    res.json({ ok: true, message, ...result });
+  } catch (e) {
+    console.error("Change user plan error:", e);
+    res.status(400).json({ ok: false, message: e.message });
+  }
+});
+
+// Top up a user with a plan's time and data (recorded as a paid TOPUP order)
+router.post("/api/usage/user/:username/topup", requireAdmin, async (req, res) => {
+  try {
+    const planId = parseInt(req.body.plan_id);
+    if (!planId) {
+      return res.status(400).json({ ok: false, message: "plan_id is required" });
+    }
+    const amountUgx = Math.max(0, parseInt(req.body.amount_ugx) || 0);
+
+    const result = await topupService.adminTopup(req.params.username, planId, req.session.admin, amountUgx);
+
+    const message = result.total === 0
+      ? `Topped up ${result.username} with ${result.plan.name}.`
+      : `Topped up ${result.username} with ${result.plan.name}. Updated ${result.acked} of ${result.total} active session(s).`;
+
+    res.json({ ok: true, message, ...result });
+  } catch (e) {
+    console.error("Top up user error:", e);
+    res.status(400).json({ ok: false, message: e.message });
+  }
+});
+
+// Get the Disconnect/CoA request log
+router.get("/api/usage/coa-log", requireAdmin, async (req, res) => {
+  try {
+    const requests = await radiusCoa.getRequestLog({
+      username: req.query.username || null,
+      limit: Math.min(200, parseInt(req.query.limit) || 50)
+    });
+    res.json({ ok: true, requests });
+  } catch (e) {
+    console.error("Get CoA log error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
 // Export usage data as CSV
 router.get("/api/usage/export", requireAdmin, async (req, res) => {
   try {
@@ -647,6 +733,19 @@ router.get("/api/devices/meta/vendors", requireAdmin, async (req, res) => {
   res.json({ ok: true, vendors: deviceService.VENDOR_TYPES });
 });
 
+// Download the FreeRADIUS huntgroups file (selects per-vendor plan groups)
+router.get("/api/devices/meta/huntgroups", requireAdmin, async (req, res) => {
+  try {
+    const huntgroups = await nasVendor.buildHuntgroups();
+    res.setHeader('Content-Type', 'text/plain');
+    res.setHeader('Content-Disposition', 'attachment; filename=huntgroups');
+    res.send(huntgroups);
+  } catch (e) {
+    console.error("Build huntgroups error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
 // Get Ubiquiti models
 router.get("/api/devices/meta/ubiquiti-models", requireAdmin, async (req, res) => {
   res.json({ ok: true, models: ubiquitiService.UBIQUITI_MODELS });
@@ -1336,6 +1435,7 @@ router.get("/api/vouchers", requireAdmin, async (req, res) => {
     const offset = (page - 1) * limit;
     const status = req.query.status || null;
     const planId = req.query.plan_id || null;
+    const batchRef = req.query.batch || null;
 
     let whereClause = "WHERE 1=1";
     const params = [];
@@ -1348,6 +1448,10 @@ router.get("/api/vouchers", requireAdmin, async (req, res) => {
       whereClause += " AND v.plan_id = ?";
       params.push(planId);
     }
+    if (batchRef) {
+      whereClause += " AND v.batch_ref = ?";
+      params.push(batchRef);
+    }
 
     // Get total count
     const [[countResult]] = await portalDB.query(
@@ -1398,17 +1502,26 @@ router.get("/api/plans", requireAdmin, async (req, res) => {
 // Generate vouchers (bulk)
 router.post("/api/vouchers/generate", requireAdmin, async (req, res) => {
   try {
-    const { plan_id, count = 1, expires_days = null, activate_radius = false } = req.body;
+    const {
+      plan_id, count = 1, expires_days = null, activate_radius = false,
+      location_id = null, notes = null, price_ugx = null, initial_status = "ACTIVE"
+    } = req.body;
 
     if (!plan_id) {
       return res.status(400).json({ ok: false, message: "plan_id is required" });
     }
+    if (price_ugx !== null && price_ugx !== "" && !(parseInt(price_ugx) >= 0)) {
+      return res.status(400).json({ ok: false, message: "Price override must be a positive amount" });
+    }
+    if (!["ACTIVE", "DISABLED"].includes(initial_status)) {
+      return res.status(400).json({ ok: false, message: "Invalid initial status. Use ACTIVE or DISABLED" });
+    }
 
-    const quantity = Math.min(100, Math.max(1, parseInt(count) || 1));
+    const quantity = Math.min(voucherJobs.MAX_JOB_QUANTITY, Math.max(1, parseInt(count) || 1));
 
     // Get plan info (including data_mb for RADIUS data limits)
     const [[plan]] = await portalDB.query(
-      "SELECT id, code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb FROM plans WHERE id = ? AND is_active = 1",
+      "SELECT id, code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb, data_cap_action, throttle_kbps, validity_start, code_length, code_alphabet, code_prefix, code_check_digit FROM plans WHERE id = ? AND is_active = 1",
       [plan_id]
     );
     if (!plan) {
@@ -1426,28 +1539,70 @@ router.post("/api/vouchers/generate", requireAdmin, async (req, res) => {
       expiresAt = expDate.toISOString().slice(0, 19).replace('T', ' ');
     }
 
-    for (let i = 0; i < quantity; i++) {
-      // Generate numeric-only voucher code (5 digits)
-      const code = String(Math.floor(10000 + Math.random() * 90000));
+    // One batch per generate call (location, notes, price override, printed sheets)
+    const batchRef = `BATCH_${nanoid(10)}`;
+    const priceOverride = price_ugx !== null && price_ugx !== "" ? parseInt(price_ugx) : null;
+    const batchDetails = {
+      locationId: parseInt(location_id) || null,
+      notes: notes ? String(notes).trim().slice(0, 1000) || null : null,
+      priceUgx: priceOverride
+    };
+
+    // Large batches are generated in the background; the vouchers page
+    // follows progress through /api/vouchers/jobs/:id
+    if (quantity > voucherJobs.SYNC_LIMIT) {
+      const { jobId, batchId } = await voucherJobs.createJob({
+        plan,
+        quantity,
+        batchRef,
+        expiresAt,
+        activateRadius: !!activate_radius,
+        initialStatus: initial_status,
+        batch: batchDetails,
+        createdBy: adminId
+      });
+
+      return res.json({
+        ok: true,
+        message: `Generating ${quantity} vouchers in the background`,
+        job_id: jobId,
+        batch_id: batchId,
+        batch_ref: batchRef
+      });
+    }
+
+    // Unique codes in the plan's format (checked against vouchers, orders and RADIUS)
+    const codes = await voucherCodes.generateCodes(plan, quantity);
 
+    const batchId = await voucherBatches.createBatch({
+      batchRef,
+      planId: plan.id,
+      quantity,
+      ...batchDetails,
+      expiresAt,
+      createdBy: adminId
+    });
+
+    const actor = lifecycle.adminActor(req.session.admin);
+    const activated = [];
+
+    for (const code of codes) {
       await portalDB.query(
-        `INSERT INTO vouchers (code, password, plan_id, status, created_by, expires_at)
-         VALUES (?, ?, ?, 'ACTIVE', ?, ?)`,
-        [code, code, plan_id, adminId, expiresAt]
+        `INSERT INTO vouchers (code, password, plan_id, status, created_by, expires_at, batch_ref)
+         VALUES (?, ?, ?, 'ACTIVE', ?, ?, ?)`,
+        [code, code, plan_id, adminId, expiresAt, batchRef]
       );
 
-      // Optionally activate in RADIUS immediately with full plan attributes
+      // Optionally activate in RADIUS immediately on the plan group
       // Voucher code is used as both username and password
       if (activate_radius) {
         try {
-          await activateVoucher({
+          await planService.activatePlanVoucher({
             username: code,
             password: code,
-            minutes: plan.duration_minutes,
-            speedDownKbps: plan.speed_down_kbps,
-            speedUpKbps: plan.speed_up_kbps,
-            dataMb: plan.data_mb,
+            plan,
           });
+          activated.push(code);
         } catch (radErr) {
           console.error("RADIUS activation error for voucher:", code, radErr.message);
         }
@@ -1456,15 +1611,25 @@ router.post("/api/vouchers/generate", requireAdmin, async (req, res) => {
       vouchers.push({
         code,
         plan_name: plan.name,
-        price_ugx: plan.price_ugx,
+        price_ugx: priceOverride ?? plan.price_ugx,
         duration_minutes: plan.duration_minutes,
         expires_at: expiresAt
       });
     }
 
+    await lifecycle.recordCreated(codes, { actor, reason: `Generated in batch ${batchRef}` });
+    if (activated.length) {
+      await lifecycle.transitionWhere("code IN (?)", [activated], "ACTIVATED", { actor, reason: "Activated in RADIUS" });
+    }
+    if (initial_status === "DISABLED") {
+      await lifecycle.transitionWhere("batch_ref = ?", [batchRef], "REVOKED", { actor, reason: "Generated disabled" });
+    }
+
     res.json({
       ok: true,
       message: `Generated ${vouchers.length} voucher(s)`,
+      batch_id: batchId,
+      batch_ref: batchRef,
       vouchers
     });
   } catch (e) {
@@ -1473,11 +1638,148 @@ router.post("/api/vouchers/generate", requireAdmin, async (req, res) => {
   }
 });
 
+// ============ VOUCHER GENERATION JOBS ============
+
+// Recent background generation jobs (unfinished first)
+router.get("/api/vouchers/jobs", requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+    const jobs = await voucherJobs.listJobs(limit);
+    res.json({ ok: true, jobs });
+  } catch (e) {
+    console.error("List voucher jobs error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Job progress
+router.get("/api/vouchers/jobs/:id", requireAdmin, async (req, res) => {
+  try {
+    const job = await voucherJobs.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ ok: false, message: "Job not found" });
+    }
+    res.json({ ok: true, job });
+  } catch (e) {
+    console.error("Get voucher job error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Retry a failed job from where it stopped
+router.post("/api/vouchers/jobs/:id/retry", requireAdmin, async (req, res) => {
+  try {
+    const retried = await voucherJobs.retryJob(req.params.id);
+    if (!retried) {
+      return res.status(400).json({ ok: false, message: "Only failed jobs can be retried" });
+    }
+    res.json({ ok: true, message: "Job queued" });
+  } catch (e) {
+    console.error("Retry voucher job error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// ============ VOUCHER BATCH ENDPOINTS ============
+// Export and print use /api/vouchers/export/csv?batch= and /vouchers/print?batch=
+
+// List batches with sold/unused/expired counts and revenue
+router.get("/api/vouchers/batches", requireAdmin, async (req, res) => {
+  try {
+    const result = await voucherBatches.listBatches({
+      planId: req.query.plan_id || null,
+      locationId: req.query.location_id || null,
+      page: Math.max(1, parseInt(req.query.page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(req.query.limit) || 20))
+    });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error("List voucher batches error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Batch report
+router.get("/api/vouchers/batches/:id", requireAdmin, async (req, res) => {
+  try {
+    const batch = await voucherBatches.getBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ ok: false, message: "Batch not found" });
+    }
+    res.json({ ok: true, batch });
+  } catch (e) {
+    console.error("Get voucher batch error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Activate or disable all unused vouchers in a batch
+router.patch("/api/vouchers/batches/:id", requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!["ACTIVE", "DISABLED"].includes(status)) {
+      return res.status(400).json({ ok: false, message: "Invalid status. Use ACTIVE or DISABLED" });
+    }
+
+    const batch = await voucherBatches.getBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ ok: false, message: "Batch not found" });
+    }
+
+    const changed = await voucherBatches.setBatchStatus(batch, status, lifecycle.adminActor(req.session.admin));
+    res.json({ ok: true, message: `${changed} voucher(s) ${status === "DISABLED" ? "disabled" : "enabled"}`, changed });
+  } catch (e) {
+    console.error("Update voucher batch error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Extend the expiry date of a batch's unused vouchers
+router.post("/api/vouchers/batches/:id/extend", requireAdmin, async (req, res) => {
+  try {
+    const days = parseInt(req.body.days);
+    if (!(days > 0 && days <= 365)) {
+      return res.status(400).json({ ok: false, message: "days must be between 1 and 365" });
+    }
+
+    const batch = await voucherBatches.getBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ ok: false, message: "Batch not found" });
+    }
+
+    const changed = await voucherBatches.extendBatchExpiry(batch, days, lifecycle.adminActor(req.session.admin));
+    res.json({ ok: true, message: `Extended expiry of ${changed} voucher(s) by ${days} day(s)`, changed });
+  } catch (e) {
+    console.error("Extend voucher batch error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Delete a batch's unused vouchers
+router.delete("/api/vouchers/batches/:id/unused", requireAdmin, async (req, res) => {
+  try {
+    const batch = await voucherBatches.getBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ ok: false, message: "Batch not found" });
+    }
+
+    const result = await voucherBatches.deleteUnusedVouchers(batch);
+    res.json({
+      ok: true,
+      message: `Deleted ${result.deleted} unused voucher(s)` + (result.batchDeleted ? "; batch removed" : ""),
+      ...result
+    });
+  } catch (e) {
+    console.error("Delete unused batch vouchers error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
 // Get single voucher
 router.get("/api/vouchers/:id", requireAdmin, async (req, res) => {
   try {
     const [[voucher]] = await portalDB.query(
-      `SELECT v.*, p.name as plan_name, p.price_ugx, p.duration_minutes
+      `SELECT v.*, p.name as plan_name, p.price_ugx, p.duration_minutes, p.max_devices
        FROM vouchers v
        LEFT JOIN plans p ON v.plan_id = p.id
        WHERE v.id = ?`,
@@ -1486,7 +1788,13 @@ router.get("/api/vouchers/:id", requireAdmin, async (req, res) => {
     if (!voucher) {
       return res.status(404).json({ ok: false, message: "Voucher not found" });
     }
-    res.json({ ok: true, voucher });
+
+    // Devices (MACs) currently online on this voucher
+    const devices = await voucherSecurity.getActiveDevices(voucher.code);
+    const timeline = await lifecycle.getTimeline(voucher.id);
+    const topups = await topupService.listTopups({ voucherId: voucher.id });
+
+    res.json({ ok: true, voucher, devices, timeline, topups });
   } catch (e) {
     res.status(500).json({ ok: false, message: e.message });
   }
@@ -1503,22 +1811,23 @@ router.patch("/api/vouchers/:id", requireAdmin, async (req, res) => {
     }
 
     const [[voucher]] = await portalDB.query(
-      "SELECT id, status FROM vouchers WHERE id = ?",
+      "SELECT id, state FROM vouchers WHERE id = ?",
       [req.params.id]
     );
     if (!voucher) {
       return res.status(404).json({ ok: false, message: "Voucher not found" });
     }
 
-    // Don't allow changing status of USED vouchers
-    if (voucher.status === 'USED') {
-      return res.status(400).json({ ok: false, message: "Cannot change status of used vouchers" });
+    // Disabling revokes the voucher (also in RADIUS); enabling reinstates a revoked one
+    const reason = String(req.body.reason || "").trim() || (status === 'DISABLED' ? "Disabled by admin" : "Enabled by admin");
+    if (status === 'DISABLED' ? !lifecycle.canTransition(voucher.state, 'REVOKED') : voucher.state !== 'REVOKED') {
+      return res.status(400).json({ ok: false, message: `Cannot ${status === 'DISABLED' ? 'disable' : 'enable'} a voucher that is ${voucher.state}` });
     }
 
-    await portalDB.query(
-      "UPDATE vouchers SET status = ? WHERE id = ?",
-      [status, req.params.id]
-    );
+    await lifecycle.transition(voucher.id, status === 'DISABLED' ? 'REVOKED' : lifecycle.RESTORE, {
+      actor: lifecycle.adminActor(req.session.admin),
+      reason
+    });
 
     res.json({ ok: true, message: `Voucher ${status === 'DISABLED' ? 'disabled' : 'enabled'}` });
   } catch (e) {
@@ -1530,14 +1839,15 @@ router.patch("/api/vouchers/:id", requireAdmin, async (req, res) => {
 router.delete("/api/vouchers/:id", requireAdmin, async (req, res) => {
   try {
     const [[voucher]] = await portalDB.query(
-      "SELECT id, status FROM vouchers WHERE id = ?",
+      "SELECT id, status, used_at FROM vouchers WHERE id = ?",
       [req.params.id]
     );
     if (!voucher) {
       return res.status(404).json({ ok: false, message: "Voucher not found" });
     }
 
-    if (voucher.status === 'USED') {
+    // A used voucher stays used after it expires
+    if (voucher.status === 'USED' || voucher.used_at) {
       return res.status(400).json({ ok: false, message: "Cannot delete used vouchers" });
     }
 
@@ -1556,10 +1866,10 @@ router.post("/api/vouchers/bulk-delete", requireAdmin, async (req, res) => {
       return res.status(400).json({ ok: false, message: "No voucher IDs provided" });
     }
 
-    // Only delete non-used vouchers
+    // Only delete non-used vouchers (used ones that expired included)
     const placeholders = ids.map(() => '?').join(',');
     const [result] = await portalDB.query(
-      `DELETE FROM vouchers WHERE id IN (${placeholders}) AND status != 'USED'`,
+      `DELETE FROM vouchers WHERE id IN (${placeholders}) AND status != 'USED' AND used_at IS NULL`,
       ids
     );
 
@@ -1569,11 +1879,67 @@ router.post("/api/vouchers/bulk-delete", requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * Voucher print filters from the query string:
+ * batch, ids (comma separated), status, plan_id
+ */
+function sheetFilters(query) {
+  const ids = String(query.ids || "")
+    .split(",")
+    .map((id) => parseInt(id))
+    .filter((id) => id > 0);
+
+  return {
+    batchRef: query.batch || null,
+    ids,
+    status: query.status || null,
+    planId: query.plan_id || null
+  };
+}
+
+// Printable voucher card sheet (HTML print layout)
+router.get("/vouchers/print", requireAdmin, async (req, res) => {
+  try {
+    const sheet = await voucherPrint.buildSheet(sheetFilters(req.query), {
+      cardsPerPage: req.query.per_page
+    });
+    await voucherPrint.addQrDataUrls(sheet);
+
+    res.render("admin/voucher-sheet", {
+      sheet,
+      formatExpiry: voucherPrint.formatExpiry,
+      pageLayouts: Object.keys(voucherPrint.PAGE_LAYOUTS),
+      maxVouchers: voucherPrint.MAX_SHEET_VOUCHERS,
+      query: req.query
+    });
+  } catch (e) {
+    console.error("Print vouchers error:", e);
+    res.status(500).send("Failed to build voucher sheet: " + e.message);
+  }
+});
+
+// Printable voucher card sheet as PDF
+router.get("/api/vouchers/print/pdf", requireAdmin, async (req, res) => {
+  try {
+    const filters = sheetFilters(req.query);
+    const sheet = await voucherPrint.buildSheet(filters, { cardsPerPage: req.query.per_page });
+    const pdf = await voucherPrint.renderPdf(sheet);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename=vouchers-${filters.batchRef || Date.now()}.pdf`);
+    res.send(pdf);
+  } catch (e) {
+    console.error("Print vouchers PDF error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
 // Export vouchers as CSV
 router.get("/api/vouchers/export/csv", requireAdmin, async (req, res) => {
   try {
     const status = req.query.status || null;
     const planId = req.query.plan_id || null;
+    const batchRef = req.query.batch || null;
 
     let whereClause = "WHERE 1=1";
     const params = [];
@@ -1586,24 +1952,31 @@ router.get("/api/vouchers/export/csv", requireAdmin, async (req, res) => {
       whereClause += " AND v.plan_id = ?";
       params.push(planId);
     }
+    if (batchRef) {
+      whereClause += " AND v.batch_ref = ?";
+      params.push(batchRef);
+    }
 
     const [vouchers] = await portalDB.query(
-      `SELECT v.code, v.password, v.status, p.name as plan_name, p.price_ugx,
+      `SELECT v.code, v.password, v.status, v.batch_ref, p.name as plan_name,
+              COALESCE(b.price_ugx, p.price_ugx) as price_ugx,
               v.created_at, v.expires_at, v.used_at
        FROM vouchers v
        LEFT JOIN plans p ON v.plan_id = p.id
+       LEFT JOIN voucher_batches b ON b.batch_ref = v.batch_ref
        ${whereClause}
        ORDER BY v.id DESC`,
       params
     );
 
     // Generate CSV (voucher code only, no separate password)
-    const headers = ['Voucher Code', 'Plan', 'Price (UGX)', 'Status', 'Created', 'Expires', 'Used'];
+    const headers = ['Voucher Code', 'Plan', 'Price (UGX)', 'Status', 'Batch', 'Created', 'Expires', 'Used'];
     const rows = vouchers.map(v => [
       v.code,
       v.plan_name,
       v.price_ugx,
       v.status,
+      v.batch_ref || '',
       v.created_at ? new Date(v.created_at).toISOString() : '',
       v.expires_at ? new Date(v.expires_at).toISOString() : '',
       v.used_at ? new Date(v.used_at).toISOString() : ''
@@ -1619,6 +1992,72 @@ router.get("/api/vouchers/export/csv", requireAdmin, async (req, res) => {
   }
 });
 
+// Import vouchers from a CSV/XLSX file (sent as a base64 data URL).
+// dry_run (default) only validates and returns the preview; otherwise the
+// valid rows are imported and rows with errors are skipped.
+router.post("/api/vouchers/import", requireAdmin, async (req, res) => {
+  try {
+    const { file, filename = "", mapping = null, default_plan_id = null, activate_radius = false } = req.body;
+    const dryRun = req.body.dry_run !== false;
+
+    const matches = typeof file === "string" && file.match(/^data:[^;]*;base64,(.*)$/);
+    if (!matches) {
+      return res.status(400).json({ ok: false, message: "No file provided" });
+    }
+
+    const { headers, rows } = await voucherImport.parseFile(Buffer.from(matches[1], "base64"), filename);
+    if (!rows.length) {
+      return res.status(400).json({ ok: false, message: "The file has no voucher rows" });
+    }
+
+    const columns = mapping || voucherImport.suggestMapping(headers);
+    const items = await voucherImport.validateRows({ rows, mapping: columns, defaultPlanId: default_plan_id });
+    const valid = items.filter((i) => !i.errors.length);
+
+    const summary = {
+      total: items.length,
+      valid: valid.length,
+      invalid: items.length - valid.length,
+      warnings: items.filter((i) => i.warnings.length).length
+    };
+
+    if (dryRun) {
+      return res.json({
+        ok: true,
+        headers,
+        mapping: columns,
+        summary,
+        preview: valid.slice(0, 20),
+        problems: items.filter((i) => i.errors.length || i.warnings.length).slice(0, 500)
+      });
+    }
+
+    if (!valid.length) {
+      return res.status(400).json({ ok: false, message: "No valid rows to import", summary });
+    }
+
+    const result = await voucherImport.importVouchers({
+      items: valid,
+      activateRadius: !!activate_radius,
+      filename: String(filename).slice(0, 200),
+      createdBy: req.session.admin?.id || null,
+      actor: lifecycle.adminActor(req.session.admin)
+    });
+
+    res.json({
+      ok: true,
+      message: `Imported ${result.imported} voucher(s)` +
+        (summary.invalid ? `, skipped ${summary.invalid} row(s) with errors` : "") +
+        (activate_radius ? `, activated ${result.activated} in RADIUS` : ""),
+      summary,
+      ...result
+    });
+  } catch (e) {
+    console.error("Import vouchers error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
 // ============ VOUCHER SECURITY API ENDPOINTS ============
 
 // Get suspicious activity report
@@ -1848,12 +2287,28 @@ router.get("/api/plans/all", requireAdmin, async (req, res) => {
 // Create new plan
 router.post("/api/plans", requireAdmin, async (req, res) => {
   try {
-    const { code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb } = req.body;
+    const { code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb, data_cap_action, throttle_kbps, validity_start, plan_type, airtime_minutes, max_devices, code_length, code_alphabet, code_prefix, code_check_digit } = req.body;
 
     // Validation
     if (!code || !name || !price_ugx || !duration_minutes) {
       return res.status(400).json({ ok: false, message: "Code, name, price, and duration are required" });
     }
+    if (plan_type === "airtime" && !(parseInt(airtime_minutes) > 0)) {
+      return res.status(400).json({ ok: false, message: "Airtime plans need an airtime budget in minutes" });
+    }
+    if (data_cap_action === "throttle" && !(parseInt(throttle_kbps) > 0)) {
+      return res.status(400).json({ ok: false, message: "Throttled data caps need a throttle speed in kbps" });
+    }
+    if (max_devices !== undefined && max_devices !== null && max_devices !== "" && !(parseInt(max_devices) >= 1)) {
+      return res.status(400).json({ ok: false, message: "Devices per voucher must be at least 1" });
+    }
+    if (code_length !== undefined && code_length !== null && code_length !== "" &&
+        !(parseInt(code_length) >= voucherCodes.MIN_LENGTH && parseInt(code_length) <= voucherCodes.MAX_LENGTH)) {
+      return res.status(400).json({ ok: false, message: `Voucher code length must be between ${voucherCodes.MIN_LENGTH} and ${voucherCodes.MAX_LENGTH}` });
+    }
+    if (code_prefix && !new RegExp(`^[A-Za-z0-9]{1,${voucherCodes.MAX_PREFIX_LENGTH}}$`).test(code_prefix)) {
+      return res.status(400).json({ ok: false, message: `Voucher code prefix must be up to ${voucherCodes.MAX_PREFIX_LENGTH} letters or digits` });
+    }
 
     // Check if code already exists
     const [[existing]] = await portalDB.query("SELECT id FROM plans WHERE code = ?", [code]);
@@ -1862,8 +2317,9 @@ router.post("/api/plans", requireAdmin, async (req, res) => {
     }
 
     const [result] = await portalDB.query(
-      `INSERT INTO plans (code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb, is_active)
-       VALUES (?, ?, ?, ?, ?, ?, ?, 1)`,
+      `INSERT INTO plans (code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb, data_cap_action, throttle_kbps, validity_start, plan_type, airtime_minutes, max_devices,
+        code_length, code_alphabet, code_prefix, code_check_digit, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
       [
         code.toUpperCase(),
         name,
@@ -1871,10 +2327,23 @@ router.post("/api/plans", requireAdmin, async (req, res) => {
         parseInt(duration_minutes),
         speed_down_kbps ? parseInt(speed_down_kbps) : null,
         speed_up_kbps ? parseInt(speed_up_kbps) : null,
-        data_mb ? parseInt(data_mb) : null
+        data_mb ? parseInt(data_mb) : null,
+        data_cap_action === "throttle" ? "throttle" : "disconnect",
+        data_cap_action === "throttle" ? parseInt(throttle_kbps) : null,
+        validity_start === "first_login" ? "first_login" : "activation",
+        plan_type === "airtime" ? "airtime" : "duration",
+        plan_type === "airtime" ? parseInt(airtime_minutes) : null,
+        parseInt(max_devices) || 1,
+        parseInt(code_length) || voucherCodes.DEFAULT_FORMAT.length,
+        code_alphabet === "alphanumeric" ? "alphanumeric" : "numeric",
+        code_prefix ? code_prefix.toUpperCase() : null,
+        code_check_digit === true || code_check_digit === "true" ? 1 : 0
       ]
     );
 
+    // Mirror the plan to its FreeRADIUS group
+    await planService.syncPlanGroup(result.insertId);
+
     res.json({ ok: true, message: "Plan created", id: result.insertId });
   } catch (e) {
     console.error("Create plan error:", e);
@@ -1882,6 +2351,25 @@ router.post("/api/plans", requireAdmin, async (req, res) => {
   }
 });
 
+// Move existing voucher users from per-user plan attributes to plan groups
+router.post("/api/plans/migrate-groups", requireAdmin, requireSuperAdmin, async (req, res) => {
+  try {
+    const dryRun = req.body.dry_run === true || req.body.dry_run === "true";
+    const result = await planService.migrateUsersToGroups({ dryRun });
+
+    res.json({
+      ok: true,
+      message: dryRun
+        ? `${result.totalUsers} user(s) across ${result.plans.length} plan(s) would be migrated`
+        : `Migrated ${result.totalUsers} user(s) across ${result.plans.length} plan(s) to plan groups`,
+      ...result
+    });
+  } catch (e) {
+    console.error("Migrate plan groups error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
 // Get single plan
 router.get("/api/plans/:id", requireAdmin, async (req, res) => {
   try {
@@ -1905,7 +2393,7 @@ router.get("/api/plans/:id", requireAdmin, async (req, res) => {
 // Update plan
 router.put("/api/plans/:id", requireAdmin, async (req, res) => {
   try {
-    const { code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb } = req.body;
+    const { code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb, data_cap_action, throttle_kbps, validity_start, plan_type, airtime_minutes, max_devices, code_length, code_alphabet, code_prefix, code_check_digit } = req.body;
 
     // Check plan exists
     const [[existing]] = await portalDB.query("SELECT id FROM plans WHERE id = ?", [req.params.id]);
@@ -1917,6 +2405,22 @@ router.put("/api/plans/:id", requireAdmin, async (req, res) => {
     if (!code || !name || !price_ugx || !duration_minutes) {
       return res.status(400).json({ ok: false, message: "Code, name, price, and duration are required" });
     }
+    if (plan_type === "airtime" && !(parseInt(airtime_minutes) > 0)) {
+      return res.status(400).json({ ok: false, message: "Airtime plans need an airtime budget in minutes" });
+    }
+    if (data_cap_action === "throttle" && !(parseInt(throttle_kbps) > 0)) {
+      return res.status(400).json({ ok: false, message: "Throttled data caps need a throttle speed in kbps" });
+    }
+    if (max_devices !== undefined && max_devices !== null && max_devices !== "" && !(parseInt(max_devices) >= 1)) {
+      return res.status(400).json({ ok: false, message: "Devices per voucher must be at least 1" });
+    }
+    if (code_length !== undefined && code_length !== null && code_length !== "" &&
+        !(parseInt(code_length) >= voucherCodes.MIN_LENGTH && parseInt(code_length) <= voucherCodes.MAX_LENGTH)) {
+      return res.status(400).json({ ok: false, message: `Voucher code length must be between ${voucherCodes.MIN_LENGTH} and ${voucherCodes.MAX_LENGTH}` });
+    }
+    if (code_prefix && !new RegExp(`^[A-Za-z0-9]{1,${voucherCodes.MAX_PREFIX_LENGTH}}$`).test(code_prefix)) {
+      return res.status(400).json({ ok: false, message: `Voucher code prefix must be up to ${voucherCodes.MAX_PREFIX_LENGTH} letters or digits` });
+    }
 
     // Check if code exists for another plan
     const [[codeExists]] = await portalDB.query(
@@ -1930,7 +2434,9 @@ router.put("/api/plans/:id", requireAdmin, async (req, res) => {
     await portalDB.query(
       `UPDATE plans SET
         code = ?, name = ?, price_ugx = ?, duration_minutes = ?,
-        speed_down_kbps = ?, speed_up_kbps = ?, data_mb = ?
+        speed_down_kbps = ?, speed_up_kbps = ?, data_mb = ?, data_cap_action = ?, throttle_kbps = ?, validity_start = ?,
+        plan_type = ?, airtime_minutes = ?, max_devices = ?,
+        code_length = ?, code_alphabet = ?, code_prefix = ?, code_check_digit = ?
        WHERE id = ?`,
       [
         code.toUpperCase(),
@@ -1940,11 +2446,41 @@ router.put("/api/plans/:id", requireAdmin, async (req, res) => {
         speed_down_kbps ? parseInt(speed_down_kbps) : null,
         speed_up_kbps ? parseInt(speed_up_kbps) : null,
         data_mb ? parseInt(data_mb) : null,
+        data_cap_action === "throttle" ? "throttle" : "disconnect",
+        data_cap_action === "throttle" ? parseInt(throttle_kbps) : null,
+        validity_start === "first_login" ? "first_login" : "activation",
+        plan_type === "airtime" ? "airtime" : "duration",
+        plan_type === "airtime" ? parseInt(airtime_minutes) : null,
+        parseInt(max_devices) || 1,
+        parseInt(code_length) || voucherCodes.DEFAULT_FORMAT.length,
+        code_alphabet === "alphanumeric" ? "alphanumeric" : "numeric",
+        code_prefix ? code_prefix.toUpperCase() : null,
+        code_check_digit === true || code_check_digit === "true" ? 1 : 0,
         req.params.id
       ]
     );
 
-    res.json({ ok: true, message: "Plan updated" });
+    // Rewrite the plan's FreeRADIUS group; every voucher on the plan picks it up
+    await planService.syncPlanGroup(req.params.id);
+    // Per-user items of the members are brought in line by the Plan member refresh job
+    await planService.queueMemberRefresh(req.params.id);
+
+    // Push the new limits to users already online on this plan
+    let coa;
+    try {
+      coa = await planService.pushPlanToActiveSessions(req.params.id, {
+        requestedBy: req.session.admin.id
+      });
+    } catch (pushErr) {
+      console.error("Push plan to sessions error:", pushErr);
+      return res.json({ ok: true, message: `Plan updated, but active sessions could not be updated: ${pushErr.message}` });
+    }
+
+    const message = coa.total === 0
+      ? "Plan updated"
+      : `Plan updated. Pushed new limits to ${coa.acked} of ${coa.total} active session(s).`;
+
+    res.json({ ok: true, message, coa: { users: coa.users, total: coa.total, acked: coa.acked, sessions: coa.sessions } });
   } catch (e) {
     console.error("Update plan error:", e);
     res.status(500).json({ ok: false, message: e.message });
@@ -1991,6 +2527,7 @@ router.delete("/api/plans/:id", requireAdmin, async (req, res) => {
     }
 
     await portalDB.query("DELETE FROM plans WHERE id = ?", [req.params.id]);
+    await planService.removePlanGroup(req.params.id);
     res.json({ ok: true, message: "Plan deleted" });
   } catch (e) {
     res.status(500).json({ ok: false, message: e.message });
@@ -2132,16 +2669,27 @@ router.post("/api/settings/reset", requireAdmin, requireSuperAdmin, async (req,
 
 // ============ PAYMENT PROVIDER API ENDPOINTS ============
 
-// Get all payment providers
+/**
+ * Provider configuration for the admin API: secret credentials masked, plus
+ * what the settings page needs to render the provider's form
+ */
+function providerResponse(provider) {
+  const definition = paymentRegistry.getProvider(provider.provider_code);
+  return {
+    ...provider,
+    credentials: paymentRegistry.maskCredentials(provider.provider_code, provider.credentials),
+    definition: definition ? paymentRegistry.describe(definition) : null
+  };
+}
+
+// Get all payment providers (registered ones, in registration order)
 router.get("/api/payment-providers", requireAdmin, async (req, res) => {
   try {
     const providers = await paymentProviderService.getAllProviders();
-    // Mask sensitive credentials in response
-    const maskedProviders = providers.map(p => ({
-      ...p,
-      credentials: maskCredentials(p.credentials, p.provider_code)
-    }));
-    res.json({ ok: true, providers: maskedProviders });
+    const registered = paymentRegistry.listProviders()
+      .map((definition) => providers.find((p) => p.provider_code === definition.code))
+      .filter(Boolean);
+    res.json({ ok: true, providers: registered.map(providerResponse) });
   } catch (e) {
     console.error("Get payment providers error:", e);
     res.status(500).json({ ok: false, message: e.message });
@@ -2155,12 +2703,7 @@ router.get("/api/payment-providers/:code", requireAdmin, async (req, res) => {
     if (!provider) {
       return res.status(404).json({ ok: false, message: "Provider not found" });
     }
-    // Mask sensitive credentials
-    const masked = {
-      ...provider,
-      credentials: maskCredentials(provider.credentials, provider.provider_code)
-    };
-    res.json({ ok: true, provider: masked });
+    res.json({ ok: true, provider: providerResponse(provider) });
   } catch (e) {
     console.error("Get payment provider error:", e);
     res.status(500).json({ ok: false, message: e.message });
@@ -2183,12 +2726,14 @@ router.put("/api/payment-providers/:code", requireAdmin, requireSuperAdmin, asyn
       return res.status(404).json({ ok: false, message: "Provider not found" });
     }
 
-    // Merge credentials (only update fields that are provided and not masked)
+    // Merge credentials (only fields in the provider's schema that are provided and not masked)
+    const definition = paymentRegistry.getProvider(req.params.code);
+    const schemaKeys = definition ? definition.credentialSchema.map((field) => field.key) : [];
     let updatedCredentials = currentProvider.credentials || {};
     if (credentials) {
       for (const [key, value] of Object.entries(credentials)) {
         // Only update if value is provided and not a masked placeholder
-        if (value !== undefined && value !== null && !String(value).includes("••••")) {
+        if (schemaKeys.includes(key) && value !== undefined && value !== null && !String(value).includes("••••")) {
           updatedCredentials[key] = value;
         }
       }
@@ -2203,10 +2748,7 @@ router.put("/api/payment-providers/:code", requireAdmin, requireSuperAdmin, asyn
     res.json({
       ok: true,
       message: "Payment provider updated",
-      provider: {
-        ...updated,
-        credentials: maskCredentials(updated.credentials, updated.provider_code)
-      }
+      provider: providerResponse(updated)
     });
   } catch (e) {
     console.error("Update payment provider error:", e);
@@ -2291,33 +2833,6 @@ router.delete("/api/mikrotik/bindings/:mac", requireAdmin, async (req, res) => {
   }
 });
 
-/**
- * Mask sensitive credential values for display
- */
-function maskCredentials(credentials, providerCode) {
-  if (!credentials) return {};
-
-  const masked = { ...credentials };
-  const sensitiveFields = {
-    flutterwave: ["secret_key", "webhook_hash"],
-    yopayments: ["api_password"]
-  };
-
-  const fieldsToMask = sensitiveFields[providerCode] || [];
-  for (const field of fieldsToMask) {
-    if (masked[field]) {
-      // Show first 4 and last 4 characters with masking in between
-      const val = String(masked[field]);
-      if (val.length > 8) {
-        masked[field] = val.slice(0, 4) + "••••••••" + val.slice(-4);
-      } else if (val.length > 0) {
-        masked[field] = "••••••••";
-      }
-    }
-  }
-  return masked;
-}
-
 // ============ FINANCE API ENDPOINTS ============
 
 // Ensure payment_logs table exists
@@ -2328,6 +2843,7 @@ async function ensurePaymentLogsTable() {
         id INT AUTO_INCREMENT PRIMARY KEY,
         order_id INT,
         provider_code VARCHAR(50) NOT NULL,
+        entry_type ENUM('payment', 'refund') NOT NULL DEFAULT 'payment',
         transaction_ref VARCHAR(100),
         provider_tx_id VARCHAR(100),
         amount DECIMAL(15, 2) NOT NULL,
@@ -2344,7 +2860,8 @@ async function ensurePaymentLogsTable() {
         INDEX idx_provider_code (provider_code),
         INDEX idx_transaction_ref (transaction_ref),
         INDEX idx_status (status),
-        INDEX idx_initiated_at (initiated_at)
+        INDEX idx_initiated_at (initiated_at),
+        INDEX idx_entry_type (entry_type)
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
   } catch (e) {
@@ -2370,6 +2887,11 @@ async function ensureWithdrawalsTable() {
         processed_at TIMESTAMP NULL,
         completed_at TIMESTAMP NULL,
         notes TEXT,
+        payout_provider VARCHAR(50) DEFAULT NULL,
+        payout_ref VARCHAR(100) DEFAULT NULL,
+        payout_status VARCHAR(30) DEFAULT NULL,
+        payout_message VARCHAR(255) DEFAULT NULL,
+        payout_checked_at DATETIME DEFAULT NULL,
         INDEX idx_withdrawal_ref (withdrawal_ref),
         INDEX idx_status (status),
         INDEX idx_requested_at (requested_at)
@@ -2407,18 +2929,32 @@ router.get("/api/finance/summary", requireAdmin, async (req, res) => {
       }
     };
 
-    // Calculate totals from orders table
+    // Refunds (not failed) from payment_logs, deducted from revenue in the
+    // period they were made
+    const totalRefunds = await safeSum(
+      "SELECT COALESCE(SUM(amount), 0) AS total FROM payment_logs WHERE entry_type = 'refund' AND status IN ('pending','success')"
+    );
+
+    const monthlyRefunds = await safeSum(
+      "SELECT COALESCE(SUM(amount), 0) AS total FROM payment_logs WHERE entry_type = 'refund' AND status IN ('pending','success') AND MONTH(initiated_at) = MONTH(CURDATE()) AND YEAR(initiated_at) = YEAR(CURDATE())"
+    );
+
+    const dailyRefunds = await safeSum(
+      "SELECT COALESCE(SUM(amount), 0) AS total FROM payment_logs WHERE entry_type = 'refund' AND status IN ('pending','success') AND DATE(initiated_at) = CURDATE()"
+    );
+
+    // Calculate totals from orders table, net of refunds
     const totalRevenue = await safeSum(
       "SELECT COALESCE(SUM(amount_ugx), 0) AS total FROM orders WHERE status IN ('PAID','SUCCESS','COMPLETED') OR paid_at IS NOT NULL"
-    );
+    ) - totalRefunds;
 
     const monthlyRevenue = await safeSum(
       "SELECT COALESCE(SUM(amount_ugx), 0) AS total FROM orders WHERE (status IN ('PAID','SUCCESS','COMPLETED') OR paid_at IS NOT NULL) AND MONTH(paid_at) = MONTH(CURDATE()) AND YEAR(paid_at) = YEAR(CURDATE())"
-    );
+    ) - monthlyRefunds;
 
     const dailyRevenue = await safeSum(
       "SELECT COALESCE(SUM(amount_ugx), 0) AS total FROM orders WHERE (status IN ('PAID','SUCCESS','COMPLETED') OR paid_at IS NOT NULL) AND DATE(paid_at) = CURDATE()"
-    );
+    ) - dailyRefunds;
 
     const pendingPayments = await safeSum(
       "SELECT COALESCE(SUM(amount_ugx), 0) AS total FROM orders WHERE status = 'PENDING'"
@@ -2451,6 +2987,8 @@ router.get("/api/finance/summary", requireAdmin, async (req, res) => {
         totalRevenue,
         monthlyRevenue,
         dailyRevenue,
+        totalRefunds,
+        monthlyRefunds,
         pendingPayments,
         totalWithdrawn,
         pendingWithdrawals,
@@ -2596,6 +3134,144 @@ router.get("/api/finance/withdrawals", requireAdmin, async (req, res) => {
   }
 });
 
+// Get payment webhook events (rejected callbacks by default)
+router.get("/api/finance/webhook-events", requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const status = req.query.status === undefined ? "REJECTED" : req.query.status || null;
+    const provider = req.query.provider || null;
+
+    const { events, total } = await webhookEvents.listEvents({ status, provider, page, limit });
+
+    res.json({
+      ok: true,
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (e) {
+    console.error("Get webhook events error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Get reconciliation runs
+router.get("/api/finance/reconciliation/runs", requireAdmin, async (req, res) => {
+  try {
+    const runs = await reconciliation.listRuns(10);
+    res.json({ ok: true, runs, running: runs.some((r) => r.status === "RUNNING") });
+  } catch (e) {
+    console.error("Get reconciliation runs error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Start a reconciliation run (runs in the background)
+router.post("/api/finance/reconciliation/runs", requireAdmin, async (req, res) => {
+  try {
+    const { date_from, date_to } = req.body;
+
+    const error = reconciliation.rangeError(date_from, date_to);
+    if (error) {
+      return res.status(400).json({ ok: false, message: error });
+    }
+    if (await reconciliation.isRunning()) {
+      return res.status(409).json({ ok: false, message: "A reconciliation is already running" });
+    }
+
+    reconciliation.runReconciliation({ from: date_from, to: date_to, triggeredBy: req.session.admin.id })
+      .then((result) => console.log(`Reconciliation ${date_from} to ${date_to}: checked ${result.checked}, flagged ${result.flagged}`))
+      .catch((e) => console.error("Reconciliation error:", e));
+
+    res.json({ ok: true, message: "Reconciliation started" });
+  } catch (e) {
+    console.error("Start reconciliation error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Get flagged reconciliation items (open ones by default)
+router.get("/api/finance/reconciliation/items", requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const status = req.query.status === undefined ? "OPEN" : req.query.status || null;
+    const issue = reconciliation.ISSUES.includes(req.query.issue) ? req.query.issue : null;
+    const provider = req.query.provider || null;
+
+    const { items, total } = await reconciliation.listItems({ status, issue, provider, page, limit });
+
+    res.json({
+      ok: true,
+      items: items.map((i) => ({
+        ...i,
+        details: typeof i.details === "string" ? JSON.parse(i.details) : i.details || {}
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (e) {
+    console.error("Get reconciliation items error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Resolve a flagged reconciliation item (fulfil, cancel or dismiss)
+router.post("/api/finance/reconciliation/items/:id/resolve", requireAdmin, requireSuperAdmin, async (req, res) => {
+  try {
+    const { action, note } = req.body;
+    const result = await reconciliation.resolveItem(parseInt(req.params.id), action, req.session.admin, note ? String(note).trim() : null);
+    res.status(result.ok ? 200 : 400).json(result);
+  } catch (e) {
+    console.error("Resolve reconciliation item error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Refund a paid order through its provider, or record a manual refund
+router.post("/api/finance/payments/:id/refund", requireAdmin, requireSuperAdmin, async (req, res) => {
+  try {
+    const { reason, manual } = req.body;
+    const result = await refundService.refundOrder(parseInt(req.params.id), {
+      reason: reason ? String(reason).trim() : null,
+      admin: req.session.admin,
+      manual: manual === true
+    });
+    res.status(result.ok ? 200 : 400).json(result);
+  } catch (e) {
+    console.error("Refund order error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
+// Settle a refund the provider did not answer, after checking with the provider
+router.post("/api/finance/payments/:id/refund/settle", requireAdmin, requireSuperAdmin, async (req, res) => {
+  try {
+    const { refunded, note } = req.body;
+    if (typeof refunded !== "boolean") {
+      return res.status(400).json({ ok: false, message: "refunded must be true or false" });
+    }
+    const result = await refundService.settleRefund(parseInt(req.params.id), {
+      refunded,
+      admin: req.session.admin,
+      note: note ? String(note).trim() : null
+    });
+    res.status(result.ok ? 200 : 400).json(result);
+  } catch (e) {
+    console.error("Settle refund error:", e);
+    res.status(500).json({ ok: false, message: e.message });
+  }
+});
+
 // Create withdrawal request
 router.post("/api/finance/withdrawals", requireAdmin, async (req, res) => {
   try {
@@ -2646,7 +3322,7 @@ router.patch("/api/finance/withdrawals/:id", requireAdmin, requireSuperAdmin, as
     }
 
     const [[withdrawal]] = await portalDB.query(
-      "SELECT id, status FROM withdrawals WHERE id = ?",
+      "SELECT id, status, destination_type FROM withdrawals WHERE id = ?",
       [req.params.id]
     );
 
@@ -2659,6 +3335,12 @@ router.patch("/api/finance/withdrawals/:id", requireAdmin, requireSuperAdmin, as
       return res.status(400).json({ ok: false, message: "Cannot modify completed or failed withdrawals" });
     }
 
+    // Approved mobile money withdrawals are paid out through Yo Payments
+    if (status === "processing" && withdrawal.destination_type === "mobile_money" && await payouts.isAvailable()) {
+      const result = await payouts.approvePayout(withdrawal.id, req.session.admin, notes || null);
+      return res.status(result.ok ? 200 : 400).json(result);
+    }
+
     let updateQuery = "UPDATE withdrawals SET status = ?";
     let params = [status];
 
@@ -0,0 +1,472 @@
+const express = require("express");
+const { nanoid } = require("nanoid");
+const portalDB = require("../config/db.portal");
+const paymentRegistry = require("../services/payment-registry.service");
+const paymentProviderService = require("../services/payment-provider.service");
+const mikrotikService = require("../services/mikrotik.service");
+const voucherCodes = require("../services/voucher-code.service");
+const topupService = require("../services/topup.service");
+const fulfilment = require("../services/order-fulfilment.service");
+const webhookEvents = require("../services/webhook-event.service");
+const { formatPlanDisplay } = require("../services/plan.service");
+
+/**
+ * Payment routes shared by every provider in the payment registry:
+ *
+ *   POST /api/payments/:provider/init
+ *   GET  /api/payments/:provider/status/:orderRef
+ *   POST /api/payments/:provider/webhook
+ *   GET  /api/payments/:provider/redirect
+ *
+ * The provider does the talking to its API (see payment-registry.service);
+ * orders, customers, payment logs and fulfilment are handled here.
+ */
+const router = express.Router();
+
+// Resolve :provider to a registered provider
+router.param("provider", (req, res, next, code) => {
+  req.paymentProvider = paymentRegistry.getProvider(code);
+  if (!req.paymentProvider) {
+    return res.status(404).json({ ok: false, message: "Unknown payment provider" });
+  }
+  next();
+});
+
+/**
+ * Get or create customer by MSISDN
+ */
+async function getOrCreateCustomer(msisdn) {
+  const [rows] = await portalDB.query(
+    "SELECT id FROM customers WHERE msisdn=? LIMIT 1",
+    [msisdn]
+  );
+  if (rows.length) return rows[0].id;
+
+  // Create new (msisdn is UNIQUE, so this is safe even with concurrency)
+  const email = `${msisdn}@bula.local`;
+  await portalDB.query(
+    "INSERT INTO customers (msisdn, email) VALUES (?, ?)",
+    [msisdn, email]
+  );
+
+  const [rows2] = await portalDB.query(
+    "SELECT id FROM customers WHERE msisdn=? LIMIT 1",
+    [msisdn]
+  );
+  return rows2[0].id;
+}
+
+/**
+ * Log payment event
+ */
+async function logPayment(data) {
+  try {
+    await portalDB.query(`
+      INSERT INTO payment_logs
+      (order_id, provider_code, transaction_ref, provider_tx_id, amount, currency, status, status_message, request_payload, response_payload, customer_msisdn, payment_method, initiated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+    `, [
+      data.order_id || null,
+      data.provider_code,
+      data.transaction_ref || null,
+      data.provider_tx_id || null,
+      data.amount || 0,
+      data.currency || 'UGX',
+      data.status || 'initiated',
+      data.status_message || null,
+      data.request_payload ? JSON.stringify(data.request_payload) : null,
+      data.response_payload ? JSON.stringify(data.response_payload) : null,
+      data.customer_msisdn || null,
+      data.payment_method || 'mobile_money'
+    ]);
+  } catch (e) {
+    console.error("Error logging payment:", e.message);
+  }
+}
+
+/**
+ * POST /api/payments/:provider/init
+ * Body: { msisdn, planCode, customerMac?, customerIp?, linkLogin?, topupCode? }
+ *
+ * Creates a PENDING order and starts the payment with the provider. The
+ * portal then sends the customer to redirectUrl (hosted payment page or
+ * the pending page). With topupCode the plan is added to that existing
+ * voucher instead of a new one.
+ */
+router.post("/:provider/init", async (req, res) => {
+  const provider = req.paymentProvider;
+  try {
+    const { msisdn, planCode, customerMac, customerIp, linkLogin, topupCode } = req.body || {};
+
+    if (!msisdn || !planCode) {
+      return res.status(400).json({ ok: false, message: "msisdn and planCode required" });
+    }
+
+    // Check if the provider is enabled and configured
+    const isEnabled = await paymentProviderService.isProviderEnabled(provider.code);
+    if (!isEnabled) {
+      return res.status(400).json({ ok: false, message: `${provider.displayName} is not enabled` });
+    }
+    const isAvailable = await provider.isAvailable();
+    if (!isAvailable) {
+      return res.status(500).json({ ok: false, message: `${provider.displayName} is not configured` });
+    }
+
+    // Get plan
+    const [plans] = await portalDB.query(
+      "SELECT id, code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb, code_length, code_alphabet, code_prefix, code_check_digit FROM plans WHERE code=? AND is_active=1 LIMIT 1",
+      [planCode]
+    );
+    const plan = plans[0];
+    if (!plan) {
+      return res.status(404).json({ ok: false, message: "Plan not found" });
+    }
+
+    // Top-up of an existing voucher/order, or a new voucher
+    let topupTarget = null;
+    if (topupCode) {
+      try {
+        topupTarget = await topupService.getTopupTarget(voucherCodes.normalizeCode(topupCode));
+      } catch (e) {
+        return res.status(400).json({ ok: false, message: e.message });
+      }
+    }
+
+    // Generate a unique voucher code in the plan's format, activated only once paid
+    const voucherCode = topupTarget ? null : await voucherCodes.generateCode(plan);
+    const orderRef = `${provider.orderRefPrefix}_${nanoid(14)}`;
+
+    const customerMsisdn = provider.formatMsisdn ? provider.formatMsisdn(msisdn) : msisdn;
+    const customerId = await getOrCreateCustomer(customerMsisdn);
+
+    // Normalize MAC address if provided
+    const normalizedMac = customerMac ? mikrotikService.normalizeMacAddress(customerMac) : null;
+
+    // Create order
+    await portalDB.query(
+      `INSERT INTO orders (order_ref, customer_id, plan_id, username, password, amount_ugx, status, payment_provider, customer_mac, customer_ip, mikrotik_login_url,
+                           order_type, topup_username, parent_order_id, parent_voucher_id)
+       VALUES (?, ?, ?, ?, ?, ?, 'PENDING', ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [orderRef, customerId, plan.id, voucherCode, voucherCode, plan.price_ugx, provider.orderCode, normalizedMac, customerIp || null, linkLogin || null,
+        ...topupService.orderLinkValues(topupTarget)]
+    );
+
+    const [[order]] = await portalDB.query(
+      "SELECT id, order_ref, amount_ugx FROM orders WHERE order_ref = ?",
+      [orderRef]
+    );
+
+    // Log payment initiation
+    await logPayment({
+      order_id: order?.id,
+      provider_code: provider.code,
+      transaction_ref: orderRef,
+      amount: plan.price_ugx,
+      customer_msisdn: customerMsisdn,
+      payment_method: provider.paymentMethod ? provider.paymentMethod(msisdn) : undefined,
+      status: 'initiated',
+      request_payload: { msisdn, planCode, topupCode: topupTarget ? topupTarget.username : undefined }
+    });
+
+    const result = await provider.initiate({ order, plan, msisdn });
+
+    // Update order with the provider's reference
+    if (result.providerRef) {
+      await portalDB.query(
+        "UPDATE orders SET provider_ref = ? WHERE order_ref = ?",
+        [result.providerRef, orderRef]
+      );
+    }
+
+    await fulfilment.updatePaymentLog(orderRef, result.ok ? 'pending' : 'failed', result.raw);
+
+    if (!result.ok) {
+      return res.status(400).json({
+        ok: false,
+        message: result.message || "Failed to initiate payment",
+        orderRef
+      });
+    }
+
+    return res.json({
+      ok: true,
+      orderRef,
+      redirectUrl: result.redirectUrl,
+      message: result.message,
+      plan,
+      voucher: { code: voucherCode || topupTarget.username },
+      topup: !!topupTarget
+    });
+  } catch (e) {
+    console.error(`${provider.displayName} init error:`, e);
+    return res.status(500).json({ ok: false, message: "Server error", detail: e.message });
+  }
+});
+
+/**
+ * GET /api/payments/:provider/status/:orderRef
+ *
+ * Payment status of an order, checked with the provider while it is open.
+ */
+router.get("/:provider/status/:orderRef", async (req, res) => {
+  const provider = req.paymentProvider;
+  try {
+    const [[order]] = await portalDB.query(
+      "SELECT id, order_ref, order_type, status, amount_ugx, plan_id, COALESCE(username, topup_username) AS username, COALESCE(password, topup_username) AS password, provider_ref, provider_tx_id, customer_mac, customer_ip FROM orders WHERE order_ref = ? AND payment_provider = ?",
+      [req.params.orderRef, provider.orderCode]
+    );
+
+    if (!order) {
+      return res.status(404).json({ ok: false, message: "Order not found" });
+    }
+
+    // If already paid, return success
+    if (order.status === "PAID") {
+      return res.json({
+        ok: true,
+        status: "PAID",
+        message: "Payment completed",
+        voucher: { code: order.username }
+      });
+    }
+
+    const result = await fulfilment.settleOrder(provider, order);
+
+    if (result.status === "PAID") {
+      return res.json({
+        ok: true,
+        status: "PAID",
+        message: result.message,
+        voucher: { code: order.username },
+        autoLogin: result.autoLogin
+      });
+    }
+    if (result.status === "FAILED") {
+      return res.json({ ok: true, status: "FAILED", message: result.message });
+    }
+
+    // Timed out while pending (see pending-order.service)
+    if (order.status === "EXPIRED") {
+      return res.json({
+        ok: true,
+        status: "EXPIRED",
+        message: "Payment request timed out. Please try again."
+      });
+    }
+
+    // Still pending
+    return res.json({
+      ok: true,
+      status: "PENDING",
+      message: "Payment is still being processed"
+    });
+  } catch (e) {
+    console.error(`${provider.displayName} status error:`, e);
+    return res.status(500).json({ ok: false, message: "Server error", detail: e.message });
+  }
+});
+
+/**
+ * Apply a verified notification to its order
+ * @returns {Promise<Object>} { status: PROCESSED|REJECTED, reason, orderRef }
+ */
+async function applyWebhook(provider, result, ref) {
+  const [[order]] = await portalDB.query(
+    "SELECT id, order_ref, status, amount_ugx FROM orders WHERE (order_ref = ? OR provider_ref = ?) AND payment_provider = ? LIMIT 1",
+    [ref, ref, provider.orderCode]
+  );
+
+  if (!order) {
+    console.log(`${provider.displayName} webhook: Order not found for ref:`, ref);
+    return { status: "REJECTED", reason: "Order not found" };
+  }
+
+  // If already paid, skip
+  if (order.status === "PAID") {
+    return { status: "PROCESSED", reason: "Order already paid", orderRef: order.order_ref };
+  }
+
+  if (result.status === "success") {
+    if (!fulfilment.matchesOrder(result, order)) {
+      console.error(`${provider.displayName} webhook mismatch:`, {
+        orderRef: order.order_ref, amount: result.amount, currency: result.currency, expected: order.amount_ugx
+      });
+      return {
+        status: "REJECTED",
+        reason: `Paid ${result.amount ?? "?"} ${result.currency || ""}, expected ${order.amount_ugx} UGX`,
+        orderRef: order.order_ref
+      };
+    }
+
+    // Activate, mark paid, auto-login and log - exactly once, so retries
+    // and a concurrent status check are harmless
+    const { fulfilled } = await fulfilment.fulfilOrder(order.id, {
+      provider: provider.orderCode,
+      providerTxId: result.providerTxId,
+      providerRef: result.providerRef || null,
+      payload: result.raw,
+      source: "Webhook"
+    });
+
+    if (fulfilled) console.log(`${provider.displayName} webhook: Payment successful for order:`, order.order_ref);
+    return { status: "PROCESSED", reason: null, orderRef: order.order_ref };
+  }
+
+  if (result.status === "failed") {
+    if (await fulfilment.failOrder(order.id, result.raw)) {
+      console.log(`${provider.displayName} webhook: Payment failed for order:`, order.order_ref);
+    }
+    return { status: "PROCESSED", reason: "Payment failed", orderRef: order.order_ref };
+  }
+
+  return { status: "PROCESSED", reason: "Payment pending", orderRef: order.order_ref };
+}
+
+/**
+ * POST /api/payments/:provider/webhook
+ *
+ * Payment notification from the provider. Also accepted as PUT, which MTN
+ * MoMo uses for its callbacks. Every notification is recorded in
+ * webhook_events:
+ *
+ * - one that fails the provider's verification is rejected with 401
+ * - a verified one is processed once per provider event ID; replays are
+ *   answered with 200 without touching the order
+ * - errors are answered with 500 so the provider retries
+ */
+async function handleWebhook(req, res) {
+  const provider = req.paymentProvider;
+  const details = { payload: req.body, remoteIp: req.ip };
+
+  let result;
+  try {
+    result = await provider.verifyWebhook(req);
+  } catch (e) {
+    console.error(`${provider.displayName} webhook verification error:`, e);
+    await webhookEvents.recordRejected(provider.code, `Verification error: ${e.message}`, details);
+    return res.status(500).send("Error");
+  }
+
+  if (!result || result.rejected) {
+    const reason = result?.rejected || "No payment reference";
+    console.warn(`${provider.displayName} webhook rejected: ${reason}`);
+    await webhookEvents.recordRejected(provider.code, reason, { ...details, orderRef: result?.orderRef || null });
+    return res.status(401).send("Rejected");
+  }
+
+  const ref = result.orderRef || result.providerRef;
+  let event = null;
+  try {
+    event = await webhookEvents.claimEvent(provider.code, result.eventId || `${ref}:${result.status}`, { ...details, orderRef: ref });
+    if (!event.claimed) {
+      console.log(`${provider.displayName} webhook: duplicate event ignored for ref:`, ref);
+      return res.status(200).send("OK");
+    }
+
+    const outcome = await applyWebhook(provider, result, ref);
+    await webhookEvents.finishEvent(event.id, outcome);
+    return res.status(200).send("OK");
+  } catch (e) {
+    console.error(`${provider.displayName} webhook error:`, e);
+    if (event?.claimed) await webhookEvents.releaseEvent(event.id);
+    return res.status(500).send("Error");
+  }
+}
+
+router.post("/:provider/webhook", handleWebhook);
+router.put("/:provider/webhook", handleWebhook);
+
+/**
+ * GET /api/payments/:provider/redirect?orderRef=
+ *
+ * Where the customer lands once the payment is done (or from the pending
+ * page): shows the voucher when paid, checking with the provider first.
+ */
+router.get("/:provider/redirect", async (req, res) => {
+  const provider = req.paymentProvider;
+  try {
+    const orderRef = String(req.query.orderRef || "");
+
+    if (!orderRef) {
+      return res.render("payment-failed", {
+        message: "Missing order reference",
+        orderRef: null
+      });
+    }
+
+    const [[order]] = await portalDB.query(
+      "SELECT id, order_ref, order_type, status, amount_ugx, plan_id, COALESCE(username, topup_username) AS username, COALESCE(password, topup_username) AS password, provider_ref, provider_tx_id, customer_mac, customer_ip, mikrotik_login_url, autologin_status FROM orders WHERE order_ref = ? AND payment_provider = ?",
+      [orderRef, provider.orderCode]
+    );
+
+    if (!order) {
+      return res.render("payment-failed", {
+        message: "Order not found",
+        orderRef
+      });
+    }
+
+    const [[plan]] = await portalDB.query(
+      "SELECT id, name, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb, data_cap_action, throttle_kbps, validity_start, price_ugx FROM plans WHERE id = ?",
+      [order.plan_id]
+    );
+    const planDisplay = plan ? formatPlanDisplay(plan) : { name: "WiFi Plan", duration_display: "", price_ugx: order.amount_ugx };
+
+    // If already paid
+    if (order.status === "PAID") {
+      return res.render("payment-success", {
+        orderRef,
+        voucher: { username: order.username, password: order.password },
+        plan: planDisplay,
+        autoLogin: {
+          attempted: !!order.autologin_status,
+          success: order.autologin_status === 'success',
+          status: order.autologin_status,
+          mac: order.customer_mac,
+        },
+        linkLogin: order.mikrotik_login_url,
+      });
+    }
+
+    try {
+      const result = await fulfilment.settleOrder(provider, order);
+
+      if (result.status === "PAID") {
+        // Paid meanwhile through the webhook or poller: show it like any paid order
+        if (!result.fulfilled) return res.redirect(req.originalUrl);
+
+        return res.render("payment-success", {
+          orderRef,
+          voucher: { username: order.username, password: order.password },
+          plan: planDisplay,
+          autoLogin: result.autoLogin,
+          linkLogin: order.mikrotik_login_url,
+        });
+      }
+      if (result.status === "FAILED") {
+        return res.render("payment-failed", {
+          message: result.message,
+          orderRef
+        });
+      }
+    } catch (e) {
+      console.error(`Error checking ${provider.displayName} status on redirect:`, e);
+    }
+
+    // Payment still pending - show waiting page
+    return res.render("payment-pending", {
+      orderRef,
+      provider: provider.code,
+      message: "Your payment is being processed. Please check your phone to approve the payment.",
+      checkUrl: `/api/payments/${provider.code}/status/${orderRef}`
+    });
+  } catch (e) {
+    console.error(`${provider.displayName} redirect error:`, e);
+    return res.render("payment-failed", {
+      message: "An error occurred",
+      orderRef: req.query.orderRef || null
+    });
+  }
+});
+
+module.exports = router;
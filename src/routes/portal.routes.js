@@ -3,19 +3,31 @@ const Joi = require("joi");
 const { nanoid } = require("nanoid");
 
 const portalDB = require("../config/db.portal");
-const { activateVoucher } = require("../services/radius.service");
+const planService = require("../services/plan.service");
+const { getVoucherUsage } = require("../services/radius.service");
+const quotaService = require("../services/quota.service");
 const paymentProviderService = require("../services/payment-provider.service");
+const paymentRegistry = require("../services/payment-registry.service");
 const voucherSecurity = require("../services/voucher-security.service");
+const voucherCodes = require("../services/voucher-code.service");
+const topupService = require("../services/topup.service");
 
 const router = express.Router();
 
 /**
- * GET /api/portal/payment-providers
- * Returns list of enabled payment providers for the portal
+ * GET /api/portal/payment-providers?msisdn=
+ * Returns list of enabled payment providers for the portal, in registration
+ * order (the portal uses the first). With msisdn, only those that can charge
+ * that number.
  */
 router.get("/payment-providers", async (req, res, next) => {
   try {
-    const providers = await paymentProviderService.getEnabledProviders();
+    const msisdn = req.query.msisdn ? String(req.query.msisdn) : null;
+    const enabled = await paymentProviderService.getEnabledProviders();
+    const providers = paymentRegistry.listProviders()
+      .filter((definition) => !msisdn || !definition.acceptsMsisdn || definition.acceptsMsisdn(msisdn))
+      .map((definition) => enabled.find((p) => p.provider_code === definition.code))
+      .filter(Boolean);
     res.json({
       ok: true,
       providers: providers.map(p => ({
@@ -34,7 +46,7 @@ router.get("/payment-providers", async (req, res, next) => {
 router.get("/plans", async (req, res, next) => {
   try {
     const [rows] = await portalDB.query(
-      "SELECT id, code, name, price_ugx, duration_minutes, speed_down_kbps, speed_up_kbps FROM plans WHERE is_active=1 ORDER BY price_ugx ASC"
+      "SELECT id, code, name, price_ugx, duration_minutes, plan_type, airtime_minutes, speed_down_kbps, speed_up_kbps, max_devices FROM plans WHERE is_active=1 ORDER BY price_ugx ASC"
     );
     res.json({ ok: true, plans: rows });
   } catch (e) {
@@ -69,8 +81,8 @@ router.post("/purchase/test-pay", async (req, res, next) => {
     );
     const [[cust]] = await portalDB.query("SELECT id FROM customers WHERE msisdn=?", [msisdn]);
 
-    // Generate numeric-only voucher code (5 digits, used as both username and password)
-    const voucherCode = String(Math.floor(10000 + Math.random() * 90000));
+    // Generate a unique voucher code in the plan's format (used as both username and password)
+    const voucherCode = await voucherCodes.generateCode(plan);
     const orderRef = `ORD_${nanoid(14)}`;
 
     // Create order (PAID for test)
@@ -80,15 +92,12 @@ router.post("/purchase/test-pay", async (req, res, next) => {
       [orderRef, cust.id, plan.id, voucherCode, voucherCode, plan.price_ugx]
     );
 
-    // Activate in RADIUS with full plan attributes
+    // Activate in RADIUS on the plan group
     // Voucher code is used as both username and password
-    await activateVoucher({
+    await planService.activatePlanVoucher({
       username: voucherCode,
       password: voucherCode,
-      minutes: plan.duration_minutes,
-      speedDownKbps: plan.speed_down_kbps,
-      speedUpKbps: plan.speed_up_kbps,
-      dataMb: plan.data_mb,
+      plan,
     });
 
     res.json({
@@ -117,8 +126,8 @@ router.post("/purchase/test-pay", async (req, res, next) => {
 router.post("/voucher/validate", async (req, res, next) => {
   try {
     const schema = Joi.object({
-      code: Joi.string().min(5).max(20).pattern(/^\d+$/).required()
-        .messages({ 'string.pattern.base': 'Voucher code must contain only numbers' }),
+      code: Joi.string().custom(voucherCodes.normalizeCode).pattern(voucherCodes.VOUCHER_CODE_PATTERN).required()
+        .messages({ 'string.pattern.base': 'Voucher code must contain only letters and numbers' }),
     });
 
     const { code } = await schema.validateAsync(req.body);
@@ -194,7 +203,7 @@ router.post("/voucher/validate", async (req, res, next) => {
 router.post("/voucher/use", async (req, res, next) => {
   try {
     const schema = Joi.object({
-      code: Joi.string().min(5).max(20).pattern(/^\d+$/).required(),
+      code: Joi.string().custom(voucherCodes.normalizeCode).pattern(voucherCodes.VOUCHER_CODE_PATTERN).required(),
       mac: Joi.string().max(17).optional(),
       sessionId: Joi.string().max(100).optional()
     });
@@ -237,6 +246,13 @@ router.post("/voucher/use", async (req, res, next) => {
       });
     }
 
+    // First-login plans: the validity clock starts now
+    try {
+      await planService.startFirstLoginClock(code);
+    } catch (clockErr) {
+      console.error("Start validity clock error:", clockErr);
+    }
+
     res.json({
       ok: true,
       message: "Voucher marked as used",
@@ -253,9 +269,9 @@ router.post("/voucher/use", async (req, res, next) => {
  */
 router.get("/voucher/status/:code", async (req, res, next) => {
   try {
-    const code = req.params.code;
+    const code = voucherCodes.normalizeCode(req.params.code);
 
-    if (!/^\d{5,20}$/.test(code)) {
+    if (!voucherCodes.VOUCHER_CODE_PATTERN.test(code)) {
       return res.status(400).json({ ok: false, message: "Invalid voucher code format" });
     }
 
@@ -280,14 +296,76 @@ router.get("/voucher/status/:code", async (req, res, next) => {
     // Check for active session
     const sessionCheck = await voucherSecurity.hasActiveSession(code);
 
+    // Time used and remaining (airtime budget and/or validity window)
+    const usage = await getVoucherUsage(code);
+    const dataQuota = await quotaService.getDataQuota(code);
+
+    // Lifecycle state (printed/generated vouchers only, not order usernames)
+    const [[voucher]] = await portalDB.query("SELECT state FROM vouchers WHERE code = ?", [code]);
+
     res.json({
       ok: true,
       status: {
+        state: voucher ? voucher.state : null,
         used: usageCheck.used,
         usedAt: usageCheck.usedAt || null,
         sessionCount: usageCheck.sessionCount || 0,
         hasActiveSession: sessionCheck.active,
-        activeSessionStart: sessionCheck.active ? sessionCheck.startTime : null
+        activeSessionStart: sessionCheck.active ? sessionCheck.startTime : null,
+        timeUsedSeconds: usage.timeUsedSeconds,
+        timeRemainingSeconds: usage.timeRemainingSeconds,
+        expiresAt: usage.expiresAt,
+        airtimeBudgetSeconds: usage.airtime ? usage.airtime.budgetSeconds : null,
+        dataBudgetBytes: dataQuota ? dataQuota.budget_bytes : null,
+        dataUsedBytes: dataQuota ? Number(dataQuota.used_bytes) : null,
+        dataRemainingBytes: dataQuota ? dataQuota.remaining_bytes : null,
+        dataCapStatus: dataQuota ? dataQuota.status : null
+      }
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+/**
+ * POST /api/portal/topup/check
+ * Body: { code }
+ * Check that a voucher can be topped up before paying for it (rate-limited)
+ */
+router.post("/topup/check", async (req, res, next) => {
+  try {
+    const code = voucherCodes.normalizeCode(req.body?.code);
+
+    if (!voucherCodes.VOUCHER_CODE_PATTERN.test(code)) {
+      return res.status(400).json({ ok: false, message: "Invalid voucher code format" });
+    }
+
+    const ipAddress = req.ip || req.connection.remoteAddress || req.headers['x-forwarded-for']?.split(',')[0];
+    const rateCheck = voucherSecurity.checkRateLimit(ipAddress);
+    if (!rateCheck.allowed) {
+      return res.status(429).json({
+        ok: false,
+        message: `Rate limit exceeded. Try again in ${rateCheck.retryAfter} seconds.`,
+        rateLimited: true
+      });
+    }
+
+    let target;
+    try {
+      target = await topupService.getTopupTarget(code);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.message });
+    }
+
+    const plan = await planService.getPlanById(target.plan_id);
+    const usage = await getVoucherUsage(code);
+
+    res.json({
+      ok: true,
+      voucher: {
+        code,
+        planName: plan ? plan.name : null,
+        expiresAt: usage.expiresAt
       }
     });
   } catch (e) {
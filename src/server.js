@@ -1,6 +1,112 @@
 const env = require("./config/env");
 const app = require("./app");
+const scheduler = require("./services/scheduler.service");
+const planService = require("./services/plan.service");
+const quotaService = require("./services/quota.service");
+const voucherJobs = require("./services/voucher-job.service");
+const voucherLifecycle = require("./services/voucher-lifecycle.service");
+const expiryService = require("./services/expiry.service");
+const pendingOrders = require("./services/pending-order.service");
+const reconciliation = require("./services/reconciliation.service");
+const payouts = require("./services/payout.service");
+const refunds = require("./services/refund.service");
 
 app.listen(env.PORT, () => {
   console.log(`Portal API listening on :${env.PORT}`);
 });
+
+const MINUTE = 60 * 1000;
+
+// Start the validity clock of first-login vouchers that connected
+// directly on the hotspot (picked up from radacct)
+scheduler.register("First-login validity sweep", MINUTE, async () => {
+  const started = await planService.startPendingValidityClocks();
+  if (started) return `started validity clock for ${started} first-login voucher(s)`;
+});
+
+// Recompute remaining airtime and data for users with quotas, and
+// disconnect/throttle those who ran out (driven by interim accounting updates)
+scheduler.register("Quota sweep", MINUTE, async () => {
+  const { exhausted, throttled, exceeded } = await quotaService.refreshActiveUsers();
+  if (exhausted || throttled || exceeded) {
+    return `${exhausted} airtime used up, ${throttled} throttled, ${exceeded} over data cap`;
+  }
+});
+
+// Bring the per-user items of edited plans' members in line with the plan
+scheduler.register("Plan member refresh", MINUTE, async () => {
+  const { plans, members } = await planService.refreshQueuedPlans();
+  if (plans) return `refreshed ${members} member(s) of ${plans} edited plan(s)`;
+}, { runAtStart: true });
+
+// Move vouchers past their expiry date or validity window to EXPIRED
+scheduler.register("Voucher expiry sweep", MINUTE, async () => {
+  const expired = await voucherLifecycle.expireDue();
+  if (expired) return `expired ${expired} voucher(s)`;
+});
+
+// Remove RADIUS accounts that expired more than the grace period ago
+scheduler.register("RADIUS cleanup", 60 * MINUTE, async () => {
+  const vouchers = await expiryService.removeExpiredVoucherAccounts();
+  const orders = await expiryService.removeExpiredOrderAccounts();
+  if (vouchers || orders) {
+    return `removed RADIUS accounts of ${vouchers} expired voucher(s) and ${orders} expired order(s)`;
+  }
+}, { runAtStart: true });
+
+// Remove MikroTik bypass bindings past their expiry
+scheduler.register("MAC binding expiry", MINUTE, async () => {
+  const { removed, failed } = await expiryService.expireMacBindings();
+  if (removed || failed) return `removed bindings of ${removed} device(s), ${failed} failed`;
+});
+
+// Close sessions whose NAS stopped sending accounting updates
+scheduler.register("Stale session sweep", 5 * MINUTE, async () => {
+  const closed = await expiryService.closeStaleSessions();
+  if (closed) return `closed ${closed} session(s) with no accounting update for ${env.STALE_SESSION_MINUTES} minutes`;
+}, { runAtStart: true });
+
+// Ask the payment provider about pending orders whose callback has not arrived
+scheduler.register("Payment poller", 30 * 1000, async () => {
+  const { checked, paid, failed, errors } = await pendingOrders.pollPendingOrders();
+  if (paid || failed || errors) {
+    return `checked ${checked} pending order(s): ${paid} paid, ${failed} failed, ${errors} error(s)`;
+  }
+});
+
+// Give up on orders that stayed PENDING for too long
+scheduler.register("Pending order timeout", MINUTE, async () => {
+  const expired = await pendingOrders.expirePendingOrders();
+  if (expired) return `expired ${expired} order(s) pending for over ${env.PENDING_ORDER_TIMEOUT_MINUTES} minutes`;
+});
+
+// Reconcile yesterday's orders with the payment providers (once a day)
+scheduler.register("Payment reconciliation", 60 * MINUTE, async () => {
+  const result = await reconciliation.reconcileYesterday();
+  if (result) return `checked ${result.checked} order(s) with the providers, ${result.flagged} flagged`;
+});
+
+// Follow Yo Payments payouts of approved withdrawals until they complete
+scheduler.register("Withdrawal payouts", MINUTE, async () => {
+  const { checked, completed, failed, errors } = await payouts.trackPayouts();
+  if (completed || failed || errors) {
+    return `checked ${checked} payout(s): ${completed} completed, ${failed} failed, ${errors} error(s)`;
+  }
+});
+
+// Follow refunds the providers accepted until they complete or fail
+scheduler.register("Refund tracking", 5 * MINUTE, async () => {
+  const { checked, completed, failed, errors } = await refunds.trackRefunds();
+  if (completed || failed || errors) {
+    return `checked ${checked} refund(s): ${completed} completed, ${failed} failed, ${errors} error(s)`;
+  }
+});
+
+scheduler.start();
+
+// Continue background voucher generation jobs interrupted by a restart
+voucherJobs.resumeJobs()
+  .then((resumed) => {
+    if (resumed) console.log(`Resumed ${resumed} voucher generation job(s)`);
+  })
+  .catch((e) => console.error("Voucher job resume error:", e));
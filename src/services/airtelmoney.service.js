@@ -0,0 +1,309 @@
+const axios = require("axios");
+const paymentProviderService = require("./payment-provider.service");
+const paymentRegistry = require("./payment-registry.service");
+const { formatMsisdn, detectNetwork } = require("./msisdn.service");
+
+/**
+ * Airtel Money Collections API (Airtel Africa Open API)
+ *
+ * A USSD push asks the customer to approve the payment with their PIN;
+ * Airtel calls back when it is done and the order is settled by polling
+ * the transaction enquiry otherwise. The transaction id sent to Airtel is
+ * the order_ref, which is also stored as the order's provider_ref. The
+ * callback is only used to learn which transaction changed: the outcome is
+ * fetched from Airtel.
+ */
+const AIRTEL_API_URLS = {
+  test: "https://openapiuat.airtel.africa",
+  live: "https://openapi.airtel.africa"
+};
+
+const COUNTRY = "UG";
+const CURRENCY = "UGX";
+
+// Cached access token: { key, token, expiresAt }
+let accessToken = null;
+
+/**
+ * Get Airtel Money credentials from DB or env
+ * @returns {Promise<Object>} Credentials with API URL
+ */
+async function getCredentials() {
+  const creds = await paymentProviderService.getCredentials("airtelmoney");
+  return {
+    ...creds,
+    apiUrl: creds.environment === "live" ? AIRTEL_API_URLS.live : AIRTEL_API_URLS.test
+  };
+}
+
+/**
+ * Get an OAuth access token (cached until shortly before it expires)
+ * @param {Object} creds - from getCredentials
+ * @returns {Promise<string>}
+ */
+async function getAccessToken(creds) {
+  const key = `${creds.apiUrl}|${creds.client_id}`;
+  if (accessToken && accessToken.key === key && accessToken.expiresAt > Date.now()) {
+    return accessToken.token;
+  }
+
+  const res = await axios.post(`${creds.apiUrl}/auth/oauth2/token`, {
+    client_id: creds.client_id,
+    client_secret: creds.client_secret,
+    grant_type: "client_credentials"
+  }, {
+    headers: { "Content-Type": "application/json", Accept: "*/*" },
+    timeout: 30000
+  });
+
+  const expiresIn = Number(res.data.expires_in || 180);
+  accessToken = {
+    key,
+    token: res.data.access_token,
+    expiresAt: Date.now() + Math.max(0, expiresIn - 30) * 1000
+  };
+  return accessToken.token;
+}
+
+/**
+ * Headers for Airtel API calls
+ * @param {Object} creds - from getCredentials
+ * @returns {Promise<Object>}
+ */
+async function apiHeaders(creds) {
+  if (!creds.client_id || !creds.client_secret) {
+    throw new Error("Airtel Money credentials not configured");
+  }
+  return {
+    Authorization: `Bearer ${await getAccessToken(creds)}`,
+    "X-Country": COUNTRY,
+    "X-Currency": CURRENCY,
+    "Content-Type": "application/json",
+    Accept: "*/*"
+  };
+}
+
+/**
+ * Send a USSD push asking the customer to pay
+ * @param {Object} params
+ * @param {string} params.transactionId - Our unique transaction id (order_ref)
+ * @param {string} params.msisdn - Customer phone number
+ * @param {number} params.amount - Amount to collect
+ * @param {string} params.reference - Shown to the customer
+ * @returns {Promise<Object>} { success, message, rawResponse }
+ */
+async function ussdPush({ transactionId, msisdn, amount, reference }) {
+  const creds = await getCredentials();
+  const headers = await apiHeaders(creds);
+
+  const payload = {
+    reference,
+    subscriber: {
+      country: COUNTRY,
+      currency: CURRENCY,
+      // Airtel wants the number without the country code
+      msisdn: formatMsisdn(msisdn).slice(3)
+    },
+    transaction: {
+      amount,
+      country: COUNTRY,
+      currency: CURRENCY,
+      id: transactionId
+    }
+  };
+
+  try {
+    const res = await axios.post(`${creds.apiUrl}/merchant/v1/payments/`, payload, { headers, timeout: 30000 });
+    const status = res.data?.status || {};
+    return {
+      success: status.success === true,
+      message: status.message || null,
+      rawResponse: res.data
+    };
+  } catch (e) {
+    if (e.response) {
+      const status = e.response.data?.status || {};
+      return { success: false, message: status.message || `Airtel Money error ${e.response.status}`, rawResponse: e.response.data };
+    }
+    console.error("Airtel Money USSD push error:", e.message);
+    throw new Error(`Airtel Money request failed: ${e.message}`);
+  }
+}
+
+/**
+ * Transaction enquiry
+ * @param {string} transactionId - Our transaction id (order_ref)
+ * @returns {Promise<Object>} { paymentStatus, status, airtelMoneyId, message, rawResponse }
+ */
+async function getTransactionStatus(transactionId) {
+  const creds = await getCredentials();
+  const headers = await apiHeaders(creds);
+
+  try {
+    const res = await axios.get(`${creds.apiUrl}/standard/v1/payments/${encodeURIComponent(transactionId)}`, { headers, timeout: 30000 });
+    const transaction = res.data?.data?.transaction || {};
+
+    // TS = success, TF = failed, TE = expired, TIP/TA = in progress/ambiguous
+    let paymentStatus = "pending";
+    if (transaction.status === "TS") {
+      paymentStatus = "success";
+    } else if (transaction.status === "TF" || transaction.status === "TE") {
+      paymentStatus = "failed";
+    }
+
+    return {
+      paymentStatus,
+      status: transaction.status || null,
+      airtelMoneyId: transaction.airtel_money_id || null,
+      message: transaction.message || res.data?.status?.message || null,
+      rawResponse: res.data
+    };
+  } catch (e) {
+    console.error("Airtel Money status check error:", e.message);
+    throw new Error(`Status check failed: ${e.message}`);
+  }
+}
+
+/**
+ * Refund a successful collection in full
+ * @param {string} airtelMoneyId - Airtel's id of the collection
+ * @returns {Promise<Object>} { success, status, message, rawResponse }
+ */
+async function refundPayment(airtelMoneyId) {
+  const creds = await getCredentials();
+  const headers = await apiHeaders(creds);
+
+  try {
+    const res = await axios.post(`${creds.apiUrl}/standard/v1/payments/refund`, {
+      transaction: { airtel_money_id: airtelMoneyId }
+    }, { headers, timeout: 30000 });
+    const status = res.data?.status || {};
+    return {
+      success: status.success === true,
+      status: res.data?.data?.transaction?.status || null,
+      message: status.message || null,
+      rawResponse: res.data
+    };
+  } catch (e) {
+    if (e.response) {
+      const status = e.response.data?.status || {};
+      return { success: false, status: null, message: status.message || `Airtel Money error ${e.response.status}`, rawResponse: e.response.data };
+    }
+    console.error("Airtel Money refund error:", e.message);
+    throw new Error(`Airtel Money request failed: ${e.message}`);
+  }
+}
+
+/**
+ * Check if Airtel Money is configured
+ * @returns {Promise<boolean>} Whether Airtel Money can be used
+ */
+async function isAvailable() {
+  try {
+    const creds = await paymentProviderService.getCredentials("airtelmoney");
+    return !!(creds.client_id && creds.client_secret);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Registry status result from a transaction enquiry
+ */
+function statusResult(transactionId, result) {
+  return {
+    status: result.paymentStatus,
+    providerTxId: result.airtelMoneyId || transactionId,
+    message: result.message,
+    raw: result.rawResponse
+  };
+}
+
+paymentRegistry.register({
+  code: "airtelmoney",
+  orderCode: "AIRTEL",
+  displayName: "Airtel Money",
+  description: "Collect Airtel Money payments directly through the Airtel Africa Collections API, without aggregator fees.",
+  website: "https://developers.airtel.africa",
+  setupSteps: [
+    "Create an application with the Collection product at developers.airtel.africa",
+    "Copy the application's client ID and client secret (staging for test, production for live)",
+    "Set the callback URL above on the application"
+  ],
+  orderRefPrefix: "AIR",
+  credentialSchema: [
+    { key: "client_id", label: "Client ID", placeholder: "Application client ID", required: true, env: "AIRTEL_CLIENT_ID" },
+    { key: "client_secret", label: "Client Secret", placeholder: "Application client secret", secret: true, required: true, env: "AIRTEL_CLIENT_SECRET" }
+  ],
+  isAvailable,
+  formatMsisdn,
+  acceptsMsisdn: (msisdn) => detectNetwork(msisdn) === "AIRTEL",
+  paymentMethod: () => "mobile_money_airtel",
+
+  async initiate({ order, plan, msisdn }) {
+    if (detectNetwork(msisdn) !== "AIRTEL") {
+      // The portal only offers Airtel Money to Airtel numbers (acceptsMsisdn)
+      return { ok: false, message: "Airtel Money payments need an Airtel number" };
+    }
+
+    const result = await ussdPush({
+      transactionId: order.order_ref,
+      msisdn,
+      amount: plan.price_ugx,
+      reference: `${plan.name} WiFi`
+    });
+
+    return {
+      ok: result.success,
+      providerRef: result.success ? order.order_ref : null,
+      redirectUrl: `/payment-pending?provider=airtelmoney&orderRef=${encodeURIComponent(order.order_ref)}`,
+      message: result.success
+        ? "Payment request sent. Please enter your Airtel Money PIN on your phone to approve the payment."
+        : result.message || "Failed to initiate payment",
+      raw: result.rawResponse
+    };
+  },
+
+  async checkStatus(order) {
+    if (!order.provider_ref) {
+      return { status: "pending", message: "Payment not yet processed" };
+    }
+    return statusResult(order.provider_ref, await getTransactionStatus(order.provider_ref));
+  },
+
+  // Callback: { transaction: { id, message, status_code, airtel_money_id } }
+  async verifyWebhook(req) {
+    const transactionId = String(req.body?.transaction?.id || "");
+    if (!transactionId) return { rejected: "No transaction id" };
+
+    return {
+      orderRef: transactionId,
+      ...statusResult(transactionId, await getTransactionStatus(transactionId))
+    };
+  },
+
+  // Airtel only refunds whole collections, by its own transaction id
+  async refund(order) {
+    if (!order.provider_tx_id || order.provider_tx_id === order.provider_ref) {
+      return { ok: false, message: "The order has no Airtel Money transaction id" };
+    }
+
+    const result = await refundPayment(order.provider_tx_id);
+    return {
+      ok: result.success,
+      refundRef: result.success ? order.provider_tx_id : null,
+      // Airtel answers once the reversal is done
+      pending: false,
+      message: result.message,
+      raw: result.rawResponse
+    };
+  }
+});
+
+module.exports = {
+  ussdPush,
+  getTransactionStatus,
+  refundPayment,
+  isAvailable,
+  AIRTEL_API_URLS
+};
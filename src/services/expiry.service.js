@@ -0,0 +1,169 @@
+/**
+ * Expiry Service
+ * Cleanup jobs run by the scheduler that bring RADIUS, the MikroTik
+ * router and the portal back in line once access has run out:
+ *
+ * - RADIUS accounts of vouchers EXPIRED for longer than
+ *   RADIUS_PURGE_GRACE_DAYS, and of paid orders whose Expiration passed
+ *   that long ago, are removed (radcheck, radreply, radusergroup)
+ * - MikroTik ip-binding bypass entries past their mac_bindings.expires_at
+ *   are removed from the router
+ * - radacct sessions without an accounting update for
+ *   STALE_SESSION_MINUTES (NAS rebooted, Accounting-Stop lost) are closed
+ *
+ * Marking vouchers EXPIRED is voucher-lifecycle.service's expireDue.
+ */
+
+const env = require("../config/env");
+const portalDB = require("../config/db.portal");
+const radiusDB = require("../config/db.radius");
+const radiusService = require("./radius.service");
+const mikrotikService = require("./mikrotik.service");
+
+// Usernames per DELETE
+const CHUNK_SIZE = 500;
+
+/**
+ * Remove the RADIUS accounts of vouchers that have been EXPIRED for longer
+ * than the grace period. The time of expiry is the voucher's last EXPIRED
+ * event (expires_at for vouchers expired before events were recorded).
+ *
+ * @param {number} [graceDays]
+ * @returns {Promise<number>} vouchers cleaned up
+ */
+async function removeExpiredVoucherAccounts(graceDays = env.RADIUS_PURGE_GRACE_DAYS) {
+  let removed = 0;
+
+  for (;;) {
+    const [vouchers] = await portalDB.query(
+      `SELECT v.id, v.code
+       FROM vouchers v
+       WHERE v.state = 'EXPIRED' AND v.radius_removed_at IS NULL
+         AND COALESCE(
+           (SELECT MAX(e.created_at) FROM voucher_events e WHERE e.voucher_id = v.id AND e.to_state = 'EXPIRED'),
+           v.expires_at,
+           v.created_at
+         ) <= NOW() - INTERVAL ? DAY
+       ORDER BY v.id
+       LIMIT ?`,
+      [graceDays, CHUNK_SIZE]
+    );
+    if (!vouchers.length) break;
+
+    await radiusService.deleteUsers(vouchers.map((v) => v.code));
+    await portalDB.query(
+      "UPDATE vouchers SET radius_removed_at = NOW() WHERE id IN (?) AND state = 'EXPIRED'",
+      [vouchers.map((v) => v.id)]
+    );
+    removed += vouchers.length;
+  }
+
+  return removed;
+}
+
+/**
+ * Remove the RADIUS accounts of paid orders whose Expiration passed more
+ * than the grace period ago. Orders without an Expiration (first-login
+ * plans not started yet) are kept.
+ *
+ * @param {number} [graceDays]
+ * @returns {Promise<number>} accounts removed
+ */
+async function removeExpiredOrderAccounts(graceDays = env.RADIUS_PURGE_GRACE_DAYS) {
+  const [rows] = await radiusDB.query(
+    `SELECT DISTINCT username
+     FROM radreply
+     WHERE attribute = 'Expiration'
+       AND STR_TO_DATE(value, '%d %b %Y %H:%i:%s') <= NOW() - INTERVAL ? DAY`,
+    [graceDays]
+  );
+
+  let removed = 0;
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const usernames = rows.slice(i, i + CHUNK_SIZE).map((r) => r.username);
+
+    // Only order accounts: vouchers go through the lifecycle above
+    const [orders] = await portalDB.query(
+      `SELECT DISTINCT o.username FROM orders o
+       WHERE o.username IN (?) AND o.status = 'PAID'
+         AND NOT EXISTS (SELECT 1 FROM vouchers v WHERE v.code = o.username)`,
+      [usernames]
+    );
+    if (!orders.length) continue;
+
+    await radiusService.deleteUsers(orders.map((o) => o.username));
+    removed += orders.length;
+  }
+
+  return removed;
+}
+
+/**
+ * Remove MikroTik bypass bindings past their expiry. A MAC that also has
+ * a newer binding still in force (e.g. a second purchase) is left alone,
+ * as removeMacBinding removes every binding of the MAC on the router.
+ *
+ * @returns {Promise<Object>} { removed, failed }
+ */
+async function expireMacBindings() {
+  const totals = { removed: 0, failed: 0 };
+
+  const config = await mikrotikService.getConfig();
+  if (!config || !config.enabled) return totals;
+
+  const [bindings] = await portalDB.query(
+    `SELECT b.mac_address, GROUP_CONCAT(b.id) AS ids
+     FROM mac_bindings b
+     WHERE b.status = 'active' AND b.expires_at IS NOT NULL AND b.expires_at <= NOW()
+       AND NOT EXISTS (
+         SELECT 1 FROM mac_bindings n
+         WHERE n.mac_address = b.mac_address AND n.status = 'active'
+           AND (n.expires_at IS NULL OR n.expires_at > NOW())
+       )
+     GROUP BY b.mac_address`
+  );
+
+  for (const binding of bindings) {
+    const result = await mikrotikService.removeMacBinding(binding.mac_address);
+    if (!result.success) {
+      console.error(`MAC binding expiry failed for ${binding.mac_address}:`, result.message);
+      totals.failed++;
+      continue;
+    }
+
+    await portalDB.query(
+      "UPDATE mac_bindings SET status = 'expired' WHERE id IN (?)",
+      [binding.ids.split(",").map(Number)]
+    );
+    totals.removed++;
+  }
+
+  return totals;
+}
+
+/**
+ * Close radacct sessions that have had no accounting update (interim or
+ * start) for the given time. The session ends at its last update.
+ *
+ * @param {number} [minutes]
+ * @returns {Promise<number>} sessions closed
+ */
+async function closeStaleSessions(minutes = env.STALE_SESSION_MINUTES) {
+  const [result] = await radiusDB.query(
+    `UPDATE radacct
+     SET acctstoptime = COALESCE(acctupdatetime, acctstarttime),
+         acctsessiontime = GREATEST(COALESCE(acctsessiontime, 0), TIMESTAMPDIFF(SECOND, acctstarttime, acctstoptime)),
+         acctterminatecause = 'Stale-Session'
+     WHERE acctstoptime IS NULL
+       AND COALESCE(acctupdatetime, acctstarttime) <= NOW() - INTERVAL ? MINUTE`,
+    [minutes]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  removeExpiredVoucherAccounts,
+  removeExpiredOrderAccounts,
+  expireMacBindings,
+  closeStaleSessions
+};
@@ -1,6 +1,8 @@
 const axios = require("axios");
+const crypto = require("crypto");
 const env = require("../config/env");
 const paymentProviderService = require("./payment-provider.service");
+const paymentRegistry = require("./payment-registry.service");
 
 const FLW_BASE = "https://api.flutterwave.com/v3";
 
@@ -9,7 +11,7 @@ const FLW_BASE = "https://api.flutterwave.com/v3";
  * @returns {Promise<Object>} Headers object with Authorization
  */
 async function getHeaders() {
-  const creds = await paymentProviderService.getFlutterwaveCredentials();
+  const creds = await paymentProviderService.getCredentials("flutterwave");
   if (!creds.secret_key) {
     throw new Error("Missing Flutterwave secret key");
   }
@@ -72,12 +74,78 @@ async function verifyTransaction(tx_id) {
   return res.data; // expects data.status, data.tx_ref, data.amount, data.currency
 }
 
+/**
+ * Verify a Flutterwave transaction by our reference (tx_ref)
+ * @param {string} tx_ref - Order reference sent when the payment link was created
+ * @returns {Promise<Object>} Transaction verification result
+ */
+async function verifyTransactionByRef(tx_ref) {
+  const hdrs = await getHeaders();
+  const res = await axios.get(`${FLW_BASE}/transactions/verify_by_reference`, { headers: hdrs, params: { tx_ref } });
+  return res.data;
+}
+
+/**
+ * List the account's transactions created in a date range (every page)
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Array>} Transactions
+ */
+async function listTransactions(from, to) {
+  const hdrs = await getHeaders();
+  const transactions = [];
+
+  for (let page = 1; ; page++) {
+    const res = await axios.get(`${FLW_BASE}/transactions`, { headers: hdrs, params: { from, to, page } });
+    transactions.push(...(res.data?.data || []));
+
+    const totalPages = res.data?.meta?.page_info?.total_pages || 1;
+    if (page >= totalPages) break;
+  }
+  return transactions;
+}
+
+/**
+ * Refund a Flutterwave transaction, fully or in part
+ * @param {string} tx_id - Transaction ID from Flutterwave
+ * @param {number} [amount] - Amount to refund (default the whole transaction)
+ * @returns {Promise<Object>} Refund response
+ */
+async function refundTransaction(tx_id, amount) {
+  const hdrs = await getHeaders();
+  const payload = amount ? { amount } : {};
+  const res = await axios.post(`${FLW_BASE}/transactions/${tx_id}/refund`, payload, { headers: hdrs });
+  return res.data; // expects data.id, data.status
+}
+
+/**
+ * Get a refund
+ * @param {string} refund_id - Refund ID from refundTransaction
+ * @returns {Promise<Object>} Refund response
+ */
+async function getRefund(refund_id) {
+  const hdrs = await getHeaders();
+  const res = await axios.get(`${FLW_BASE}/refunds/${refund_id}`, { headers: hdrs });
+  return res.data; // expects data.status: completed, pending or failed
+}
+
+/**
+ * Map a Flutterwave transaction status to a payment registry status
+ * @param {string} status - e.g. "successful", "failed", "pending"
+ * @returns {string} success, failed or pending
+ */
+function paymentStatus(status) {
+  if (status === "successful") return "success";
+  if (status === "failed" || status === "cancelled") return "failed";
+  return "pending";
+}
+
 /**
  * Get Flutterwave credentials (for checking configuration status)
  * @returns {Promise<Object>} Credentials info (without exposing secrets)
  */
 async function getCredentialsInfo() {
-  const creds = await paymentProviderService.getFlutterwaveCredentials();
+  const creds = await paymentProviderService.getCredentials("flutterwave");
   return {
     isConfigured: !!(creds.secret_key && creds.public_key),
     source: creds.source,
@@ -92,16 +160,173 @@ async function getCredentialsInfo() {
  */
 async function isAvailable() {
   try {
-    const creds = await paymentProviderService.getFlutterwaveCredentials();
+    const creds = await paymentProviderService.getCredentials("flutterwave");
     return !!(creds.secret_key && creds.public_key);
   } catch (e) {
     return false;
   }
 }
 
+paymentRegistry.register({
+  code: "flutterwave",
+  orderCode: "FLUTTERWAVE",
+  displayName: "Flutterwave",
+  description: "Accept payments via cards, mobile money (MTN, Airtel), and bank transfers across Africa.",
+  website: "https://flutterwave.com",
+  setupSteps: [
+    "Create an account at flutterwave.com",
+    "Get your API keys from Settings > API Keys",
+    "Copy the Webhook URL above and add it in Settings > Webhooks",
+  ],
+  orderRefPrefix: "ORD",
+  credentialSchema: [
+    { key: "public_key", label: "Public Key", placeholder: "FLWPUBK-xxxxxxxxxxxxxxxx", required: true, env: "FLW_PUBLIC_KEY" },
+    { key: "secret_key", label: "Secret Key", placeholder: "FLWSECK-xxxxxxxxxxxxxxxx", secret: true, required: true, env: "FLW_SECRET_KEY" },
+    { key: "webhook_hash", label: "Webhook Secret Hash", placeholder: "Your webhook secret hash", secret: true, env: "FLW_WEBHOOK_HASH" },
+  ],
+  isAvailable,
+  paymentMethod: () => "flutterwave",
+
+  // Hosted payment page; the customer comes back to our redirect route
+  async initiate({ order, plan, msisdn }) {
+    const flw = await createPaymentLink({
+      tx_ref: order.order_ref,
+      amount: plan.price_ugx,
+      currency: "UGX",
+      redirect_url: `${env.BASE_URL}/api/payments/flutterwave/redirect?orderRef=${encodeURIComponent(order.order_ref)}`,
+      customer: {
+        phonenumber: msisdn,
+        email: `${msisdn}@bula.local`,
+        name: msisdn,
+      },
+      meta: { planCode: plan.code, msisdn },
+    });
+
+    const link = flw?.data?.link;
+    return {
+      ok: !!link,
+      providerRef: null,
+      redirectUrl: link || null,
+      message: link ? null : "Failed to create Flutterwave payment link",
+      raw: link ? { link } : flw,
+    };
+  },
+
+  async checkStatus(order) {
+    let verified;
+    try {
+      verified = await verifyTransactionByRef(order.order_ref);
+    } catch (e) {
+      // No transaction yet for this reference (customer still on the payment page)
+      if (e.response && e.response.status === 400) {
+        return { status: "pending", message: "Payment not yet made", raw: e.response.data };
+      }
+      throw e;
+    }
+
+    const data = verified?.data || {};
+    return {
+      status: paymentStatus(String(data.status || "")),
+      providerTxId: data.id ? String(data.id) : null,
+      providerRef: data.tx_ref ? String(data.tx_ref) : null,
+      amount: Number(data.amount || 0),
+      currency: String(data.currency || ""),
+      message: data.processor_response || verified?.message || null,
+      raw: verified,
+    };
+  },
+
+  // Flutterwave signs webhooks with the "verif-hash" header (the secret hash
+  // set on the dashboard); the payload is then confirmed server-to-server
+  // before it is trusted
+  async verifyWebhook(req) {
+    const creds = await paymentProviderService.getCredentials("flutterwave");
+    if (!creds.webhook_hash) return { rejected: "Webhook secret hash not configured" };
+
+    const hash = Buffer.from(String(req.headers["verif-hash"] || ""));
+    const expected = Buffer.from(String(creds.webhook_hash));
+    if (hash.length !== expected.length || !crypto.timingSafeEqual(hash, expected)) {
+      return { rejected: "Invalid verif-hash header" };
+    }
+
+    const txId = String(req.body?.data?.id || "");
+    if (!txId) return { rejected: "No transaction id" };
+
+    let verified;
+    try {
+      verified = await verifyTransaction(txId);
+    } catch (e) {
+      // 4xx: no such transaction on this account
+      if (e.response && e.response.status < 500) return { rejected: "Transaction not found at Flutterwave" };
+      throw e;
+    }
+    const data = verified?.data;
+    if (!data) return { rejected: "Transaction not found at Flutterwave" };
+
+    return {
+      orderRef: String(data.tx_ref || ""),
+      providerRef: String(data.tx_ref || ""),
+      eventId: `${txId}:${data.status}`,
+      status: paymentStatus(String(data.status || "")),
+      providerTxId: txId,
+      amount: Number(data.amount || 0),
+      currency: String(data.currency || ""),
+      raw: verified,
+    };
+  },
+
+  async listTransactions({ from, to }) {
+    const transactions = await listTransactions(from, to);
+    return transactions.map((tx) => ({
+      orderRef: String(tx.tx_ref || ""),
+      providerRef: String(tx.tx_ref || ""),
+      providerTxId: String(tx.id),
+      status: paymentStatus(String(tx.status || "")),
+      amount: Number(tx.amount || 0),
+      currency: String(tx.currency || ""),
+      message: tx.processor_response || null,
+    }));
+  },
+
+  async refund(order, { amount } = {}) {
+    let result;
+    try {
+      result = await refundTransaction(order.provider_tx_id, amount);
+    } catch (e) {
+      // Flutterwave answered: the refund was declined
+      if (e.response) {
+        return { ok: false, message: e.response.data?.message || `Flutterwave error ${e.response.status}`, raw: e.response.data };
+      }
+      throw e;
+    }
+    return {
+      ok: result?.status === "success",
+      refundRef: result?.data?.id ? String(result.data.id) : null,
+      // Flutterwave completes refunds later
+      pending: result?.data?.status !== "completed",
+      message: result?.message || null,
+      raw: result,
+    };
+  },
+
+  async checkRefund(refundRef) {
+    const result = await getRefund(refundRef);
+    const status = result?.data?.status;
+    return {
+      status: status === "completed" ? "success" : status === "failed" ? "failed" : "pending",
+      message: result?.message || null,
+      raw: result,
+    };
+  },
+});
+
 module.exports = {
   createPaymentLink,
   verifyTransaction,
+  verifyTransactionByRef,
+  listTransactions,
+  refundTransaction,
+  getRefund,
   getCredentialsInfo,
   isAvailable,
   headers, // Keep for backward compatibility
@@ -0,0 +1,61 @@
+/**
+ * MSISDN Service
+ * Ugandan phone number helpers shared by the mobile money providers. Kept
+ * out of the provider modules so that loading one provider does not
+ * register another (the registry order is the portal's preference).
+ */
+
+/**
+ * Format phone number to 256XXXXXXXXX format
+ * @param {string} msisdn - Phone number in any format
+ * @returns {string} Formatted phone number
+ */
+function formatMsisdn(msisdn) {
+  // Remove all non-digit characters
+  let cleaned = String(msisdn).replace(/\D/g, "");
+
+  // Handle different formats
+  if (cleaned.startsWith("256")) {
+    // Already in correct format
+    return cleaned;
+  } else if (cleaned.startsWith("0")) {
+    // Local format: 0XXXXXXXXX
+    return "256" + cleaned.slice(1);
+  } else if (cleaned.startsWith("7") || cleaned.startsWith("3")) {
+    // Short format: 7XXXXXXXX or 3XXXXXXXX
+    return "256" + cleaned;
+  } else if (cleaned.startsWith("+256")) {
+    return cleaned.replace("+", "");
+  }
+
+  // Default: assume it needs 256 prefix
+  return "256" + cleaned;
+}
+
+/**
+ * Determine the mobile network from phone number
+ * @param {string} msisdn - Phone number
+ * @returns {string} Network name (MTN, AIRTEL, unknown)
+ */
+function detectNetwork(msisdn) {
+  const formatted = formatMsisdn(msisdn);
+  const prefix = formatted.slice(3, 5); // Get digits after 256
+
+  // MTN Uganda prefixes: 77, 78, 76, 39
+  const mtnPrefixes = ["77", "78", "76", "39"];
+  // Airtel Uganda prefixes: 70, 75, 74
+  const airtelPrefixes = ["70", "75", "74"];
+
+  if (mtnPrefixes.includes(prefix)) {
+    return "MTN";
+  } else if (airtelPrefixes.includes(prefix)) {
+    return "AIRTEL";
+  }
+
+  return "unknown";
+}
+
+module.exports = {
+  formatMsisdn,
+  detectNetwork
+};
@@ -0,0 +1,270 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const env = require("../config/env");
+const paymentProviderService = require("./payment-provider.service");
+const paymentRegistry = require("./payment-registry.service");
+const { formatMsisdn, detectNetwork } = require("./msisdn.service");
+
+/**
+ * MTN MoMo Collections API
+ *
+ * Payments are collected straight from the customer's MTN Mobile Money
+ * wallet with RequestToPay: the customer approves a prompt on their phone,
+ * MTN calls back when it is done and the order is settled by polling the
+ * request's status otherwise. MTN callbacks are not signed, so a callback
+ * only triggers a status check with MTN.
+ *
+ * The sandbox only takes EUR; amounts are sent as-is and the currency is
+ * not checked there. Setting base_url points the provider at another API
+ * (e.g. scripts/mock-momo.js for local testing).
+ */
+const MOMO_API_URLS = {
+  test: "https://sandbox.momodeveloper.mtn.com",
+  live: "https://proxy.momoapi.mtn.com"
+};
+
+// Cached access token: { key, token, expiresAt }
+let accessToken = null;
+
+/**
+ * Get MTN MoMo credentials from DB or env
+ * @returns {Promise<Object>} Credentials with API URL, target environment and currency
+ */
+async function getCredentials() {
+  const creds = await paymentProviderService.getCredentials("mtnmomo");
+  const live = creds.environment === "live";
+  return {
+    ...creds,
+    apiUrl: (creds.base_url || (live ? MOMO_API_URLS.live : MOMO_API_URLS.test)).replace(/\/+$/, ""),
+    targetEnvironment: live ? creds.target_environment || "mtnuganda" : "sandbox",
+    currency: live ? "UGX" : "EUR"
+  };
+}
+
+/**
+ * Get an access token for the Collections API (cached until shortly before it expires)
+ * @param {Object} creds - from getCredentials
+ * @returns {Promise<string>}
+ */
+async function getAccessToken(creds) {
+  const key = `${creds.apiUrl}|${creds.api_user}`;
+  if (accessToken && accessToken.key === key && accessToken.expiresAt > Date.now()) {
+    return accessToken.token;
+  }
+
+  const res = await axios.post(`${creds.apiUrl}/collection/token/`, null, {
+    auth: { username: creds.api_user, password: creds.api_key },
+    headers: { "Ocp-Apim-Subscription-Key": creds.subscription_key },
+    timeout: 30000
+  });
+
+  const expiresIn = Number(res.data.expires_in || 3600);
+  accessToken = {
+    key,
+    token: res.data.access_token,
+    expiresAt: Date.now() + Math.max(0, expiresIn - 60) * 1000
+  };
+  return accessToken.token;
+}
+
+/**
+ * Headers for Collections API calls
+ * @param {Object} creds - from getCredentials
+ * @returns {Promise<Object>}
+ */
+async function apiHeaders(creds) {
+  if (!creds.subscription_key || !creds.api_user || !creds.api_key) {
+    throw new Error("MTN MoMo credentials not configured");
+  }
+  return {
+    Authorization: `Bearer ${await getAccessToken(creds)}`,
+    "Ocp-Apim-Subscription-Key": creds.subscription_key,
+    "X-Target-Environment": creds.targetEnvironment,
+    "Content-Type": "application/json"
+  };
+}
+
+/**
+ * Ask a customer to approve a payment (RequestToPay)
+ * @param {Object} params
+ * @param {string} params.referenceId - UUID identifying the request (X-Reference-Id)
+ * @param {string} params.msisdn - Customer phone number
+ * @param {number} params.amount - Amount to collect
+ * @param {string} params.externalId - Our reference (order_ref)
+ * @param {string} params.payerMessage - Shown to the customer
+ * @param {string} [params.callbackUrl] - Where MTN reports the outcome
+ * @returns {Promise<Object>} { success, statusCode, message }
+ */
+async function requestToPay({ referenceId, msisdn, amount, externalId, payerMessage, callbackUrl }) {
+  const creds = await getCredentials();
+  const headers = { ...(await apiHeaders(creds)), "X-Reference-Id": referenceId };
+  if (callbackUrl) headers["X-Callback-Url"] = callbackUrl;
+
+  const payload = {
+    amount: String(amount),
+    currency: creds.currency,
+    externalId,
+    payer: { partyIdType: "MSISDN", partyId: formatMsisdn(msisdn) },
+    payerMessage,
+    payeeNote: payerMessage
+  };
+
+  try {
+    const res = await axios.post(`${creds.apiUrl}/collection/v1_0/requesttopay`, payload, { headers, timeout: 30000 });
+    // 202 Accepted: the prompt is on its way to the customer
+    return { success: res.status === 202, statusCode: res.status, message: null };
+  } catch (e) {
+    if (e.response) {
+      const data = e.response.data || {};
+      return { success: false, statusCode: e.response.status, message: data.message || data.code || `MTN MoMo error ${e.response.status}` };
+    }
+    console.error("MTN MoMo request to pay error:", e.message);
+    throw new Error(`MTN MoMo request failed: ${e.message}`);
+  }
+}
+
+/**
+ * Get the status of a RequestToPay
+ * @param {string} referenceId - X-Reference-Id of the request
+ * @returns {Promise<Object>} { paymentStatus, status, financialTransactionId, amount, currency, reason, rawResponse }
+ */
+async function getRequestToPayStatus(referenceId) {
+  const creds = await getCredentials();
+  const headers = await apiHeaders(creds);
+
+  try {
+    const res = await axios.get(`${creds.apiUrl}/collection/v1_0/requesttopay/${encodeURIComponent(referenceId)}`, { headers, timeout: 30000 });
+    const data = res.data || {};
+
+    // Map MTN status to our status
+    let paymentStatus = "pending";
+    if (data.status === "SUCCESSFUL") {
+      paymentStatus = "success";
+    } else if (["FAILED", "REJECTED", "TIMEOUT"].includes(data.status)) {
+      paymentStatus = "failed";
+    }
+
+    const reason = data.reason && typeof data.reason === "object" ? data.reason.message || data.reason.code : data.reason;
+    return {
+      paymentStatus,
+      status: data.status,
+      financialTransactionId: data.financialTransactionId || null,
+      amount: data.amount != null ? Number(data.amount) : null,
+      currency: data.currency || null,
+      reason: reason || null,
+      live: creds.environment === "live",
+      rawResponse: data
+    };
+  } catch (e) {
+    console.error("MTN MoMo status check error:", e.message);
+    throw new Error(`Status check failed: ${e.message}`);
+  }
+}
+
+/**
+ * Check if MTN MoMo is configured
+ * @returns {Promise<boolean>} Whether MTN MoMo can be used
+ */
+async function isAvailable() {
+  try {
+    const creds = await paymentProviderService.getCredentials("mtnmomo");
+    return !!(creds.subscription_key && creds.api_user && creds.api_key);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Registry status result from a RequestToPay status
+ */
+function statusResult(referenceId, result) {
+  return {
+    status: result.paymentStatus,
+    providerTxId: result.financialTransactionId || referenceId,
+    amount: result.amount,
+    // The sandbox only takes EUR
+    currency: result.live ? result.currency : null,
+    message: result.reason || null,
+    raw: result.rawResponse
+  };
+}
+
+paymentRegistry.register({
+  code: "mtnmomo",
+  orderCode: "MTNMOMO",
+  displayName: "MTN MoMo",
+  description: "Collect MTN Mobile Money payments directly through the MTN MoMo Collections API, without aggregator fees.",
+  website: "https://momodeveloper.mtn.com",
+  setupSteps: [
+    "Subscribe to the Collections product at momodeveloper.mtn.com and copy the subscription key",
+    "Create an API user and API key (sandbox), or get them from MTN with your live account",
+    "Register this portal's host as the API user's callback host",
+    "For live, set the target environment MTN gave you (e.g. mtnuganda)"
+  ],
+  orderRefPrefix: "MOMO",
+  credentialSchema: [
+    { key: "subscription_key", label: "Collections Subscription Key", placeholder: "Ocp-Apim-Subscription-Key", secret: true, required: true, env: "MOMO_SUBSCRIPTION_KEY" },
+    { key: "api_user", label: "API User", placeholder: "API user UUID", required: true, env: "MOMO_API_USER" },
+    { key: "api_key", label: "API Key", placeholder: "API key", secret: true, required: true, env: "MOMO_API_KEY" },
+    { key: "target_environment", label: "Target Environment (live)", placeholder: "mtnuganda", env: "MOMO_TARGET_ENVIRONMENT" },
+    { key: "base_url", label: "API Base URL", placeholder: "Leave empty for MTN (e.g. http://localhost:4010 for a mock)", env: "MOMO_BASE_URL" }
+  ],
+  isAvailable,
+  formatMsisdn,
+  acceptsMsisdn: (msisdn) => detectNetwork(msisdn) === "MTN",
+  paymentMethod: () => "mobile_money_mtn",
+
+  async initiate({ order, plan, msisdn }) {
+    if (detectNetwork(msisdn) !== "MTN") {
+      // The portal only offers MTN MoMo to MTN numbers (acceptsMsisdn)
+      return { ok: false, message: "MTN MoMo payments need an MTN number" };
+    }
+
+    // The reference ID is ours to choose; it is the order's provider_ref
+    const referenceId = crypto.randomUUID();
+    const result = await requestToPay({
+      referenceId,
+      msisdn,
+      amount: plan.price_ugx,
+      externalId: order.order_ref,
+      payerMessage: `${plan.name} WiFi ${order.order_ref}`,
+      callbackUrl: `${env.BASE_URL}/api/payments/mtnmomo/webhook?ref=${referenceId}`
+    });
+
+    return {
+      ok: result.success,
+      providerRef: result.success ? referenceId : null,
+      redirectUrl: `/payment-pending?provider=mtnmomo&orderRef=${encodeURIComponent(order.order_ref)}`,
+      message: result.success
+        ? "Payment request sent. Please check your phone to approve the payment."
+        : result.message || "Failed to initiate payment",
+      raw: { referenceId, statusCode: result.statusCode, message: result.message }
+    };
+  },
+
+  async checkStatus(order) {
+    if (!order.provider_ref) {
+      return { status: "pending", message: "Payment not yet processed" };
+    }
+    return statusResult(order.provider_ref, await getRequestToPayStatus(order.provider_ref));
+  },
+
+  // Callbacks are unsigned: only the reference is taken from them and the
+  // outcome is fetched from MTN
+  async verifyWebhook(req) {
+    const referenceId = String(req.query.ref || req.body?.referenceId || "");
+    if (!referenceId) return { rejected: "No reference id" };
+
+    return {
+      providerRef: referenceId,
+      ...statusResult(referenceId, await getRequestToPayStatus(referenceId))
+    };
+  }
+});
+
+module.exports = {
+  requestToPay,
+  getRequestToPayStatus,
+  isAvailable,
+  MOMO_API_URLS
+};
@@ -0,0 +1,181 @@
+/**
+ * NAS Vendor Service
+ * Maps plan limits (bandwidth, data quota) to the reply attributes each
+ * NAS vendor understands, and tells FreeRADIUS which vendor a NAS is.
+ *
+ * Plan groups are written once per vendor (see plan.service). Each vendor
+ * group only matches logins from NAS in the vendor's huntgroup, which is
+ * generated from the devices table (buildHuntgroups). NAS that are not
+ * registered as devices get the generic set, which combines the MikroTik,
+ * WISPr and ChilliSpot attributes.
+ *
+ * Session-Timeout and Idle-Timeout are standard RADIUS attributes and are
+ * the same for every vendor.
+ */
+
+const portalDB = require("../config/db.portal");
+
+/**
+ * Split a byte count into a 32-bit octets value and gigawords (units of 2^32)
+ * @returns {Array<number>} [octets, gigawords]
+ */
+function splitOctets(bytes) {
+  const value = Math.max(0, Math.floor(Number(bytes) || 0));
+  return [value % 2 ** 32, Math.floor(value / 2 ** 32)];
+}
+
+// MikroTik-Rate-Limit format: "rx-rate/tx-rate" (from client perspective: download/upload)
+const mikrotikRate = (down, up) => [["Mikrotik-Rate-Limit", `${down}k/${up}k`]];
+
+// WISPr bandwidth attributes (in bits per second)
+const wisprRate = (down, up) => [
+  ["WISPr-Bandwidth-Max-Down", down * 1000],
+  ["WISPr-Bandwidth-Max-Up", up * 1000]
+];
+
+const mikrotikData = (bytes) => {
+  const [octets, gigawords] = splitOctets(bytes);
+  return [
+    ["Mikrotik-Total-Limit", octets],
+    ["Mikrotik-Total-Limit-Gigawords", gigawords]
+  ];
+};
+
+// ChilliSpot/CoovaChilli (used by UniFi and many generic hotspots)
+const chilliData = (bytes) => {
+  const [octets, gigawords] = splitOctets(bytes);
+  return [
+    ["ChilliSpot-Max-Total-Octets", octets],
+    ["ChilliSpot-Max-Total-Gigawords", gigawords]
+  ];
+};
+
+// Cisco ISG: per-subscriber QoS policies, which must exist on the router
+// as policy-maps named RATE-<kbps>K ("in" is upload, "out" is download)
+const ciscoRate = (down, up) => [
+  ["Cisco-AVPair", `ip:sub-qos-policy-in=RATE-${up}K`],
+  ["Cisco-AVPair", `ip:sub-qos-policy-out=RATE-${down}K`]
+];
+
+/**
+ * Reply attribute builders per vendor.
+ * huntgroup: name used in the FreeRADIUS huntgroups file (null = fallback)
+ * rate(downKbps, upKbps), data(bytes): attribute lists, [] when unsupported
+ */
+const VENDOR_PROFILES = {
+  mikrotik: {
+    huntgroup: "mikrotik",
+    rate: mikrotikRate,
+    data: mikrotikData
+  },
+  ubiquiti: {
+    huntgroup: "ubiquiti",
+    rate: wisprRate,
+    data: chilliData
+  },
+  cisco: {
+    huntgroup: "cisco",
+    rate: ciscoRate,
+    // No per-session byte limit; the quota sweep enforces data caps
+    data: () => []
+  },
+  generic: {
+    huntgroup: null,
+    rate: (down, up) => [...mikrotikRate(down, up), ...wisprRate(down, up)],
+    data: (bytes) => [...mikrotikData(bytes), ...chilliData(bytes)]
+  }
+};
+
+// Every attribute a profile can emit (used to clear per-user copies)
+const VENDOR_ATTRIBUTES = [
+  "Mikrotik-Rate-Limit",
+  "Mikrotik-Total-Limit",
+  "Mikrotik-Total-Limit-Gigawords",
+  "ChilliSpot-Max-Total-Octets",
+  "ChilliSpot-Max-Total-Gigawords",
+  "WISPr-Bandwidth-Max-Down",
+  "WISPr-Bandwidth-Max-Up",
+  "Cisco-AVPair"
+];
+
+/**
+ * Profile for a device vendor (devices.vendor); unknown vendors get generic
+ * @param {string} [vendor]
+ * @returns {Object}
+ */
+function getProfile(vendor) {
+  return VENDOR_PROFILES[vendor] || VENDOR_PROFILES.generic;
+}
+
+/**
+ * Build the rate limit reply attributes for a download/upload speed
+ * @returns {Array<[string, any]>}
+ */
+function rateLimitAttributes(downKbps, upKbps, vendor = "generic") {
+  return getProfile(vendor).rate(downKbps, upKbps);
+}
+
+/**
+ * Build the data limit reply attributes for a byte count.
+ * NAS apply these as a per-session limit.
+ * @returns {Array<[string, any]>}
+ */
+function dataLimitAttributes(bytes, vendor = "generic") {
+  return getProfile(vendor).data(bytes);
+}
+
+/**
+ * Vendors that get their own plan group (everything except the fallback)
+ * @returns {string[]}
+ */
+function getGroupVendors() {
+  return Object.keys(VENDOR_PROFILES).filter((v) => VENDOR_PROFILES[v].huntgroup);
+}
+
+/**
+ * Map of NAS IP address -> vendor for registered devices
+ * @returns {Promise<Map<string, string>>}
+ */
+async function getNasVendors() {
+  const [rows] = await portalDB.query("SELECT ip_address, vendor FROM devices");
+  return new Map(rows.map((r) => [r.ip_address, r.vendor]));
+}
+
+/**
+ * Generate the FreeRADIUS huntgroups file from the devices table.
+ * Inactive devices and vendors without a profile are left out, so their
+ * users get the generic attribute set.
+ * @returns {Promise<string>}
+ */
+async function buildHuntgroups() {
+  const [devices] = await portalDB.query(
+    "SELECT name, ip_address, vendor FROM devices WHERE is_active = 1 ORDER BY vendor, ip_address"
+  );
+
+  const lines = [
+    "# Generated by bula-portal from the devices table - do not edit by hand.",
+    "# Install as mods-config/preprocess/huntgroups and reload FreeRADIUS.",
+    ""
+  ];
+
+  for (const device of devices) {
+    const profile = VENDOR_PROFILES[device.vendor];
+    if (!profile || !profile.huntgroup) continue;
+    lines.push(`# ${device.name}`);
+    lines.push(`${profile.huntgroup}\tNAS-IP-Address == ${device.ip_address}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  VENDOR_PROFILES,
+  VENDOR_ATTRIBUTES,
+  splitOctets,
+  getProfile,
+  rateLimitAttributes,
+  dataLimitAttributes,
+  getGroupVendors,
+  getNasVendors,
+  buildHuntgroups
+};
@@ -0,0 +1,246 @@
+/**
+ * Order Fulfilment Service
+ * The one place a paid order is turned into internet access, whichever
+ * provider or path confirmed the payment (webhook, status check, redirect
+ * page, poller):
+ *
+ * 1. the order is claimed (status FULFILLING) if it is still open
+ *    (PENDING, EXPIRED or FAILED)
+ * 2. the voucher is activated in RADIUS, or the top-up added
+ * 3. the order is marked PAID
+ * 4. a topped-up user's sessions get the new limits (CoA), MikroTik
+ *    auto-login is attempted and the payment log updated
+ *
+ * A second caller for the same order finds it FULFILLING or PAID and
+ * leaves it, so an order is fulfilled exactly once and webhook retries are
+ * harmless. No row lock or connection is held while RADIUS and the NAS are
+ * written to. If activation fails the order goes back to its open status
+ * and can be retried; a claim left behind by a process that died is taken
+ * over by the next confirmation after FULFIL_STALE_MINUTES (the activation
+ * steps are safe to repeat).
+ */
+
+const portalDB = require("../config/db.portal");
+const mikrotikService = require("./mikrotik.service");
+const topupService = require("./topup.service");
+
+// Order statuses a confirmed payment may still complete
+const OPEN_STATUSES = ["PENDING", "EXPIRED", "FAILED"];
+
+// Minutes after which a FULFILLING claim is taken to be abandoned
+const FULFIL_STALE_MINUTES = 10;
+
+/**
+ * Update payment log status
+ */
+async function updatePaymentLog(transactionRef, status, responsePayload, completedAt = null) {
+  try {
+    let query = "UPDATE payment_logs SET status = ?, response_payload = ?";
+    const params = [status, responsePayload ? JSON.stringify(responsePayload) : null];
+
+    if (completedAt) {
+      query += ", completed_at = NOW()";
+    }
+
+    query += " WHERE transaction_ref = ?";
+    params.push(transactionRef);
+
+    await portalDB.query(query, params);
+  } catch (e) {
+    console.error("Error updating payment log:", e.message);
+  }
+}
+
+/**
+ * Try MikroTik auto-login for a fulfilled order and record the outcome
+ * @returns {Promise<Object>} { attempted, success, status, message, mac }
+ */
+async function autoLogin(order, plan, source) {
+  if (!order.customer_mac) {
+    return { attempted: false, success: false, status: 'skipped', message: null };
+  }
+
+  try {
+    const result = await mikrotikService.authorizeMacBinding({
+      mac: order.customer_mac,
+      ip: order.customer_ip,
+      durationMinutes: plan.duration_minutes,
+      comment: `Bula WiFi - Order ${order.order_ref} - ${plan.name}${source ? ` (${source})` : ''}`,
+      orderId: order.id,
+    });
+
+    await portalDB.query(
+      "UPDATE orders SET autologin_status = ?, autologin_message = ? WHERE id = ?",
+      [result.status, result.message, order.id]
+    );
+
+    return {
+      attempted: true,
+      success: result.success,
+      status: result.status,
+      message: result.message,
+      mac: order.customer_mac,
+    };
+  } catch (mikrotikError) {
+    console.error(`MikroTik auto-login error (order ${order.order_ref}):`, mikrotikError.message);
+    await portalDB.query(
+      "UPDATE orders SET autologin_status = 'failed', autologin_message = ? WHERE id = ?",
+      [mikrotikError.message, order.id]
+    );
+    return { attempted: true, success: false, status: 'failed', message: mikrotikError.message, mac: order.customer_mac };
+  }
+}
+
+/**
+ * Fulfil a paid order exactly once
+ *
+ * @param {number} orderId
+ * @param {Object} [payment]
+ * @param {string} [payment.provider] - Stored in orders.provider (e.g. "FLUTTERWAVE")
+ * @param {string} [payment.providerTxId] - Provider's transaction id / network reference
+ * @param {string} [payment.providerRef] - Provider reference, if not stored at init
+ * @param {Object} [payment.payload] - Provider response, for payment_logs
+ * @param {string} [payment.source] - Shown in the MikroTik binding comment, e.g. "Webhook"
+ * @returns {Promise<Object>} { fulfilled, status, plan, autoLogin } - fulfilled is false
+ *   when the order was not open (already PAID by another path, refunded, ...)
+ */
+async function fulfilOrder(orderId, { provider = null, providerTxId = null, providerRef = null, payload = null, source = null } = {}) {
+  const [[order]] = await portalDB.query(
+    `SELECT id, order_ref, order_type, status, plan_id, username, password, topup_username,
+            provider_ref, customer_mac, customer_ip
+     FROM orders WHERE id = ?`,
+    [orderId]
+  );
+  if (!order) return { fulfilled: false, status: null, plan: null, autoLogin: null };
+
+  // Claim the order so that only this caller fulfils it
+  const [claim] = await portalDB.query(
+    `UPDATE orders SET status = 'FULFILLING', fulfilling_at = NOW()
+     WHERE id = ?
+       AND (status IN (?) OR (status = 'FULFILLING' AND fulfilling_at <= NOW() - INTERVAL ? MINUTE))`,
+    [order.id, OPEN_STATUSES, FULFIL_STALE_MINUTES]
+  );
+  if (claim.affectedRows !== 1) {
+    const [[current]] = await portalDB.query("SELECT status FROM orders WHERE id = ?", [order.id]);
+    return { fulfilled: false, status: current ? current.status : null, plan: null, autoLogin: null };
+  }
+
+  let plan;
+  let activation;
+  try {
+    [[plan]] = await portalDB.query(
+      "SELECT id, name, duration_minutes, speed_down_kbps, speed_up_kbps, data_mb, data_cap_action, throttle_kbps, validity_start FROM plans WHERE id = ?",
+      [order.plan_id]
+    );
+    if (!plan) throw new Error(`Plan ${order.plan_id} of order ${order.order_ref} not found`);
+
+    // Activate voucher in FreeRADIUS on the plan group (or add a top-up to it)
+    activation = await topupService.activateOrder(order, plan);
+  } catch (e) {
+    // Open again for the next confirmation to retry
+    await portalDB.query(
+      "UPDATE orders SET status = ? WHERE id = ? AND status = 'FULFILLING'",
+      [OPEN_STATUSES.includes(order.status) ? order.status : "PENDING", order.id]
+    );
+    throw e;
+  }
+
+  await portalDB.query(
+    `UPDATE orders
+     SET status = 'PAID', provider = COALESCE(?, provider), provider_tx_id = ?,
+         provider_ref = COALESCE(?, provider_ref), paid_at = NOW()
+     WHERE id = ? AND status = 'FULFILLING'`,
+    [provider, providerTxId || order.provider_ref || order.order_ref, providerRef, order.id]
+  );
+
+  // The order is paid and activated; the quota sweep catches up if this fails
+  try {
+    await topupService.finishActivation(order, activation);
+  } catch (e) {
+    console.error(`Error updating sessions for top-up ${order.order_ref}:`, e.message);
+  }
+
+  const loginResult = await autoLogin(order, plan, source);
+  await updatePaymentLog(order.order_ref, 'success', payload, true);
+
+  return { fulfilled: true, status: "PAID", plan, autoLogin: loginResult };
+}
+
+/**
+ * Mark an open order FAILED (a PAID order is never downgraded)
+ * @param {number} orderId
+ * @param {Object} [payload] - Provider response, for payment_logs
+ * @returns {Promise<boolean>} whether the order was changed
+ */
+async function failOrder(orderId, payload = null) {
+  const [[order]] = await portalDB.query("SELECT order_ref FROM orders WHERE id = ?", [orderId]);
+  if (!order) return false;
+
+  const [result] = await portalDB.query(
+    "UPDATE orders SET status = 'FAILED' WHERE id = ? AND status IN ('PENDING', 'EXPIRED')",
+    [orderId]
+  );
+  if (!result.affectedRows) return false;
+
+  await updatePaymentLog(order.order_ref, 'failed', payload, true);
+  return true;
+}
+
+/**
+ * Whether the amount and currency a provider reports (if it does) match the order
+ * @param {Object} result - checkStatus/verifyWebhook result (payment-registry.service)
+ * @param {Object} order - orders row with amount_ugx
+ * @returns {boolean}
+ */
+function matchesOrder(result, order) {
+  if (result.amount != null && Number(result.amount) !== Number(order.amount_ugx)) return false;
+  if (result.currency && result.currency !== "UGX") return false;
+  return true;
+}
+
+/**
+ * Ask the provider for an order's payment status and fulfil or fail the order
+ * accordingly
+ * @param {Object} provider - from payment-registry.service
+ * @param {Object} order - orders row (id, order_ref, amount_ugx, provider_ref, ...)
+ * @param {string} [source] - Shown in the MikroTik binding comment
+ * @returns {Promise<Object>} { status: PAID|FAILED|PENDING, message, autoLogin, fulfilled }
+ */
+async function settleOrder(provider, order, source = null) {
+  const result = await provider.checkStatus(order);
+
+  if (result.status === "success") {
+    if (!matchesOrder(result, order)) {
+      console.error(`${provider.displayName} payment mismatch for order ${order.order_ref}:`, {
+        amount: result.amount, currency: result.currency, expected: order.amount_ugx
+      });
+      return { status: "PENDING", message: "Payment verification failed. Please contact support." };
+    }
+
+    // Activate voucher (no-op if the webhook or poller already did)
+    const fulfilled = await fulfilOrder(order.id, {
+      provider: provider.orderCode,
+      providerTxId: result.providerTxId,
+      providerRef: result.providerRef || null,
+      payload: result.raw,
+      source
+    });
+    if (fulfilled.status === "PAID") {
+      return { status: "PAID", message: "Payment completed successfully", autoLogin: fulfilled.autoLogin, fulfilled: fulfilled.fulfilled };
+    }
+  } else if (result.status === "failed") {
+    await failOrder(order.id, result.raw);
+    return { status: "FAILED", message: result.message || "Payment failed" };
+  }
+
+  return { status: "PENDING", message: result.message };
+}
+
+module.exports = {
+  FULFIL_STALE_MINUTES,
+  updatePaymentLog,
+  fulfilOrder,
+  failOrder,
+  matchesOrder,
+  settleOrder
+};
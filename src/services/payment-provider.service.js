@@ -1,32 +1,21 @@
 const portalDB = require("../config/db.portal");
+const paymentRegistry = require("./payment-registry.service");
 
 /**
- * Default provider configurations
+ * Default configuration of a registered provider (disabled, test mode,
+ * empty credentials)
+ * @param {Object} definition - from payment-registry.service
+ * @returns {Object}
  */
-const DEFAULT_PROVIDERS = {
-  flutterwave: {
-    provider_code: "flutterwave",
-    display_name: "Flutterwave",
-    is_enabled: 0,
-    environment: "test",
-    credentials: {
-      public_key: "",
-      secret_key: "",
-      webhook_hash: "",
-    },
-  },
-  yopayments: {
-    provider_code: "yopayments",
-    display_name: "Yo Payments",
+function defaultConfig(definition) {
+  return {
+    provider_code: definition.code,
+    display_name: definition.displayName,
     is_enabled: 0,
     environment: "test",
-    credentials: {
-      api_username: "",
-      api_password: "",
-      account_number: "",
-    },
-  },
-};
+    credentials: Object.fromEntries(definition.credentialSchema.map((field) => [field.key, ""])),
+  };
+}
 
 /**
  * Ensure payment_providers table exists
@@ -48,8 +37,8 @@ async function ensureTable() {
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
     `);
 
-    // Insert default providers if they don't exist
-    for (const [code, config] of Object.entries(DEFAULT_PROVIDERS)) {
+    // Insert registered providers if they don't exist
+    for (const config of paymentRegistry.listProviders().map(defaultConfig)) {
       await portalDB.query(
         `INSERT IGNORE INTO payment_providers (provider_code, display_name, is_enabled, environment, credentials)
          VALUES (?, ?, ?, ?, ?)`,
@@ -85,7 +74,7 @@ async function getAllProviders() {
     }));
   } catch (e) {
     console.error("Error getting providers:", e);
-    return Object.values(DEFAULT_PROVIDERS);
+    return paymentRegistry.listProviders().map(defaultConfig);
   }
 }
 
@@ -95,13 +84,14 @@ async function getAllProviders() {
  * @returns {Promise<Object|null>} Provider configuration or null
  */
 async function getProvider(providerCode) {
+  const definition = paymentRegistry.getProvider(providerCode);
   try {
     await ensureTable();
     const [[row]] = await portalDB.query(
       "SELECT * FROM payment_providers WHERE provider_code = ?",
       [providerCode]
     );
-    if (!row) return DEFAULT_PROVIDERS[providerCode] || null;
+    if (!row) return definition ? defaultConfig(definition) : null;
     return {
       ...row,
       credentials: typeof row.credentials === "string"
@@ -110,7 +100,7 @@ async function getProvider(providerCode) {
     };
   } catch (e) {
     console.error("Error getting provider:", e);
-    return DEFAULT_PROVIDERS[providerCode] || null;
+    return definition ? defaultConfig(definition) : null;
   }
 }
 
@@ -176,53 +166,24 @@ async function updateProvider(providerCode, data) {
 }
 
 /**
- * Get Flutterwave credentials (with env fallback)
- * @returns {Promise<Object>} Flutterwave credentials
- */
-async function getFlutterwaveCredentials() {
-  const env = require("../config/env");
-  const provider = await getProvider("flutterwave");
-
-  // If provider is enabled and has credentials in DB, use those
-  if (provider && provider.is_enabled && provider.credentials) {
-    const creds = provider.credentials;
-    if (creds.secret_key && creds.public_key) {
-      return {
-        secret_key: creds.secret_key,
-        public_key: creds.public_key,
-        webhook_hash: creds.webhook_hash || "",
-        environment: provider.environment,
-        source: "database",
-      };
-    }
-  }
-
-  // Fallback to environment variables
-  return {
-    secret_key: env.FLW_SECRET_KEY || "",
-    public_key: env.FLW_PUBLIC_KEY || "",
-    webhook_hash: env.FLW_WEBHOOK_HASH || "",
-    environment: "live",
-    source: "environment",
-  };
-}
-
-/**
- * Get Yo Payments credentials
- * @returns {Promise<Object>} Yo Payments credentials
+ * Get a provider's credentials: the stored ones when the provider is enabled
+ * and its required credentials are set, otherwise the environment variables
+ * named in its credential schema
+ * @param {string} providerCode - The provider code
+ * @returns {Promise<Object>} Credentials by key, plus environment and source
  */
-async function getYoPaymentsCredentials() {
+async function getCredentials(providerCode) {
   const env = require("../config/env");
-  const provider = await getProvider("yopayments");
+  const definition = paymentRegistry.getProvider(providerCode);
+  const schema = definition ? definition.credentialSchema : [];
+  const provider = await getProvider(providerCode);
 
   // If provider is enabled and has credentials in DB, use those
   if (provider && provider.is_enabled && provider.credentials) {
     const creds = provider.credentials;
-    if (creds.api_username && creds.api_password) {
+    if (schema.every((field) => !field.required || creds[field.key])) {
       return {
-        api_username: creds.api_username,
-        api_password: creds.api_password,
-        account_number: creds.account_number || "",
+        ...Object.fromEntries(schema.map((field) => [field.key, creds[field.key] || ""])),
         environment: provider.environment,
         source: "database",
       };
@@ -231,9 +192,7 @@ async function getYoPaymentsCredentials() {
 
   // Fallback to environment variables
   return {
-    api_username: env.YO_API_USERNAME || "",
-    api_password: env.YO_API_PASSWORD || "",
-    account_number: env.YO_ACCOUNT_NUMBER || "",
+    ...Object.fromEntries(schema.map((field) => [field.key, (field.env && env[field.env]) || ""])),
     environment: "live",
     source: "environment",
   };
@@ -255,8 +214,6 @@ module.exports = {
   getProvider,
   getEnabledProviders,
   updateProvider,
-  getFlutterwaveCredentials,
-  getYoPaymentsCredentials,
+  getCredentials,
   isProviderEnabled,
-  DEFAULT_PROVIDERS,
 };
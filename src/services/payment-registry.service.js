@@ -0,0 +1,164 @@
+/**
+ * Payment Registry Service
+ * Payment providers plug into the portal by registering themselves here
+ * (at the bottom of their service module). The generic payment routes
+ * (/api/payments/:provider/...), the admin settings page and the order
+ * poller only talk to providers through this interface:
+ *
+ *   code              - provider_code in payment_providers and the URL segment, e.g. "yopayments"
+ *   orderCode         - value stored in orders.payment_provider, e.g. "YO"
+ *   displayName       - e.g. "Yo Payments"
+ *   description       - one line for the admin settings page
+ *   website           - provider's site, linked from the settings page
+ *   setupSteps        - [string] setup guide shown on the settings page
+ *   orderRefPrefix    - order_ref prefix, e.g. "YO" for YO_xxxxxxxxxxxxxx
+ *   credentialSchema  - [{ key, label, secret, required, placeholder, env }]
+ *                       secret fields are masked in the admin API, env names
+ *                       the environment variable used when none is stored
+ *   isAvailable()     - whether the credentials needed to take payments are set
+ *   initiate({ order, plan, msisdn })
+ *                     - start a payment: { ok, providerRef, redirectUrl, message, raw }
+ *                       redirectUrl is where the portal sends the customer
+ *   checkStatus(order)
+ *                     - { status: "success"|"failed"|"pending", providerTxId, amount, currency, message, raw }
+ *   verifyWebhook(req)
+ *                     - an authentic notification as { orderRef or providerRef, eventId,
+ *                       status, providerTxId, amount, currency, raw }, or { rejected: reason }
+ *                       when it cannot be verified; eventId (default "<ref>:<status>")
+ *                       deduplicates replays in webhook_events
+ *   listTransactions({ from, to })
+ *                     - optional: the account's transactions created between two
+ *                       YYYY-MM-DD dates as [{ orderRef, providerRef, providerTxId,
+ *                       status, amount, currency, message }], for reconciliation;
+ *                       without it orders are reconciled one by one with checkStatus
+ *   refund(order, { amount, reason })
+ *                     - optional: give a paid order's money back (refund.service;
+ *                       order.customer_msisdn is the number that paid):
+ *                       { ok, refundRef, pending, message, raw }, pending when
+ *                       the provider accepted the refund but has not completed it;
+ *                       ok false is a decline, and it throws when the outcome is
+ *                       unknown (no answer)
+ *   checkRefund(refundRef)
+ *                     - optional: { status: "success"|"failed"|"pending", message, raw }
+ *                       of a pending refund, for the refund tracking job
+ *   formatMsisdn(msisdn)
+ *                     - optional: normalise the customer's phone number
+ *   acceptsMsisdn(msisdn)
+ *                     - optional: whether the provider can charge this number
+ *                       (e.g. only MTN numbers); the portal skips it otherwise
+ *   paymentMethod(msisdn)
+ *                     - optional: payment_logs.payment_method of a new payment
+ *
+ * amount and currency are optional in status results; when given they must
+ * match the order before it is fulfilled.
+ */
+
+// code => provider
+const providers = new Map();
+
+const REQUIRED_MEMBERS = ["code", "orderCode", "displayName", "credentialSchema", "isAvailable", "initiate", "checkStatus", "verifyWebhook"];
+
+/**
+ * Add a payment provider
+ * @param {Object} provider - see the interface above
+ */
+function register(provider) {
+  const missing = REQUIRED_MEMBERS.filter((member) => !provider[member]);
+  if (missing.length) {
+    throw new Error(`Payment provider ${provider.code || "(unnamed)"} is missing ${missing.join(", ")}`);
+  }
+  if (providers.has(provider.code)) {
+    throw new Error(`Payment provider "${provider.code}" already registered`);
+  }
+
+  providers.set(provider.code, {
+    description: "",
+    website: null,
+    setupSteps: [],
+    orderRefPrefix: "ORD",
+    ...provider
+  });
+}
+
+/**
+ * Get a registered provider
+ * @param {string} code - provider_code, e.g. "flutterwave"
+ * @returns {Object|null}
+ */
+function getProvider(code) {
+  return providers.get(code) || null;
+}
+
+/**
+ * Get the provider of an order
+ * @param {string} orderCode - orders.payment_provider, e.g. "YO"
+ * @returns {Object|null}
+ */
+function getByOrderCode(orderCode) {
+  for (const provider of providers.values()) {
+    if (provider.orderCode === orderCode) return provider;
+  }
+  return null;
+}
+
+/**
+ * All registered providers, in registration order
+ * @returns {Array<Object>}
+ */
+function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Mask a provider's secret credentials for display
+ * @param {string} code
+ * @param {Object} credentials
+ * @returns {Object}
+ */
+function maskCredentials(code, credentials) {
+  if (!credentials) return {};
+
+  const masked = { ...credentials };
+  const provider = getProvider(code);
+  if (!provider) return masked;
+
+  for (const field of provider.credentialSchema) {
+    if (!field.secret || !masked[field.key]) continue;
+    // Show first 4 and last 4 characters with masking in between
+    const val = String(masked[field.key]);
+    masked[field.key] = val.length > 8 ? val.slice(0, 4) + "••••••••" + val.slice(-4) : "••••••••";
+  }
+  return masked;
+}
+
+/**
+ * What the admin settings page needs to render a provider's form
+ * @param {Object} provider
+ * @returns {Object}
+ */
+function describe(provider) {
+  return {
+    displayName: provider.displayName,
+    description: provider.description,
+    website: provider.website,
+    setupSteps: provider.setupSteps,
+    credentialSchema: provider.credentialSchema.map(({ key, label, secret, required, placeholder }) => ({
+      key,
+      label,
+      secret: !!secret,
+      required: !!required,
+      placeholder: placeholder || ""
+    })),
+    webhookPath: `/api/payments/${provider.code}/webhook`,
+    supportsRefund: typeof provider.refund === "function"
+  };
+}
+
+module.exports = {
+  register,
+  getProvider,
+  getByOrderCode,
+  listProviders,
+  maskCredentials,
+  describe
+};
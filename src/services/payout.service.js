@@ -0,0 +1,168 @@
+/**
+ * Payout Service
+ * Pays approved mobile money withdrawals out of the Yo Payments account
+ * (acwithdrawfunds). Approving a pending mobile money withdrawal sends the
+ * payout and leaves the withdrawal in processing with Yo's transaction
+ * reference (payout_ref); the Withdrawal payouts job then checks the
+ * transaction with Yo until it succeeds or fails and moves the withdrawal
+ * to completed or failed.
+ *
+ * Bank withdrawals, and every withdrawal while Yo Payments is not
+ * configured, are still paid out by hand and marked by the super admin.
+ * A payout whose request failed without an answer from Yo has no
+ * reference to track and is left in processing for the super admin too.
+ */
+
+const portalDB = require("../config/db.portal");
+const yoPayments = require("./yopayments.service");
+
+const PAYOUT_PROVIDER = "yopayments";
+
+// Withdrawals checked per job run
+const TRACK_BATCH_SIZE = 50;
+
+/**
+ * Whether approved mobile money withdrawals are paid out automatically
+ * @returns {Promise<boolean>}
+ */
+async function isAvailable() {
+  return yoPayments.isAvailable();
+}
+
+/**
+ * Destination details of a withdrawal as an object
+ * @param {Object} withdrawal
+ * @returns {Object}
+ */
+function destinationDetails(withdrawal) {
+  const details = withdrawal.destination_details;
+  if (!details) return {};
+  return typeof details === "string" ? JSON.parse(details) : details;
+}
+
+/**
+ * Move a processing withdrawal to completed or failed
+ */
+async function finishPayout(withdrawalId, status, { transactionStatus, message }) {
+  await portalDB.query(
+    `UPDATE withdrawals
+     SET status = ?, completed_at = NOW(), payout_status = ?, payout_message = ?, payout_checked_at = NOW()
+     WHERE id = ? AND status = 'processing'`,
+    [status, transactionStatus || null, message ? String(message).slice(0, 255) : null, withdrawalId]
+  );
+}
+
+/**
+ * Approve a pending mobile money withdrawal and send the payout through Yo
+ * @param {number} withdrawalId
+ * @param {Object} admin - approving admin user
+ * @param {string} [notes]
+ * @returns {Promise<Object>} { ok, message, status }
+ */
+async function approvePayout(withdrawalId, admin, notes = null) {
+  const [[withdrawal]] = await portalDB.query(
+    "SELECT id, withdrawal_ref, amount, destination_type, destination_details, status FROM withdrawals WHERE id = ?",
+    [withdrawalId]
+  );
+  if (!withdrawal) return { ok: false, message: "Withdrawal not found" };
+  if (withdrawal.status !== "pending") return { ok: false, message: `Withdrawal is already ${withdrawal.status}` };
+  if (withdrawal.destination_type !== "mobile_money") return { ok: false, message: "Only mobile money withdrawals are paid out automatically" };
+
+  const details = destinationDetails(withdrawal);
+  if (!details.phone_number) return { ok: false, message: "Withdrawal has no phone number to pay" };
+
+  // Claim the withdrawal so it is paid out once
+  const [claim] = await portalDB.query(
+    `UPDATE withdrawals
+     SET status = 'processing', processed_at = NOW(), approved_by = ?, payout_provider = ?, notes = COALESCE(?, notes)
+     WHERE id = ? AND status = 'pending'`,
+    [admin.id, PAYOUT_PROVIDER, notes || null, withdrawal.id]
+  );
+  if (claim.affectedRows !== 1) return { ok: false, message: "Withdrawal is already being processed" };
+
+  let result;
+  try {
+    result = await yoPayments.withdrawFunds({
+      msisdn: details.phone_number,
+      amount: Number(withdrawal.amount),
+      narrative: `Withdrawal ${withdrawal.withdrawal_ref}`,
+      externalRef: withdrawal.withdrawal_ref,
+      nonBlocking: true
+    });
+  } catch (e) {
+    console.error(`Payout error for withdrawal ${withdrawal.withdrawal_ref}:`, e.message);
+    await portalDB.query(
+      "UPDATE withdrawals SET payout_message = ? WHERE id = ?",
+      [String(e.message).slice(0, 255), withdrawal.id]
+    );
+    return {
+      ok: false,
+      status: "processing",
+      message: `Payout not confirmed (${e.message}); check the Yo Payments account and mark the withdrawal by hand`
+    };
+  }
+
+  if (!result.success || result.paymentStatus === "failed") {
+    await finishPayout(withdrawal.id, "failed", { transactionStatus: result.transactionStatus, message: result.statusMessage });
+    return { ok: false, status: "failed", message: `Payout failed: ${result.statusMessage || "rejected by Yo Payments"}` };
+  }
+
+  await portalDB.query(
+    "UPDATE withdrawals SET payout_ref = ?, payout_status = ?, payout_message = ? WHERE id = ?",
+    [result.transactionReference, result.transactionStatus || "PENDING", result.statusMessage || null, withdrawal.id]
+  );
+
+  if (result.paymentStatus === "success") {
+    await finishPayout(withdrawal.id, "completed", { transactionStatus: result.transactionStatus, message: result.statusMessage });
+    return { ok: true, status: "completed", message: "Withdrawal paid out" };
+  }
+
+  return { ok: true, status: "processing", message: "Withdrawal approved; payout sent to Yo Payments" };
+}
+
+/**
+ * Check processing payouts with Yo and complete or fail their withdrawals
+ * @returns {Promise<Object>} { checked, completed, failed, errors }
+ */
+async function trackPayouts() {
+  const totals = { checked: 0, completed: 0, failed: 0, errors: 0 };
+
+  const [withdrawals] = await portalDB.query(
+    `SELECT id, withdrawal_ref, payout_ref
+     FROM withdrawals
+     WHERE status = 'processing' AND payout_provider = ? AND payout_ref IS NOT NULL
+     ORDER BY COALESCE(payout_checked_at, processed_at)
+     LIMIT ?`,
+    [PAYOUT_PROVIDER, TRACK_BATCH_SIZE]
+  );
+  if (!withdrawals.length || !(await isAvailable())) return totals;
+
+  for (const withdrawal of withdrawals) {
+    try {
+      const result = await yoPayments.checkTransactionStatus(withdrawal.payout_ref);
+      totals.checked++;
+
+      if (result.paymentStatus === "success" || result.paymentStatus === "failed") {
+        const status = result.paymentStatus === "success" ? "completed" : "failed";
+        await finishPayout(withdrawal.id, status, { transactionStatus: result.transactionStatus, message: result.statusMessage });
+        totals[status]++;
+      } else {
+        await portalDB.query(
+          "UPDATE withdrawals SET payout_status = ?, payout_checked_at = NOW() WHERE id = ?",
+          [result.transactionStatus || null, withdrawal.id]
+        );
+      }
+    } catch (e) {
+      console.error(`Payout status check error for withdrawal ${withdrawal.withdrawal_ref}:`, e.message);
+      totals.errors++;
+    }
+  }
+
+  return totals;
+}
+
+module.exports = {
+  isAvailable,
+  approvePayout,
+  trackPayouts
+};
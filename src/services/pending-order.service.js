@@ -0,0 +1,122 @@
+/**
+ * Pending Order Service
+ * Payment callbacks (Yo Payments IPN, MTN MoMo callback, ...) do not always
+ * arrive, so the poller asks the provider for the status of pending orders
+ * that were sent to the customer's phone (those with a provider_ref),
+ * backing off per order (30s, 1m, 2m, ... up to 15m between checks), and
+ * settles them through order-fulfilment.service like the callback would.
+ * Orders still PENDING after PENDING_ORDER_TIMEOUT_MINUTES are marked
+ * EXPIRED; a payment that is confirmed later (callback or status check)
+ * still completes them. An order left FULFILLING by a process that stopped
+ * mid-fulfilment is checked again once its claim is stale, and completed.
+ */
+
+const env = require("../config/env");
+const portalDB = require("../config/db.portal");
+const paymentRegistry = require("./payment-registry.service");
+const fulfilment = require("./order-fulfilment.service");
+
+// Poll backoff per order
+const POLL_BASE_SECONDS = 30;
+const POLL_MAX_SECONDS = 15 * 60;
+
+// Orders checked per poller run
+const POLL_BATCH_SIZE = 50;
+
+/**
+ * Seconds to wait before the next status check of an order
+ * @param {number} attempts - Checks made so far
+ * @returns {number}
+ */
+function pollDelaySeconds(attempts) {
+  return Math.min(POLL_MAX_SECONDS, POLL_BASE_SECONDS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Check pending orders that are due with their provider and complete or fail them
+ * @param {number} [timeoutMinutes] - Orders older than this are left to expirePendingOrders
+ * @returns {Promise<Object>} { checked, paid, failed, errors }
+ */
+async function pollPendingOrders(timeoutMinutes = env.PENDING_ORDER_TIMEOUT_MINUTES) {
+  const totals = { checked: 0, paid: 0, failed: 0, errors: 0 };
+
+  const [orders] = await portalDB.query(
+    `SELECT id, order_ref, amount_ugx, payment_provider, provider_ref, poll_attempts
+     FROM orders
+     WHERE provider_ref IS NOT NULL
+       AND (next_poll_at IS NULL OR next_poll_at <= NOW())
+       AND ((status = 'PENDING' AND created_at > NOW() - INTERVAL ? MINUTE)
+         OR (status = 'FULFILLING' AND fulfilling_at <= NOW() - INTERVAL ? MINUTE))
+     ORDER BY COALESCE(next_poll_at, created_at)
+     LIMIT ?`,
+    [timeoutMinutes, fulfilment.FULFIL_STALE_MINUTES, POLL_BATCH_SIZE]
+  );
+
+  // Providers are asked only if they can take requests at the moment
+  const available = new Map();
+
+  for (const order of orders) {
+    const provider = paymentRegistry.getByOrderCode(order.payment_provider);
+    if (!provider) continue;
+
+    if (!available.has(provider.code)) available.set(provider.code, await provider.isAvailable());
+    if (!available.get(provider.code)) continue;
+
+    totals.checked++;
+    try {
+      const result = await fulfilment.settleOrder(provider, order, "Poller");
+      if (result.status === "PAID") {
+        if (result.fulfilled) totals.paid++;
+        continue;
+      }
+      if (result.status === "FAILED") {
+        totals.failed++;
+        continue;
+      }
+    } catch (e) {
+      console.error(`${provider.displayName} poll error for order ${order.order_ref}:`, e.message);
+      totals.errors++;
+    }
+
+    // Still pending (or provider unreachable): check again later
+    await portalDB.query(
+      `UPDATE orders
+       SET poll_attempts = poll_attempts + 1,
+           next_poll_at = NOW() + INTERVAL ? SECOND
+       WHERE id = ?`,
+      [pollDelaySeconds(order.poll_attempts + 1), order.id]
+    );
+  }
+
+  return totals;
+}
+
+/**
+ * Mark orders that have been PENDING for longer than the timeout EXPIRED
+ * @param {number} [timeoutMinutes]
+ * @returns {Promise<number>} orders expired
+ */
+async function expirePendingOrders(timeoutMinutes = env.PENDING_ORDER_TIMEOUT_MINUTES) {
+  const [orders] = await portalDB.query(
+    `SELECT id, order_ref FROM orders
+     WHERE status = 'PENDING' AND created_at <= NOW() - INTERVAL ? MINUTE`,
+    [timeoutMinutes]
+  );
+  if (!orders.length) return 0;
+
+  await portalDB.query(
+    "UPDATE orders SET status = 'EXPIRED' WHERE id IN (?) AND status = 'PENDING'",
+    [orders.map((o) => o.id)]
+  );
+  await portalDB.query(
+    "UPDATE payment_logs SET status = 'cancelled', status_message = 'Order timed out', completed_at = NOW() WHERE transaction_ref IN (?) AND status IN ('initiated', 'pending', 'processing')",
+    [orders.map((o) => o.order_ref)]
+  );
+
+  return orders.length;
+}
+
+module.exports = {
+  pollPendingOrders,
+  expirePendingOrders
+};
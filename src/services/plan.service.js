@@ -0,0 +1,707 @@
+/**
+ * Plan Service
+ * Plans as FreeRADIUS groups, and pushing plan changes to users who are
+ * already online.
+ *
+ * Each plan is mirrored to a group (radgroupcheck/radgroupreply) named
+ * plan_<id>. Vouchers join the group through radusergroup and keep only
+ * their password and Expiration as per-user rows, so editing a plan
+ * reaches every voucher issued on it. Active sessions additionally get
+ * a CoA-Request so the new limits apply immediately.
+ *
+ * Data caps are not part of the group: the quota service writes each
+ * user's remaining bytes as a per-user limit.
+ *
+ * Bandwidth attributes differ per NAS vendor, so every plan also has one
+ * group per vendor (plan_<id>_<vendor>) that only matches logins from that
+ * vendor's huntgroup, plus plan_<id>_generic for NAS not in any huntgroup.
+ * Users are members of all of them; FreeRADIUS falls through from the base
+ * group and stops at the first vendor group that matches.
+ */
+
+const portalDB = require("../config/db.portal");
+const radiusDB = require("../config/db.radius");
+const radiusService = require("./radius.service");
+const radiusCoa = require("./radius-coa.service");
+const quotaService = require("./quota.service");
+const nasVendor = require("./nas-vendor.service");
+
+// Number of CoA-Requests in flight at once when pushing a whole plan
+const COA_CONCURRENCY = 10;
+
+// Idle-Timeout applied to every plan (seconds)
+const IDLE_TIMEOUT_SECONDS = 300;
+
+// Groups synced by this process, so activations don't rewrite them every time
+const syncedGroups = new Set();
+
+/**
+ * Get a plan by ID
+ * @param {number} planId
+ * @returns {Promise<Object|null>}
+ */
+async function getPlanById(planId) {
+  const [[plan]] = await portalDB.query("SELECT * FROM plans WHERE id = ?", [planId]);
+  return plan || null;
+}
+
+/**
+ * A plan with its duration, speed and data as shown to customers
+ * (duration_display, speed_display, data_display)
+ * @param {Object} plan - plans row
+ * @returns {Object}
+ */
+function formatPlanDisplay(plan) {
+  // Duration display
+  let duration_display = "";
+  if (plan.duration_minutes >= 1440) {
+    const days = Math.floor(plan.duration_minutes / 1440);
+    duration_display = days === 1 ? "1 Day" : `${days} Days`;
+  } else if (plan.duration_minutes >= 60) {
+    const hours = Math.floor(plan.duration_minutes / 60);
+    duration_display = hours === 1 ? "1 Hour" : `${hours} Hours`;
+  } else {
+    duration_display = `${plan.duration_minutes} Minutes`;
+  }
+
+  // Speed display
+  let speed_display = "";
+  if (plan.speed_down_kbps && plan.speed_up_kbps) {
+    const down = plan.speed_down_kbps >= 1000 ? `${plan.speed_down_kbps / 1000}Mbps` : `${plan.speed_down_kbps}Kbps`;
+    speed_display = `${down} Speed`;
+  }
+
+  // Data display
+  let data_display = "";
+  if (plan.data_mb) {
+    data_display = plan.data_mb >= 1024 ? `${(plan.data_mb / 1024).toFixed(1)}GB Data` : `${plan.data_mb}MB Data`;
+  }
+
+  return { ...plan, duration_display, speed_display, data_display };
+}
+
+/**
+ * FreeRADIUS group name for a plan
+ * @param {Object|number} plan - plans row or plan ID
+ * @returns {string}
+ */
+function planGroupName(plan) {
+  return `plan_${typeof plan === "object" ? plan.id : plan}`;
+}
+
+/**
+ * All FreeRADIUS groups of a plan, in membership priority order:
+ * base group, one group per vendor, generic fallback
+ * @param {Object|number} plan - plans row or plan ID
+ * @returns {string[]}
+ */
+function planGroupNames(plan) {
+  const base = planGroupName(plan);
+  return [base, ...nasVendor.getGroupVendors().map((v) => `${base}_${v}`), `${base}_generic`];
+}
+
+/**
+ * Build the base group check/reply items for a plan (vendor-neutral)
+ * @param {Object} plan - plans row
+ * @returns {Object} { check: [[attribute, op, value]], reply: [[attribute, op, value]] }
+ */
+function planGroupItems(plan) {
+  const check = [];
+  const reply = [];
+
+  // "=" so a per-user value (if one is ever set) takes precedence over the group
+  if (plan.plan_type === "airtime") {
+    // Total online-time budget; each user's remaining time is written
+    // per user as Session-Timeout by the quota service
+    check.push(["Max-All-Session", "=", Number(plan.airtime_minutes) * 60]);
+  } else {
+    reply.push(["Session-Timeout", "=", Number(plan.duration_minutes) * 60]);
+  }
+  // Devices that can be online on one voucher at the same time
+  check.push(["Simultaneous-Use", "=", Number(plan.max_devices) || 1]);
+  reply.push(["Idle-Timeout", "=", IDLE_TIMEOUT_SECONDS]);
+
+  // Continue to the vendor groups
+  reply.push(["Fall-Through", "=", "Yes"]);
+
+  return { check, reply };
+}
+
+/**
+ * Build the check/reply items of a plan's group for one NAS vendor
+ * @param {Object} plan - plans row
+ * @param {string} vendor - Vendor profile key (see nas-vendor.service), or "generic"
+ * @returns {Object} { check: [[attribute, op, value]], reply: [[attribute, op, value]] }
+ */
+function planVendorGroupItems(plan, vendor) {
+  const profile = nasVendor.getProfile(vendor);
+  const check = profile.huntgroup ? [["Huntgroup-Name", "==", profile.huntgroup]] : [];
+  const reply = [];
+
+  if (plan.speed_down_kbps && plan.speed_up_kbps) {
+    const attributes = nasVendor.rateLimitAttributes(plan.speed_down_kbps, plan.speed_up_kbps, vendor);
+    for (const [attribute, value] of attributes) {
+      // Multi-valued attributes (Cisco-AVPair) need "+=" or only the first is kept
+      const repeated = attributes.filter(([name]) => name === attribute).length > 1;
+      reply.push([attribute, repeated ? "+=" : "=", value]);
+    }
+  }
+
+  return { check, reply };
+}
+
+/**
+ * Write a plan's groups (base and per vendor) to FreeRADIUS
+ * @param {Object|number} plan - plans row or plan ID
+ * @returns {Promise<string[]>} Group names in priority order
+ */
+async function syncPlanGroup(plan) {
+  const row = typeof plan === "object" ? plan : await getPlanById(plan);
+  if (!row) throw new Error("Plan not found");
+
+  const groupname = planGroupName(row);
+  await radiusService.setGroupAttributes(groupname, planGroupItems(row));
+
+  for (const vendor of [...nasVendor.getGroupVendors(), "generic"]) {
+    await radiusService.setGroupAttributes(`${groupname}_${vendor}`, planVendorGroupItems(row, vendor));
+  }
+
+  // Users activated before the vendor groups existed only have the base group
+  const groupnames = planGroupNames(row);
+  await radiusService.addMissingGroupMembers(groupname, groupnames);
+  syncedGroups.add(groupname);
+
+  return groupnames;
+}
+
+/**
+ * Write every plan's group to FreeRADIUS (run on startup)
+ * @returns {Promise<number>} Number of plans synced
+ */
+async function syncAllPlanGroups() {
+  const [plans] = await portalDB.query("SELECT * FROM plans");
+  for (const plan of plans) {
+    await syncPlanGroup(plan);
+  }
+  return plans.length;
+}
+
+/**
+ * Bring per-user items in line with a plan after it was edited.
+ * Members of non-airtime plans lose any per-user Session-Timeout so the
+ * group value applies (e.g. when a plan is switched away from airtime).
+ * Every member then gets their airtime and data budget recomputed against
+ * the new plan.
+ *
+ * @param {number} planId
+ * @returns {Promise<number>} Number of members updated
+ */
+async function refreshPlanMembers(planId) {
+  const plan = await getPlanById(planId);
+  if (!plan) throw new Error("Plan not found");
+
+  const [rows] = await radiusDB.query(
+    "SELECT DISTINCT username FROM radusergroup WHERE groupname = ?",
+    [planGroupName(plan)]
+  );
+  const usernames = rows.map((r) => r.username);
+
+  if (plan.plan_type !== "airtime" && usernames.length) {
+    await radiusService.clearUserPlanAttributes(usernames);
+  }
+
+  for (const username of usernames) {
+    await quotaService.setPlanDataBudget(username, plan);
+    await quotaService.refreshUser(username);
+  }
+
+  return usernames.length;
+}
+
+/**
+ * Queue a plan's members for refreshPlanMembers after an edit. A plan can
+ * have thousands of members, so the Plan member refresh job does it instead
+ * of the request that saved the plan.
+ * @param {number} planId
+ */
+async function queueMemberRefresh(planId) {
+  await portalDB.query("UPDATE plans SET members_refresh_at = NOW(3) WHERE id = ?", [planId]);
+}
+
+/**
+ * Refresh the members of plans queued by queueMemberRefresh (scheduler job).
+ * A plan edited again while its members are refreshed stays queued, and a
+ * plan whose refresh failed is retried on the next run.
+ * @returns {Promise<Object>} { plans, members }
+ */
+async function refreshQueuedPlans() {
+  const [plans] = await portalDB.query(
+    "SELECT id, members_refresh_at FROM plans WHERE members_refresh_at IS NOT NULL ORDER BY members_refresh_at"
+  );
+
+  const totals = { plans: 0, members: 0 };
+  for (const plan of plans) {
+    try {
+      totals.members += await refreshPlanMembers(plan.id);
+      totals.plans++;
+      await portalDB.query(
+        "UPDATE plans SET members_refresh_at = NULL WHERE id = ? AND members_refresh_at = ?",
+        [plan.id, plan.members_refresh_at]
+      );
+    } catch (e) {
+      console.error(`Error refreshing members of plan ${plan.id}:`, e.message);
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Remove a plan's groups from FreeRADIUS
+ * @param {number} planId
+ */
+async function removePlanGroup(planId) {
+  for (const groupname of planGroupNames(planId)) {
+    await radiusService.deleteGroup(groupname);
+  }
+  syncedGroups.delete(planGroupName(planId));
+}
+
+/**
+ * Make sure a plan's groups exist before users are added to them
+ * @param {number} planId
+ * @returns {Promise<string[]>} Group names in priority order
+ */
+async function ensurePlanGroup(planId) {
+  if (syncedGroups.has(planGroupName(planId))) return planGroupNames(planId);
+  return syncPlanGroup(planId);
+}
+
+/**
+ * Activate a voucher/order username on a plan.
+ * The user gets a password, Expiration and membership of the plan groups.
+ *
+ * @param {Object} options
+ * @param {string} options.username
+ * @param {string} options.password
+ * @param {Object} options.plan - plans row (id, duration_minutes, validity_start, data_mb, data_cap_action, throttle_kbps)
+ */
+async function activatePlanVoucher({ username, password, plan }) {
+  if (!plan || !plan.id) throw new Error("activatePlanVoucher requires a plan");
+
+  const groupnames = await ensurePlanGroup(plan.id);
+
+  const result = await radiusService.activateVoucher({
+    username,
+    password,
+    minutes: plan.duration_minutes,
+    groupname: groupnames,
+    startOnFirstLogin: plan.validity_start === "first_login"
+  });
+
+  // The first login gets the whole airtime/data budget as per-user limits
+  await quotaService.setPlanDataBudget(username, plan);
+  await quotaService.refreshUser(username);
+
+  return result;
+}
+
+/**
+ * Activate many new vouchers on a plan at once (bulk generation).
+ * Writes the same per-user items as activatePlanVoucher does for a user
+ * who has never logged in: Expiration, the full airtime budget as
+ * Session-Timeout and the full data budget as the per-user data limit.
+ * A voucher with its own expiry date (imported) gets the earlier of that
+ * and the plan validity as Expiration; on first-login plans the clock
+ * still starts at first login.
+ *
+ * @param {Array<string|Object>} vouchers - Voucher codes (username and
+ *   password), or { code, password, expiresAt } for vouchers with their
+ *   own password or expiry date
+ * @param {Object} plan - plans row
+ */
+async function activatePlanVouchersBulk(vouchers, plan) {
+  if (!plan || !plan.id) throw new Error("activatePlanVouchersBulk requires a plan");
+  if (!vouchers.length) return;
+
+  const users = vouchers.map((v) => (typeof v === "string" ? { code: v, password: v } : v));
+  const codes = users.map((u) => u.code);
+
+  const groupnames = await ensurePlanGroup(plan.id);
+
+  const validUntil = plan.validity_start !== "first_login"
+    ? new Date(Date.now() + Number(plan.duration_minutes) * 60 * 1000)
+    : null;
+
+  const reply = [];
+  if (plan.plan_type === "airtime") {
+    reply.push(["Session-Timeout", ":=", Number(plan.airtime_minutes) * 60]);
+  }
+  if (plan.data_mb && Number(plan.data_mb) > 0) {
+    for (const [attribute, value] of nasVendor.dataLimitAttributes(Number(plan.data_mb) * 1024 * 1024)) {
+      reply.push([attribute, ":=", value]);
+    }
+  }
+
+  await radiusService.activateVouchersBulk(
+    users.map((u) => {
+      const expiresAt = validUntil && u.expiresAt && new Date(u.expiresAt) < validUntil ? new Date(u.expiresAt) : validUntil;
+      return {
+        username: u.code,
+        password: u.password || u.code,
+        reply: expiresAt ? [["Expiration", ":=", radiusService.radiusExpiration(expiresAt)], ...reply] : reply
+      };
+    }),
+    groupnames
+  );
+  await quotaService.setPlanDataBudgets(codes, plan);
+}
+
+/**
+ * Start the validity clock for a first-login voucher when it is used.
+ * Does nothing for plans whose validity starts at activation.
+ *
+ * @param {string} username
+ * @param {Date} [startedAt] - First login time (default now)
+ * @returns {Promise<Object|null>} { username, started, expiresAt } or null
+ */
+async function startFirstLoginClock(username, startedAt = new Date()) {
+  const subscription = await findSubscription(username);
+  if (!subscription) return null;
+
+  const plan = await getPlanById(subscription.plan_id);
+  if (!plan || plan.validity_start !== "first_login") return null;
+
+  return radiusService.startValidityClock(username, plan.duration_minutes, startedAt);
+}
+
+/**
+ * Start the clock for first-login vouchers that have connected but have
+ * no Expiration yet (e.g. logged in directly on the hotspot without going
+ * through the portal). The first radacct start time is used as first login.
+ *
+ * @returns {Promise<number>} Number of vouchers whose clock was started
+ */
+async function startPendingValidityClocks() {
+  const [plans] = await portalDB.query(
+    "SELECT id, duration_minutes FROM plans WHERE validity_start = 'first_login'"
+  );
+  if (plans.length === 0) return 0;
+
+  const durations = new Map(plans.map((p) => [planGroupName(p), p.duration_minutes]));
+
+  const [pending] = await radiusDB.query(
+    `SELECT ug.username, ug.groupname, MIN(a.acctstarttime) AS first_login
+     FROM radusergroup ug
+     JOIN radacct a ON a.username = ug.username
+     LEFT JOIN radreply r ON r.username = ug.username AND r.attribute = 'Expiration'
+     WHERE ug.groupname IN (?) AND r.id IS NULL
+     GROUP BY ug.username, ug.groupname`,
+    [[...durations.keys()]]
+  );
+
+  let started = 0;
+  for (const row of pending) {
+    const firstLogin = row.first_login ? new Date(row.first_login) : new Date();
+    const result = await radiusService.startValidityClock(row.username, durations.get(row.groupname), firstLogin);
+    if (result.started) started++;
+  }
+
+  return started;
+}
+
+/**
+ * Find the voucher or order that owns a RADIUS username
+ * @param {string} username
+ * @returns {Promise<Object|null>} { source: 'voucher'|'order', id, plan_id }
+ */
+async function findSubscription(username) {
+  const [[voucher]] = await portalDB.query(
+    "SELECT id, plan_id FROM vouchers WHERE code = ? LIMIT 1",
+    [username]
+  );
+  if (voucher) return { source: "voucher", ...voucher };
+
+  const [[order]] = await portalDB.query(
+    "SELECT id, plan_id FROM orders WHERE username = ? ORDER BY id DESC LIMIT 1",
+    [username]
+  );
+  if (order) return { source: "order", ...order };
+
+  return null;
+}
+
+/**
+ * Get every RADIUS username issued on a plan (vouchers and paid orders)
+ * @param {number} planId
+ * @returns {Promise<string[]>}
+ */
+async function getPlanUsernames(planId) {
+  const [rows] = await portalDB.query(
+    `SELECT code AS username FROM vouchers WHERE plan_id = ?
+     UNION
+     SELECT username FROM orders WHERE plan_id = ? AND username IS NOT NULL AND status = 'PAID'`,
+    [planId, planId]
+  );
+  return rows.map((r) => r.username);
+}
+
+/**
+ * Build the CoA attributes for a session on a plan.
+ *
+ * Session-Timeout is measured from the start of the session, so it is set
+ * to the time already used plus whatever is left before the user's
+ * Expiration (or the plan duration when no Expiration is stored). For
+ * airtime plans the remaining budget also caps it. The data limit works the
+ * same way: the session's own octets plus what is left across all sessions.
+ *
+ * @param {Object} plan - plans row
+ * @param {Object} session - radacct row (acctstarttime, acctsessiontime, acctinputoctets, acctoutputoctets)
+ * @param {Date|null} expiresAt - Parsed radreply Expiration
+ * @param {Object|null} [airtime] - { remainingSeconds } from getAirtimeStatus
+ * @param {Object|null} [quota] - data_quotas row from getDataQuota
+ * @param {string} [vendor] - Vendor of the session's NAS (see nas-vendor.service)
+ * @returns {Array<[string, any]>}
+ */
+function buildCoaAttributes(plan, session, expiresAt, airtime = null, quota = null, vendor = "generic") {
+  const attributes = [];
+
+  if (quota && quota.status === "throttled" && quota.throttle_kbps) {
+    // Over the data cap: keep the throttle instead of restoring plan speed
+    attributes.push(...nasVendor.rateLimitAttributes(quota.throttle_kbps, quota.throttle_kbps, vendor));
+  } else if (plan.speed_down_kbps && plan.speed_up_kbps) {
+    attributes.push(...nasVendor.rateLimitAttributes(plan.speed_down_kbps, plan.speed_up_kbps, vendor));
+  }
+
+  if (quota && quota.status === "ok") {
+    // remaining_bytes already excludes this session's octets up to its last interim update
+    const sessionBytes = (Number(session.acctinputoctets) || 0) + (Number(session.acctoutputoctets) || 0);
+    attributes.push(...nasVendor.dataLimitAttributes(sessionBytes + quota.remaining_bytes, vendor));
+  }
+
+  const now = Date.now();
+  const startedAt = session.acctstarttime ? new Date(session.acctstarttime).getTime() : now;
+  const elapsed = Math.max(0, Math.floor((now - startedAt) / 1000));
+  let remaining = expiresAt
+    ? Math.max(0, Math.floor((expiresAt.getTime() - now) / 1000))
+    : Number(plan.duration_minutes) * 60;
+
+  if (airtime) {
+    // remainingSeconds already excludes this session's time up to its last interim update
+    const unreported = Math.max(0, elapsed - (Number(session.acctsessiontime) || 0));
+    remaining = Math.min(remaining, Math.max(0, airtime.remainingSeconds - unreported));
+  }
+
+  attributes.push(["Session-Timeout", elapsed + remaining]);
+
+  return attributes;
+}
+
+/**
+ * Send CoA-Requests for a list of sessions, a few at a time
+ * @param {Object} plan - plans row the sessions' users are on
+ * @param {Array<Object>} sessions - radacct rows (see getActiveSessions)
+ * @param {Object} [context] - { requestedBy, reason } recorded in coa_requests
+ * @returns {Promise<Object>} { total, acked, sessions }
+ */
+async function pushToSessions(plan, sessions, context) {
+  const usernames = [...new Set(sessions.map((s) => s.username))];
+  const expirations = await radiusService.getExpirations(usernames);
+
+  const airtime = new Map();
+  if (plan.plan_type === "airtime") {
+    for (const username of usernames) {
+      airtime.set(username, await radiusService.getAirtimeStatus(username));
+    }
+  }
+
+  const quotas = new Map();
+  for (const username of usernames) {
+    quotas.set(username, await quotaService.getDataQuota(username));
+  }
+
+  const vendors = await nasVendor.getNasVendors();
+
+  const results = [];
+
+  for (let i = 0; i < sessions.length; i += COA_CONCURRENCY) {
+    const batch = sessions.slice(i, i + COA_CONCURRENCY);
+    results.push(...await Promise.all(batch.map((session) =>
+      radiusCoa.changeAuthorization(
+        session,
+        buildCoaAttributes(
+          plan,
+          session,
+          expirations.get(session.username) || null,
+          airtime.get(session.username) || null,
+          quotas.get(session.username) || null,
+          vendors.get(session.nasipaddress)
+        ),
+        context
+      )
+    )));
+  }
+
+  return {
+    total: results.length,
+    acked: results.filter((r) => r.acked).length,
+    sessions: results
+  };
+}
+
+/**
+ * Push a plan's current limits to every active session in its group.
+ * The group itself must already be synced (see syncPlanGroup).
+ *
+ * @param {number} planId
+ * @param {Object} [context] - { requestedBy, reason } recorded in coa_requests
+ * @returns {Promise<Object>} { planId, users, total, acked, sessions }
+ */
+async function pushPlanToActiveSessions(planId, context = {}) {
+  const plan = await getPlanById(planId);
+  if (!plan) throw new Error("Plan not found");
+
+  const groupname = planGroupName(plan);
+
+  const [[members]] = await radiusDB.query(
+    "SELECT COUNT(DISTINCT username) AS c FROM radusergroup WHERE groupname = ?",
+    [groupname]
+  );
+
+  const [sessions] = await radiusDB.query(
+    `SELECT a.radacctid, a.username, a.nasipaddress, a.acctsessionid, a.framedipaddress,
+            a.callingstationid, a.acctstarttime, a.acctsessiontime,
+            a.acctinputoctets, a.acctoutputoctets
+     FROM radacct a
+     JOIN radusergroup ug ON ug.username = a.username
+     WHERE ug.groupname = ? AND a.acctstoptime IS NULL`,
+    [groupname]
+  );
+
+  const result = await pushToSessions(plan, sessions, { reason: "plan_update", ...context });
+
+  return { planId: plan.id, users: members.c, ...result };
+}
+
+/**
+ * Move a single customer to another plan (upgrade or downgrade).
+ * Updates the owning voucher/order, moves the user to the new plan group and
+ * pushes the new limits to their active sessions. Expiration is unchanged.
+ *
+ * @param {string} username
+ * @param {number} planId - Target plan
+ * @param {Object} [context] - { requestedBy, reason } recorded in coa_requests
+ * @returns {Promise<Object>} { username, plan, previousPlanId, total, acked, sessions }
+ */
+async function changeUserPlan(username, planId, context = {}) {
+  const plan = await getPlanById(planId);
+  if (!plan) throw new Error("Plan not found");
+
+  const subscription = await findSubscription(username);
+  if (!subscription) throw new Error("No voucher or order found for this username");
+
+  if (subscription.source === "voucher") {
+    await portalDB.query("UPDATE vouchers SET plan_id = ? WHERE id = ?", [plan.id, subscription.id]);
+  } else {
+    await portalDB.query("UPDATE orders SET plan_id = ? WHERE id = ?", [plan.id, subscription.id]);
+  }
+
+  const groupnames = await ensurePlanGroup(plan.id);
+  await radiusService.setUserGroup([username], groupnames);
+  await radiusService.clearUserPlanAttributes([username]);
+  await quotaService.setPlanDataBudget(username, plan);
+  await quotaService.refreshUser(username);
+
+  const sessions = await radiusCoa.getActiveSessions(username);
+  const result = await pushToSessions(plan, sessions, { reason: "plan_change", ...context });
+
+  return {
+    username,
+    plan: { id: plan.id, code: plan.code, name: plan.name },
+    previousPlanId: subscription.plan_id,
+    ...result
+  };
+}
+
+/**
+ * Filter usernames down to those that exist in radcheck
+ */
+async function filterRadiusUsers(usernames) {
+  const found = [];
+  const CHUNK = 500;
+
+  for (let i = 0; i < usernames.length; i += CHUNK) {
+    const [rows] = await radiusDB.query(
+      "SELECT DISTINCT username FROM radcheck WHERE username IN (?)",
+      [usernames.slice(i, i + CHUNK)]
+    );
+    found.push(...rows.map((r) => r.username));
+  }
+
+  return found;
+}
+
+/**
+ * Convert existing voucher/order users from per-user plan attributes to
+ * the group model: sync every plan group, add each user to their plan's
+ * groups and delete their per-user copies of plan attributes, then write
+ * their remaining airtime/data as per-user limits.
+ * Password and Expiration rows are left untouched.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report what would change without writing
+ * @returns {Promise<Object>} { dryRun, plans: [...], totalUsers }
+ */
+async function migrateUsersToGroups({ dryRun = false } = {}) {
+  const [plans] = await portalDB.query("SELECT * FROM plans ORDER BY id");
+  const report = [];
+  let totalUsers = 0;
+
+  for (const plan of plans) {
+    const groupname = planGroupName(plan);
+    const users = await filterRadiusUsers(await getPlanUsernames(plan.id));
+
+    if (!dryRun) {
+      await syncPlanGroup(plan);
+      if (users.length) {
+        await radiusService.setUserGroup(users, planGroupNames(plan));
+        await radiusService.clearUserPlanAttributes(users);
+      }
+      for (const username of users) {
+        await quotaService.setPlanDataBudget(username, plan);
+        await quotaService.refreshUser(username);
+      }
+    }
+
+    report.push({ planId: plan.id, code: plan.code, groupname, users: users.length });
+    totalUsers += users.length;
+  }
+
+  return { dryRun, plans: report, totalUsers };
+}
+
+module.exports = {
+  getPlanById,
+  formatPlanDisplay,
+  planGroupName,
+  planGroupNames,
+  planGroupItems,
+  planVendorGroupItems,
+  syncPlanGroup,
+  syncAllPlanGroups,
+  refreshPlanMembers,
+  queueMemberRefresh,
+  refreshQueuedPlans,
+  removePlanGroup,
+  activatePlanVoucher,
+  activatePlanVouchersBulk,
+  startFirstLoginClock,
+  startPendingValidityClocks,
+  findSubscription,
+  getPlanUsernames,
+  buildCoaAttributes,
+  pushToSessions,
+  pushPlanToActiveSessions,
+  changeUserPlan,
+  migrateUsersToGroups
+};
@@ -0,0 +1,333 @@
+/**
+ * Quota Service
+ * Enforces usage budgets that span several sessions, computed from
+ * RADIUS accounting (radacct).
+ *
+ * Airtime plans give a total online-time budget (Max-All-Session) to use
+ * within the plan's validity window. Each user gets a per-user
+ * Session-Timeout equal to the time they have left, so the next login is
+ * cut off when the budget runs out. If FreeRADIUS has the noresetcounter
+ * sqlcounter configured for Max-All-Session it enforces the same budget.
+ *
+ * Data caps are tracked per user in data_quotas. NAS data limits
+ * (Mikrotik-Total-Limit, ChilliSpot-Max-Total-Octets) count per session,
+ * so each login is sent only the bytes left across all sessions. Interim
+ * accounting updates are swept every minute; users over their cap are
+ * disconnected or throttled through Dynamic Authorization, which also
+ * covers NAS types that ignore the data limit attributes.
+ */
+
+const radiusDB = require("../config/db.radius");
+const portalDB = require("../config/db.portal");
+const radiusService = require("./radius.service");
+const radiusCoa = require("./radius-coa.service");
+const nasVendor = require("./nas-vendor.service");
+const lifecycle = require("./voucher-lifecycle.service");
+
+// How far back the sweep looks for sessions that changed the usage
+const SWEEP_WINDOW_MINUTES = 10;
+
+/**
+ * Ensure the data_quotas table exists
+ */
+async function ensureQuotaTable() {
+  try {
+    await portalDB.query(`
+      CREATE TABLE IF NOT EXISTS data_quotas (
+        username VARCHAR(64) PRIMARY KEY,
+        plan_bytes BIGINT NOT NULL DEFAULT 0,
+        bonus_bytes BIGINT NOT NULL DEFAULT 0,
+        used_bytes BIGINT NOT NULL DEFAULT 0,
+        cap_action ENUM('disconnect', 'throttle') NOT NULL DEFAULT 'disconnect',
+        throttle_kbps INT DEFAULT NULL,
+        status ENUM('ok', 'throttled', 'exceeded') NOT NULL DEFAULT 'ok',
+        exceeded_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  } catch (e) {
+    console.error("Error creating data_quotas table:", e);
+  }
+}
+
+// Initialize table on module load
+ensureQuotaTable();
+
+/**
+ * Recompute a user's remaining airtime and write it as Session-Timeout.
+ * When nothing is left the voucher's Expiration is set to now.
+ *
+ * @param {string} username
+ * @returns {Promise<Object|null>} { username, budgetSeconds, usedSeconds, remainingSeconds, exhausted } or null if not an airtime user
+ */
+async function refreshAirtime(username) {
+  const airtime = await radiusService.getAirtimeStatus(username);
+  if (!airtime) return null;
+
+  const exhausted = airtime.remainingSeconds <= 0;
+
+  if (exhausted) {
+    // Session-Timeout 0 means "no limit" on some NAS, so reject via Expiration instead
+    await radiusService.expireUser(username);
+  } else {
+    await radiusService.setUserSessionTimeout(username, airtime.remainingSeconds);
+  }
+
+  return { username, ...airtime, exhausted };
+}
+
+/**
+ * Get a user's data quota row
+ * @param {string} username
+ * @returns {Promise<Object|null>}
+ */
+async function getDataQuota(username) {
+  const [[quota]] = await portalDB.query(
+    "SELECT * FROM data_quotas WHERE username = ?",
+    [username]
+  );
+  if (!quota) return null;
+
+  const budget = Number(quota.plan_bytes) + Number(quota.bonus_bytes);
+  return {
+    ...quota,
+    budget_bytes: budget,
+    remaining_bytes: Math.max(0, budget - Number(quota.used_bytes))
+  };
+}
+
+/**
+ * Set a user's data budget from their plan.
+ * Plans without a data cap remove the quota (and the per-user limit).
+ * Bonus bytes (top-ups) are kept.
+ *
+ * @param {string} username
+ * @param {Object} plan - plans row (data_mb, data_cap_action, throttle_kbps)
+ */
+async function setPlanDataBudget(username, plan) {
+  if (!plan.data_mb || Number(plan.data_mb) <= 0) {
+    await portalDB.query("DELETE FROM data_quotas WHERE username = ?", [username]);
+    await radiusService.setUserDataLimit(username, null);
+    return;
+  }
+
+  await portalDB.query(
+    `INSERT INTO data_quotas (username, plan_bytes, cap_action, throttle_kbps)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE plan_bytes = VALUES(plan_bytes),
+       cap_action = VALUES(cap_action), throttle_kbps = VALUES(throttle_kbps)`,
+    [
+      username,
+      Number(plan.data_mb) * 1024 * 1024,
+      plan.data_cap_action === "throttle" ? "throttle" : "disconnect",
+      plan.throttle_kbps || null
+    ]
+  );
+}
+
+/**
+ * Give many new users their plan's data budget (bulk generation).
+ * Does nothing for plans without a data cap.
+ * @param {string[]} usernames
+ * @param {Object} plan - plans row (data_mb, data_cap_action, throttle_kbps)
+ */
+async function setPlanDataBudgets(usernames, plan) {
+  if (!usernames.length || !plan.data_mb || Number(plan.data_mb) <= 0) return;
+
+  const capAction = plan.data_cap_action === "throttle" ? "throttle" : "disconnect";
+  await portalDB.query(
+    `INSERT INTO data_quotas (username, plan_bytes, cap_action, throttle_kbps)
+     VALUES ?
+     ON DUPLICATE KEY UPDATE plan_bytes = VALUES(plan_bytes),
+       cap_action = VALUES(cap_action), throttle_kbps = VALUES(throttle_kbps)`,
+    [usernames.map((u) => [u, Number(plan.data_mb) * 1024 * 1024, capAction, plan.throttle_kbps || null])]
+  );
+}
+
+/**
+ * Add bytes to a user's data budget on top of their plan (top-up).
+ * Users without a data cap are left alone.
+ * @param {string} username
+ * @param {number} bytes
+ * @returns {Promise<boolean>} false if the user has no data cap
+ */
+async function addBonusBytes(username, bytes) {
+  const [result] = await portalDB.query(
+    "UPDATE data_quotas SET bonus_bytes = bonus_bytes + ? WHERE username = ?",
+    [bytes, username]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Total bytes (download + upload) used by a user across all sessions
+ */
+async function getDataUsed(username) {
+  const [[row]] = await radiusDB.query(
+    `SELECT COALESCE(SUM(acctinputoctets + acctoutputoctets), 0) AS used
+     FROM radacct WHERE username = ?`,
+    [username]
+  );
+  return Number(row.used) || 0;
+}
+
+/**
+ * Send a rate limit to every active session of a user, in the attributes
+ * of each session's NAS vendor
+ */
+async function pushRateLimit(username, downKbps, upKbps, context) {
+  const vendors = await nasVendor.getNasVendors();
+
+  for (const session of await radiusCoa.getActiveSessions(username)) {
+    const attributes = nasVendor.rateLimitAttributes(downKbps, upKbps, vendors.get(session.nasipaddress));
+    await radiusCoa.changeAuthorization(session, attributes, context);
+  }
+}
+
+/**
+ * Push the user's plan (group) rate limit back to their active sessions
+ * after a throttle is lifted
+ */
+async function restorePlanRate(username, context) {
+  const status = await radiusService.getVoucherStatus(username);
+
+  // WISPr values (bps) are in the plan's groups whenever the plan has a speed
+  const down = Number(status.radreply["WISPr-Bandwidth-Max-Down"]) / 1000;
+  const up = Number(status.radreply["WISPr-Bandwidth-Max-Up"]) / 1000;
+  if (!down || !up) return;
+
+  await pushRateLimit(username, down, up, context);
+}
+
+/**
+ * Recompute a user's data usage and enforce their cap.
+ *
+ * Under the cap: the remaining bytes are written as the per-user data limit
+ * for the next login. Over the cap: depending on the plan, the user is
+ * either disconnected (Expiration set to now) or throttled to
+ * throttle_kbps with no further data limit.
+ *
+ * @param {string} username
+ * @returns {Promise<Object|null>} { username, budgetBytes, usedBytes, remainingBytes, status, previousStatus } or null if the user has no data cap
+ */
+async function refreshData(username) {
+  const quota = await getDataQuota(username);
+  if (!quota) return null;
+
+  const context = { reason: "data_cap" };
+  const usedBytes = await getDataUsed(username);
+  const remainingBytes = Math.max(0, quota.budget_bytes - usedBytes);
+  let status = quota.status;
+
+  if (remainingBytes > 0) {
+    await radiusService.setUserDataLimit(username, remainingBytes);
+
+    if (status === "throttled") {
+      // Budget was raised (top-up or plan change): back to plan speed
+      await radiusService.setUserRateLimit(username, null, null);
+      await restorePlanRate(username, context);
+    }
+    status = "ok";
+  } else if (quota.cap_action === "throttle" && quota.throttle_kbps) {
+    // Written on every refresh: a plan edit clears per-user vendor
+    // attributes (clearUserPlanAttributes), throttle included
+    await radiusService.setUserRateLimit(username, quota.throttle_kbps, quota.throttle_kbps);
+    if (status !== "throttled") {
+      await radiusService.setUserDataLimit(username, null);
+      await pushRateLimit(username, quota.throttle_kbps, quota.throttle_kbps, context);
+    }
+    status = "throttled";
+  } else {
+    await radiusService.expireUser(username);
+    // Repeated on every sweep while the NAS still reports a session
+    await radiusCoa.disconnectUser(username, context);
+    status = "exceeded";
+  }
+
+  await portalDB.query(
+    `UPDATE data_quotas
+     SET used_bytes = ?, status = ?,
+         exceeded_at = CASE WHEN ? = 'ok' THEN NULL ELSE COALESCE(exceeded_at, NOW()) END
+     WHERE username = ?`,
+    [usedBytes, status, status, username]
+  );
+
+  return { username, budgetBytes: quota.budget_bytes, usedBytes, remainingBytes, status, previousStatus: quota.status };
+}
+
+/**
+ * Refresh every quota (airtime and data) of a user. A voucher in use
+ * becomes EXHAUSTED when either budget runs out, and IN_USE again once
+ * both have something left (top-up or plan change).
+ * @param {string} username
+ * @returns {Promise<Object>} { airtime, data }
+ */
+async function refreshUser(username) {
+  const airtime = await refreshAirtime(username);
+  const data = await refreshData(username);
+  if (!airtime && !data) return { airtime, data };
+
+  const airtimeUsedUp = !!(airtime && airtime.exhausted);
+  const dataUsedUp = !!(data && data.status === "exceeded");
+
+  if (airtimeUsedUp || dataUsedUp) {
+    await lifecycle.transitionByCode(username, "EXHAUSTED", {
+      from: ["IN_USE"],
+      reason: airtimeUsedUp ? "Airtime used up" : "Data cap reached",
+      details: data ? { usedBytes: data.usedBytes, budgetBytes: data.budgetBytes } : null
+    });
+  } else {
+    await lifecycle.transitionByCode(username, "IN_USE", {
+      from: ["EXHAUSTED"],
+      reason: "Budget available again"
+    });
+  }
+
+  return { airtime, data };
+}
+
+/**
+ * Refresh quotas for every user who is online or whose session ended
+ * recently. Interim accounting updates keep radacct octets and session
+ * time current for open sessions.
+ * @returns {Promise<Object>} { checked, exhausted, throttled, exceeded } - throttled/exceeded count new transitions only
+ */
+async function refreshActiveUsers() {
+  const [users] = await radiusDB.query(
+    `SELECT DISTINCT username
+     FROM radacct
+     WHERE acctstoptime IS NULL OR acctstoptime >= NOW() - INTERVAL ? MINUTE`,
+    [SWEEP_WINDOW_MINUTES]
+  );
+
+  const totals = { checked: users.length, exhausted: 0, throttled: 0, exceeded: 0 };
+
+  for (const { username } of users) {
+    try {
+      const { airtime, data } = await refreshUser(username);
+      if (airtime && airtime.exhausted) totals.exhausted++;
+      if (data && data.status !== data.previousStatus) {
+        if (data.status === "throttled") totals.throttled++;
+        if (data.status === "exceeded") totals.exceeded++;
+      }
+    } catch (e) {
+      console.error(`Quota refresh error for ${username}:`, e.message);
+    }
+  }
+
+  return totals;
+}
+
+module.exports = {
+  ensureQuotaTable,
+  refreshAirtime,
+  getDataQuota,
+  setPlanDataBudget,
+  setPlanDataBudgets,
+  addBonusBytes,
+  refreshData,
+  refreshUser,
+  refreshActiveUsers
+};
@@ -0,0 +1,563 @@
+/**
+ * RADIUS Dynamic Authorization Service (RFC 5176)
+ *
+ * Sends Disconnect-Request and CoA-Request packets to the NAS that owns
+ * an accounting session, so that admin actions take effect immediately
+ * instead of on the user's next re-authentication.
+ */
+
+const dgram = require("dgram");
+const crypto = require("crypto");
+const env = require("../config/env");
+const radiusDB = require("../config/db.radius");
+const portalDB = require("../config/db.portal");
+
+/**
+ * RADIUS packet codes used for Dynamic Authorization
+ */
+const CODES = {
+  DISCONNECT_REQUEST: 40,
+  DISCONNECT_ACK: 41,
+  DISCONNECT_NAK: 42,
+  COA_REQUEST: 43,
+  COA_ACK: 44,
+  COA_NAK: 45,
+};
+
+const CODE_NAMES = {
+  40: "Disconnect-Request",
+  41: "Disconnect-ACK",
+  42: "Disconnect-NAK",
+  43: "CoA-Request",
+  44: "CoA-ACK",
+  45: "CoA-NAK",
+};
+
+/**
+ * Error-Cause values (RFC 5176 section 3.5)
+ */
+const ERROR_CAUSES = {
+  201: "Residual Session Context Removed",
+  202: "Invalid EAP Packet (Ignored)",
+  401: "Unsupported Attribute",
+  402: "Missing Attribute",
+  403: "NAS Identification Mismatch",
+  404: "Invalid Request",
+  405: "Unsupported Service",
+  406: "Unsupported Extension",
+  407: "Invalid Attribute Value",
+  501: "Administratively Prohibited",
+  502: "Request Not Routable (Proxy)",
+  503: "Session Context Not Found",
+  504: "Session Context Not Removable",
+  505: "Other Proxy Processing Error",
+  506: "Resources Unavailable",
+  507: "Request Initiated",
+  508: "Multiple Session Selection Unsupported",
+};
+
+/**
+ * Attribute dictionary: name -> { type, format, vendor? }
+ * Formats: string, integer, ipaddr
+ */
+const DICTIONARY = {
+  "User-Name": { type: 1, format: "string" },
+  "NAS-IP-Address": { type: 4, format: "ipaddr" },
+  "Framed-IP-Address": { type: 8, format: "ipaddr" },
+  "Reply-Message": { type: 18, format: "string" },
+  "State": { type: 24, format: "string" },
+  "Class": { type: 25, format: "string" },
+  "Session-Timeout": { type: 27, format: "integer" },
+  "Idle-Timeout": { type: 28, format: "integer" },
+  "Calling-Station-Id": { type: 31, format: "string" },
+  "NAS-Identifier": { type: 32, format: "string" },
+  "Acct-Session-Id": { type: 44, format: "string" },
+  "Event-Timestamp": { type: 55, format: "integer" },
+  "Error-Cause": { type: 101, format: "integer" },
+
+  // MikroTik (vendor 14988)
+  "Mikrotik-Recv-Limit": { vendor: 14988, type: 1, format: "integer" },
+  "Mikrotik-Xmit-Limit": { vendor: 14988, type: 2, format: "integer" },
+  "Mikrotik-Rate-Limit": { vendor: 14988, type: 8, format: "string" },
+  "Mikrotik-Total-Limit": { vendor: 14988, type: 17, format: "integer" },
+  "Mikrotik-Total-Limit-Gigawords": { vendor: 14988, type: 18, format: "integer" },
+
+  // ChilliSpot / CoovaChilli (vendor 14559)
+  "ChilliSpot-Max-Total-Octets": { vendor: 14559, type: 3, format: "integer" },
+  "ChilliSpot-Max-Total-Gigawords": { vendor: 14559, type: 23, format: "integer" },
+
+  // Cisco (vendor 9)
+  "Cisco-AVPair": { vendor: 9, type: 1, format: "string" },
+
+  // WISPr (vendor 14122)
+  "WISPr-Bandwidth-Max-Up": { vendor: 14122, type: 7, format: "integer" },
+  "WISPr-Bandwidth-Max-Down": { vendor: 14122, type: 8, format: "integer" },
+  "WISPr-Session-Terminate-Time": { vendor: 14122, type: 9, format: "string" },
+};
+
+const DICTIONARY_BY_CODE = new Map(
+  Object.entries(DICTIONARY).map(([name, def]) => [`${def.vendor || 0}:${def.type}`, { name, ...def }])
+);
+
+// Rolling packet identifier (0-255)
+let nextIdentifier = Math.floor(Math.random() * 256);
+
+function getIdentifier() {
+  nextIdentifier = (nextIdentifier + 1) % 256;
+  return nextIdentifier;
+}
+
+/**
+ * Encode a single attribute value according to its dictionary format
+ */
+function encodeValue(format, value) {
+  if (format === "integer") {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(Number(value) >>> 0);
+    return buf;
+  }
+  if (format === "ipaddr") {
+    const parts = String(value).split(".").map((p) => parseInt(p, 10));
+    if (parts.length !== 4 || parts.some((p) => isNaN(p) || p < 0 || p > 255)) {
+      throw new Error(`Invalid IPv4 address: ${value}`);
+    }
+    return Buffer.from(parts);
+  }
+  return Buffer.from(String(value), "utf8");
+}
+
+/**
+ * Decode a single attribute value according to its dictionary format
+ */
+function decodeValue(format, buf) {
+  if (format === "integer" && buf.length === 4) return buf.readUInt32BE(0);
+  if (format === "ipaddr" && buf.length === 4) return Array.from(buf).join(".");
+  return buf.toString("utf8");
+}
+
+/**
+ * Encode an attribute list into RADIUS wire format
+ * @param {Array<[string, any]>} attributes - List of [name, value] pairs
+ * @returns {Buffer}
+ */
+function encodeAttributes(attributes) {
+  const chunks = [];
+
+  for (const [name, value] of attributes) {
+    const def = DICTIONARY[name];
+    if (!def) throw new Error(`Unknown RADIUS attribute: ${name}`);
+    if (value === undefined || value === null || value === "") continue;
+
+    const data = encodeValue(def.format, value);
+
+    if (def.vendor) {
+      // Vendor-Specific (26): vendor-id(4) + vendor-type(1) + vendor-length(1) + data
+      const vsa = Buffer.alloc(6 + data.length);
+      vsa.writeUInt32BE(def.vendor, 0);
+      vsa.writeUInt8(def.type, 4);
+      vsa.writeUInt8(2 + data.length, 5);
+      data.copy(vsa, 6);
+      chunks.push(Buffer.from([26, 2 + vsa.length]), vsa);
+    } else {
+      chunks.push(Buffer.from([def.type, 2 + data.length]), data);
+    }
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decode RADIUS attributes from wire format
+ * @param {Buffer} buf - Attribute section of a packet
+ * @returns {Object} Map of attribute name -> value (unknown attributes keyed by type)
+ */
+function decodeAttributes(buf) {
+  const result = {};
+  let offset = 0;
+
+  while (offset + 2 <= buf.length) {
+    const type = buf.readUInt8(offset);
+    const length = buf.readUInt8(offset + 1);
+    if (length < 2 || offset + length > buf.length) break;
+
+    const data = buf.subarray(offset + 2, offset + length);
+
+    if (type === 26 && data.length >= 6) {
+      const vendor = data.readUInt32BE(0);
+      const vendorType = data.readUInt8(4);
+      const def = DICTIONARY_BY_CODE.get(`${vendor}:${vendorType}`);
+      const value = data.subarray(6);
+      result[def ? def.name : `Vendor-${vendor}-Attr-${vendorType}`] = def ? decodeValue(def.format, value) : value.toString("hex");
+    } else {
+      const def = DICTIONARY_BY_CODE.get(`0:${type}`);
+      result[def ? def.name : `Attr-${type}`] = def ? decodeValue(def.format, data) : data.toString("hex");
+    }
+
+    offset += length;
+  }
+
+  return result;
+}
+
+/**
+ * Build a Dynamic Authorization request packet.
+ * The Request Authenticator is MD5(Code + Identifier + Length + 16 zero octets + Attributes + Secret)
+ */
+function buildPacket(code, identifier, attributes, secret) {
+  const attrBuf = encodeAttributes(attributes);
+  const length = 20 + attrBuf.length;
+  if (length > 4096) throw new Error("RADIUS packet too large");
+
+  const packet = Buffer.alloc(length);
+  packet.writeUInt8(code, 0);
+  packet.writeUInt8(identifier, 1);
+  packet.writeUInt16BE(length, 2);
+  attrBuf.copy(packet, 20);
+
+  const authenticator = crypto
+    .createHash("md5")
+    .update(packet)
+    .update(Buffer.from(String(secret), "utf8"))
+    .digest();
+  authenticator.copy(packet, 4);
+
+  return packet;
+}
+
+/**
+ * Verify a response packet against the request it answers.
+ * The Response Authenticator is MD5(Code + Identifier + Length + Request Authenticator + Attributes + Secret)
+ */
+function verifyResponse(response, request, secret) {
+  if (response.length < 20) return false;
+  if (response.readUInt8(1) !== request.readUInt8(1)) return false;
+
+  const length = response.readUInt16BE(2);
+  if (length < 20 || length > response.length) return false;
+
+  const copy = Buffer.from(response.subarray(0, length));
+  request.copy(copy, 4, 4, 20);
+
+  const expected = crypto
+    .createHash("md5")
+    .update(copy)
+    .update(Buffer.from(String(secret), "utf8"))
+    .digest();
+
+  return crypto.timingSafeEqual(expected, response.subarray(4, 20));
+}
+
+/**
+ * Send a Dynamic Authorization packet and wait for the ACK/NAK
+ *
+ * @param {Object} options
+ * @param {string} options.host - NAS IP address
+ * @param {number} [options.port] - NAS CoA port (default RADIUS_COA_PORT / 3799)
+ * @param {string} options.secret - RADIUS shared secret
+ * @param {number} options.code - CODES.DISCONNECT_REQUEST or CODES.COA_REQUEST
+ * @param {Array<[string, any]>} options.attributes - Attribute list
+ * @param {number} [options.timeoutMs] - Time to wait per attempt
+ * @param {number} [options.retries] - Extra attempts after a timeout
+ * @returns {Promise<Object>} { acked, result, code, codeName, errorCause, errorCauseText, attributes }
+ */
+function sendPacket({ host, port, secret, code, attributes, timeoutMs, retries }) {
+  const targetPort = Number(port || env.RADIUS_COA_PORT || 3799);
+  const waitMs = Number(timeoutMs || env.RADIUS_COA_TIMEOUT_MS || 3000);
+  const attempts = 1 + Math.max(0, Number(retries ?? env.RADIUS_COA_RETRIES ?? 1));
+
+  const identifier = getIdentifier();
+  const packet = buildPacket(code, identifier, attributes, secret);
+
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket("udp4");
+    let attempt = 0;
+    let timer = null;
+    let done = false;
+
+    const finish = (err, value) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      socket.close();
+      if (err) reject(err);
+      else resolve(value);
+    };
+
+    const transmit = () => {
+      attempt++;
+      socket.send(packet, targetPort, host, (err) => {
+        if (err) finish(err);
+      });
+      timer = setTimeout(() => {
+        if (attempt < attempts) transmit();
+        else finish(null, { acked: false, result: "timeout", code: null, codeName: null, errorCause: null, errorCauseText: "No response from NAS", attributes: {} });
+      }, waitMs);
+    };
+
+    socket.on("error", (err) => finish(err));
+
+    socket.on("message", (msg) => {
+      // Ignore stray or forged packets; keep waiting for the real answer
+      if (!verifyResponse(msg, packet, secret)) return;
+
+      const responseCode = msg.readUInt8(0);
+      const attrs = decodeAttributes(msg.subarray(20, msg.readUInt16BE(2)));
+      const acked = responseCode === CODES.DISCONNECT_ACK || responseCode === CODES.COA_ACK;
+      const errorCause = attrs["Error-Cause"] || null;
+
+      finish(null, {
+        acked,
+        result: acked ? "ack" : "nak",
+        code: responseCode,
+        codeName: CODE_NAMES[responseCode] || `Code-${responseCode}`,
+        errorCause,
+        errorCauseText: errorCause ? ERROR_CAUSES[errorCause] || `Error-Cause ${errorCause}` : null,
+        attributes: attrs,
+      });
+    });
+
+    transmit();
+  });
+}
+
+/**
+ * Ensure the coa_requests log table exists
+ */
+async function ensureCoaTable() {
+  try {
+    await portalDB.query(`
+      CREATE TABLE IF NOT EXISTS coa_requests (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        request_type ENUM('disconnect', 'coa') NOT NULL,
+        username VARCHAR(64) NOT NULL,
+        radacctid BIGINT,
+        nas_ip VARCHAR(45),
+        acct_session_id VARCHAR(64),
+        attributes JSON,
+        result ENUM('ack', 'nak', 'timeout', 'error') NOT NULL,
+        response_code VARCHAR(30),
+        error_cause INT,
+        message VARCHAR(255),
+        reason VARCHAR(100),
+        requested_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_username (username),
+        INDEX idx_result (result),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  } catch (e) {
+    console.error("Error creating coa_requests table:", e);
+  }
+}
+
+// Initialize table on module load
+ensureCoaTable();
+
+/**
+ * Record the outcome of a Dynamic Authorization request for one session
+ */
+async function logRequest(requestType, result, attributes, context = {}) {
+  try {
+    await portalDB.query(
+      `INSERT INTO coa_requests
+         (request_type, username, radacctid, nas_ip, acct_session_id, attributes,
+          result, response_code, error_cause, message, reason, requested_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        requestType,
+        result.username,
+        result.radacctid || null,
+        result.nasIp || null,
+        result.acctSessionId || null,
+        // [name, value] pairs: vendor sets repeat attributes
+        attributes.length ? JSON.stringify(attributes) : null,
+        result.result,
+        result.responseCode || null,
+        result.errorCause || null,
+        result.message ? String(result.message).slice(0, 255) : null,
+        context.reason || null,
+        context.requestedBy || null,
+      ]
+    );
+  } catch (e) {
+    console.error("Error logging CoA request:", e.message);
+  }
+}
+
+/**
+ * Get recent Dynamic Authorization requests
+ * @param {Object} options - { username, limit }
+ */
+async function getRequestLog({ username = null, limit = 50 } = {}) {
+  const params = [];
+  let where = "";
+  if (username) {
+    where = "WHERE username = ?";
+    params.push(username);
+  }
+  params.push(limit);
+
+  const [rows] = await portalDB.query(
+    `SELECT * FROM coa_requests ${where} ORDER BY id DESC LIMIT ?`,
+    params
+  );
+  return rows;
+}
+
+/**
+ * Look up the shared secret for a NAS.
+ * Prefers the portal devices table, falls back to the FreeRADIUS nas table.
+ * @param {string} nasIp - NAS IP address
+ * @returns {Promise<string|null>}
+ */
+async function getNasSecret(nasIp) {
+  try {
+    const [[device]] = await portalDB.query(
+      "SELECT secret FROM devices WHERE ip_address = ? LIMIT 1",
+      [nasIp]
+    );
+    if (device && device.secret) return device.secret;
+  } catch (e) {
+    console.error("Error reading device secret:", e.message);
+  }
+
+  const [[nas]] = await radiusDB.query(
+    "SELECT secret FROM nas WHERE nasname = ? LIMIT 1",
+    [nasIp]
+  );
+  return nas ? nas.secret : null;
+}
+
+/**
+ * Get the open accounting sessions for a username
+ * @param {string} username
+ * @returns {Promise<Array>}
+ */
+async function getActiveSessions(username) {
+  const [rows] = await radiusDB.query(
+    `SELECT radacctid, username, nasipaddress, acctsessionid, framedipaddress, callingstationid,
+            acctstarttime, acctsessiontime, acctinputoctets, acctoutputoctets
+     FROM radacct
+     WHERE username = ? AND acctstoptime IS NULL
+     ORDER BY acctstarttime DESC`,
+    [username]
+  );
+  return rows || [];
+}
+
+/**
+ * Build the session identification attributes for a radacct row
+ */
+function sessionAttributes(session) {
+  return [
+    ["User-Name", session.username],
+    ["Acct-Session-Id", session.acctsessionid],
+    ["NAS-IP-Address", session.nasipaddress],
+    ["Framed-IP-Address", session.framedipaddress],
+  ];
+}
+
+/**
+ * Send a request for a single radacct session, never throwing.
+ * Every attempt is recorded in coa_requests.
+ */
+async function sendForSession(session, code, extraAttributes = [], context = {}) {
+  const base = {
+    radacctid: session.radacctid,
+    username: session.username,
+    nasIp: session.nasipaddress,
+    acctSessionId: session.acctsessionid,
+    framedIp: session.framedipaddress,
+  };
+
+  let result;
+  try {
+    const secret = await getNasSecret(session.nasipaddress);
+    if (!secret) {
+      result = { ...base, acked: false, result: "error", message: "No shared secret configured for NAS" };
+    } else {
+      const response = await sendPacket({
+        host: env.RADIUS_COA_HOST || session.nasipaddress,
+        secret,
+        code,
+        attributes: [...sessionAttributes(session), ...extraAttributes],
+      });
+
+      result = {
+        ...base,
+        acked: response.acked,
+        result: response.result,
+        responseCode: response.codeName,
+        errorCause: response.errorCause,
+        message: response.acked ? response.codeName : response.errorCauseText || response.codeName,
+      };
+    }
+  } catch (e) {
+    result = { ...base, acked: false, result: "error", message: e.message };
+  }
+
+  const requestType = code === CODES.DISCONNECT_REQUEST ? "disconnect" : "coa";
+  await logRequest(requestType, result, extraAttributes, context);
+
+  return result;
+}
+
+/**
+ * Send a Disconnect-Request for one accounting session
+ * @param {Object} session - radacct row (username, nasipaddress, acctsessionid, framedipaddress)
+ * @param {Object} [context] - { requestedBy, reason } recorded in coa_requests
+ */
+async function disconnectSession(session, context = {}) {
+  return sendForSession(session, CODES.DISCONNECT_REQUEST, [], context);
+}
+
+/**
+ * Send a CoA-Request for one accounting session
+ * @param {Object} session - radacct row
+ * @param {Array<[string, any]>} attributes - New authorization attributes
+ * @param {Object} [context] - { requestedBy, reason } recorded in coa_requests
+ */
+async function changeAuthorization(session, attributes, context = {}) {
+  return sendForSession(session, CODES.COA_REQUEST, attributes, context);
+}
+
+/**
+ * Disconnect every active session of a username
+ * @param {string} username
+ * @param {Object} [context] - { requestedBy, reason } recorded in coa_requests
+ * @returns {Promise<Object>} { username, total, acked, sessions: [...] }
+ */
+async function disconnectUser(username, context = {}) {
+  const sessions = await getActiveSessions(username);
+  const results = [];
+
+  for (const session of sessions) {
+    results.push(await disconnectSession(session, context));
+  }
+
+  return {
+    username,
+    total: results.length,
+    acked: results.filter((r) => r.acked).length,
+    sessions: results,
+  };
+}
+
+module.exports = {
+  CODES,
+  ERROR_CAUSES,
+  DICTIONARY,
+  buildPacket,
+  verifyResponse,
+  encodeAttributes,
+  decodeAttributes,
+  sendPacket,
+  getNasSecret,
+  getActiveSessions,
+  ensureCoaTable,
+  getRequestLog,
+  disconnectSession,
+  changeAuthorization,
+  disconnectUser,
+};
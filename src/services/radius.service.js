@@ -1,4 +1,6 @@
 const radiusDB = require("../config/db.radius");
+const radiusCoa = require("./radius-coa.service");
+const nasVendor = require("./nas-vendor.service");
 
 /**
  * FreeRADIUS "Expiration" attribute expects:
@@ -54,91 +56,317 @@ async function deleteRadreply(username, attribute) {
 }
 
 /**
- * Activate a voucher in FreeRADIUS SQL with full plan support:
+ * Reply attributes that belong to a plan group (radgroupreply).
+ * Users on the group model must not carry per-user copies of these.
+ */
+const PLAN_REPLY_ATTRIBUTES = [
+  'Session-Timeout',
+  'Idle-Timeout',
+  ...nasVendor.VENDOR_ATTRIBUTES
+];
+
+/**
+ * Replace the contents of a FreeRADIUS group.
+ * Runs in a transaction so the NAS never authenticates against a half-written group.
+ *
+ * @param {string} groupname
+ * @param {Object} items
+ * @param {Array<[string, string, any]>} items.check - radgroupcheck [attribute, op, value]
+ * @param {Array<[string, string, any]>} items.reply - radgroupreply [attribute, op, value]
+ */
+async function setGroupAttributes(groupname, { check = [], reply = [] }) {
+  const conn = await radiusDB.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    await conn.query(`DELETE FROM radgroupcheck WHERE groupname = ?`, [groupname]);
+    await conn.query(`DELETE FROM radgroupreply WHERE groupname = ?`, [groupname]);
+
+    if (check.length) {
+      await conn.query(
+        `INSERT INTO radgroupcheck (groupname, attribute, op, value) VALUES ?`,
+        [check.map(([attribute, op, value]) => [groupname, attribute, op, String(value)])]
+      );
+    }
+    if (reply.length) {
+      await conn.query(
+        `INSERT INTO radgroupreply (groupname, attribute, op, value) VALUES ?`,
+        [reply.map(([attribute, op, value]) => [groupname, attribute, op, String(value)])]
+      );
+    }
+
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Remove a FreeRADIUS group's check and reply items
+ */
+async function deleteGroup(groupname) {
+  await radiusDB.query(`DELETE FROM radgroupcheck WHERE groupname = ?`, [groupname]);
+  await radiusDB.query(`DELETE FROM radgroupreply WHERE groupname = ?`, [groupname]);
+}
+
+/**
+ * Put one or more users in a group (or several groups), replacing any
+ * previous membership. Groups are given priority 1, 2, ... in list order.
+ * @param {string[]} usernames
+ * @param {string|string[]} groupnames
+ */
+async function setUserGroup(usernames, groupnames) {
+  const CHUNK = 500;
+  const groups = [].concat(groupnames);
+
+  for (let i = 0; i < usernames.length; i += CHUNK) {
+    const chunk = usernames.slice(i, i + CHUNK);
+
+    await radiusDB.query(`DELETE FROM radusergroup WHERE username IN (?)`, [chunk]);
+    await radiusDB.query(
+      `INSERT INTO radusergroup (username, groupname, priority) VALUES ?`,
+      [chunk.flatMap((u) => groups.map((g, index) => [u, g, index + 1]))]
+    );
+  }
+}
+
+/**
+ * Add the members of a group to related groups they are not in yet
+ * (e.g. groups added to a plan after its users were activated).
+ * @param {string} basegroup - Group whose members are copied
+ * @param {string[]} groupnames - All groups in priority order (1, 2, ...)
+ */
+async function addMissingGroupMembers(basegroup, groupnames) {
+  for (const [index, groupname] of groupnames.entries()) {
+    if (groupname === basegroup) continue;
+
+    await radiusDB.query(
+      `INSERT INTO radusergroup (username, groupname, priority)
+       SELECT DISTINCT ug.username, ?, ?
+       FROM radusergroup ug
+       WHERE ug.groupname = ?
+         AND NOT EXISTS (
+           SELECT 1 FROM (SELECT username FROM radusergroup WHERE groupname = ?) AS existing
+           WHERE existing.username = ug.username
+         )`,
+      [groupname, index + 1, basegroup, groupname]
+    );
+  }
+}
+
+/**
+ * Remove per-user copies of plan attributes (now provided by the group)
+ * @param {string[]} usernames
+ */
+async function clearUserPlanAttributes(usernames) {
+  const CHUNK = 500;
+
+  for (let i = 0; i < usernames.length; i += CHUNK) {
+    await radiusDB.query(
+      `DELETE FROM radreply WHERE username IN (?) AND attribute IN (?)`,
+      [usernames.slice(i, i + CHUNK), PLAN_REPLY_ATTRIBUTES]
+    );
+  }
+}
+
+/**
+ * Activate a voucher in FreeRADIUS SQL.
+ *
+ * Plan attributes (rate limit, data cap, timeouts) live in the plan's group,
+ * so only per-user items are written here.
  *
  * @param {Object} options
  * @param {string} options.username - Voucher username/code
  * @param {string} options.password - Voucher password
- * @param {number} options.minutes - Session duration in minutes
- * @param {number} [options.speedDownKbps] - Download speed limit in kbps
- * @param {number} [options.speedUpKbps] - Upload speed limit in kbps
- * @param {number} [options.dataMb] - Data limit in MB (optional)
- * @param {string} [options.rate] - Legacy rate format "XXXXk/XXXXk" (optional, overrides speed params)
+ * @param {number} options.minutes - Validity in minutes (used for Expiration)
+ * @param {string|string[]} options.groupname - Plan group, or the plan's groups in priority order (radusergroup membership)
+ * @param {boolean} [options.startOnFirstLogin] - Leave Expiration unset until first use
  *
  * Sets the following RADIUS attributes:
  * - radcheck: Cleartext-Password (authentication)
- * - radreply: Expiration (absolute expiry time in FreeRADIUS format)
- * - radreply: Session-Timeout (max session time in seconds)
- * - radreply: Mikrotik-Rate-Limit (bandwidth limit for MikroTik)
- * - radreply: Mikrotik-Total-Limit (data cap for MikroTik, if dataMb provided)
- * - radreply: WISPr-Bandwidth-Max-Down (standard bandwidth attribute)
- * - radreply: WISPr-Bandwidth-Max-Up (standard bandwidth attribute)
+ * - radreply: Expiration (absolute expiry time in FreeRADIUS format),
+ *   unless validity starts at first login (see startValidityClock)
+ * - radusergroup: membership of the plan group
  */
-async function activateVoucher({ username, password, minutes, speedDownKbps, speedUpKbps, dataMb, rate }) {
-  if (!username || !password || !minutes) {
-    throw new Error("activateVoucher requires username, password, minutes");
+async function activateVoucher({ username, password, minutes, groupname, startOnFirstLogin = false }) {
+  if (!username || !password || !minutes || !groupname) {
+    throw new Error("activateVoucher requires username, password, minutes, groupname");
   }
 
   const sessionSeconds = Number(minutes) * 60;
-  const expiresAt = new Date(Date.now() + sessionSeconds * 1000);
+  const expiresAt = startOnFirstLogin ? null : new Date(Date.now() + sessionSeconds * 1000);
 
   // 1. Authentication: Cleartext-Password in radcheck
   await setRadcheck(username, 'Cleartext-Password', ':=', password);
 
   // 2. Expiration: Absolute time when the voucher expires (FreeRADIUS format)
-  await setRadreply(username, 'Expiration', ':=', radiusExpiration(expiresAt));
-
-  // 3. Session-Timeout: Maximum session duration in seconds
-  await setRadreply(username, 'Session-Timeout', ':=', sessionSeconds);
+  // First-login vouchers get theirs when the clock starts; the group's
+  // Session-Timeout still bounds the first session.
+  if (expiresAt) {
+    await setRadreply(username, 'Expiration', ':=', radiusExpiration(expiresAt));
+  } else {
+    await deleteRadreply(username, 'Expiration');
+  }
 
-  // 4. Idle-Timeout: Disconnect after 5 minutes of inactivity
-  await setRadreply(username, 'Idle-Timeout', ':=', 300);
+  // 3. Plan attributes come from the group
+  await setUserGroup([username], groupname);
+  await clearUserPlanAttributes([username]);
 
-  // 5. Bandwidth/Rate Limiting
-  // Determine speeds - prefer explicit params, fallback to legacy rate string
-  let downKbps = speedDownKbps;
-  let upKbps = speedUpKbps;
+  return {
+    username,
+    groupname: [].concat(groupname)[0],
+    expiresAt,
+    expirationValue: expiresAt ? radiusExpiration(expiresAt) : null,
+    sessionSeconds,
+    startOnFirstLogin
+  };
+}
 
-  if (rate && !downKbps && !upKbps) {
-    // Parse legacy rate format "XXXXk/XXXXk"
-    const match = rate.match(/^(\d+)k\/(\d+)k$/);
-    if (match) {
-      downKbps = parseInt(match[1]);
-      upKbps = parseInt(match[2]);
+/**
+ * Activate many new voucher users at once (bulk generation).
+ * One transaction with multi-row inserts instead of a round trip per
+ * attribute. Safe to repeat for the same users: rows are upserted and
+ * group membership is replaced.
+ *
+ * @param {Array<Object>} users - { username, password, reply: [[attribute, op, value]] }
+ * @param {string[]} groupnames - Plan groups in priority order
+ */
+async function activateVouchersBulk(users, groupnames) {
+  if (!users.length) return;
+
+  const usernames = users.map((u) => u.username);
+  const reply = users.flatMap((u) => u.reply.map(([attribute, op, value]) => [u.username, attribute, op, String(value)]));
+
+  const conn = await radiusDB.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    await conn.query(
+      `INSERT INTO radcheck (username, attribute, op, value) VALUES ?
+       ON DUPLICATE KEY UPDATE value=VALUES(value), op=VALUES(op)`,
+      [users.map((u) => [u.username, 'Cleartext-Password', ':=', u.password])]
+    );
+
+    if (reply.length) {
+      await conn.query(
+        `INSERT INTO radreply (username, attribute, op, value) VALUES ?
+         ON DUPLICATE KEY UPDATE value=VALUES(value), op=VALUES(op)`,
+        [reply]
+      );
     }
-  }
 
-  if (downKbps && upKbps) {
-    // MikroTik-Rate-Limit format: "rx-rate/tx-rate" (from client perspective: download/upload)
-    // Format: "download/upload" where values are in bits or with k/M suffix
-    const mikrotikRate = `${downKbps}k/${upKbps}k`;
-    await setRadreply(username, 'Mikrotik-Rate-Limit', ':=', mikrotikRate);
+    await conn.query(`DELETE FROM radusergroup WHERE username IN (?)`, [usernames]);
+    await conn.query(
+      `INSERT INTO radusergroup (username, groupname, priority) VALUES ?`,
+      [usernames.flatMap((u) => groupnames.map((g, index) => [u, g, index + 1]))]
+    );
+
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
 
-    // WISPr bandwidth attributes (in bits per second)
-    await setRadreply(username, 'WISPr-Bandwidth-Max-Down', ':=', downKbps * 1000);
-    await setRadreply(username, 'WISPr-Bandwidth-Max-Up', ':=', upKbps * 1000);
+/**
+ * Start the validity clock of a first-login voucher.
+ * Writes Expiration = startedAt + minutes, only if the user has none yet,
+ * so repeated calls (portal + accounting sweep) never extend the voucher.
+ *
+ * @param {string} username
+ * @param {number} minutes - Plan duration
+ * @param {Date} [startedAt] - First login time (default now)
+ * @returns {Promise<Object>} { username, started, expiresAt }
+ */
+async function startValidityClock(username, minutes, startedAt = new Date()) {
+  if (!username || !minutes) {
+    throw new Error("startValidityClock requires username, minutes");
   }
 
-  // 6. Data Limit (if specified)
-  if (dataMb && Number(dataMb) > 0) {
-    const dataBytes = Number(dataMb) * 1024 * 1024; // Convert MB to bytes
+  const expiresAt = new Date(startedAt.getTime() + Number(minutes) * 60 * 1000);
+
+  const [result] = await radiusDB.query(
+    `INSERT INTO radreply (username, attribute, op, value)
+     SELECT ?, 'Expiration', ':=', ?
+     FROM DUAL
+     WHERE NOT EXISTS (
+       SELECT 1 FROM (SELECT id FROM radreply WHERE username = ? AND attribute = 'Expiration') AS existing
+     )`,
+    [username, radiusExpiration(expiresAt), username]
+  );
 
-    // MikroTik-Total-Limit: Total data limit in bytes
-    await setRadreply(username, 'Mikrotik-Total-Limit', ':=', dataBytes);
+  return { username, started: result.affectedRows > 0, expiresAt };
+}
 
-    // Alternative: Mikrotik-Recv-Limit and Mikrotik-Xmit-Limit for separate down/up limits
-    // For now we use total limit which is more common for hotspot vouchers
+/**
+ * Set (or with null, remove) a per-user data limit in bytes
+ */
+async function setUserDataLimit(username, bytes) {
+  // The NAS is not known until login, so write the generic (all-vendor) set
+  for (const [attribute, value] of nasVendor.dataLimitAttributes(bytes ?? 0)) {
+    if (bytes === null || bytes === undefined) {
+      await deleteRadreply(username, attribute);
+    } else {
+      await setRadreply(username, attribute, ':=', value);
+    }
   }
+}
 
-  return {
-    username,
-    expiresAt,
-    expirationValue: radiusExpiration(expiresAt),
-    sessionSeconds,
-    speedDownKbps: downKbps,
-    speedUpKbps: upKbps,
-    dataMb
-  };
+/**
+ * Set (or with null, remove) a per-user rate limit that overrides the plan group
+ */
+async function setUserRateLimit(username, downKbps, upKbps) {
+  for (const [attribute, value] of nasVendor.rateLimitAttributes(downKbps || 0, upKbps || 0)) {
+    if (!downKbps || !upKbps) {
+      await deleteRadreply(username, attribute);
+    } else {
+      await setRadreply(username, attribute, ':=', value);
+    }
+  }
+}
+
+/**
+ * Set a user's Expiration (end of their validity window)
+ * @param {string} username
+ * @param {Date} expiresAt
+ */
+async function setUserExpiration(username, expiresAt) {
+  await setRadreply(username, 'Expiration', ':=', radiusExpiration(expiresAt));
+}
+
+/**
+ * Set a per-user airtime budget in seconds (Max-All-Session, overrides the
+ * plan group), e.g. after a top-up
+ */
+async function setUserAirtimeBudget(username, seconds) {
+  await setRadcheck(username, 'Max-All-Session', ':=', Math.max(0, Math.floor(seconds)));
+}
+
+/**
+ * Set a per-user Session-Timeout (overrides the plan group)
+ */
+async function setUserSessionTimeout(username, seconds) {
+  await setRadreply(username, 'Session-Timeout', ':=', Math.max(0, Math.floor(seconds)));
+}
+
+/**
+ * End a voucher's validity now (e.g. its airtime budget is used up).
+ * Unlike deactivateVoucher this does not mark the user as disabled.
+ */
+async function expireUser(username) {
+  const [[current]] = await radiusDB.query(
+    `SELECT value FROM radreply WHERE username = ? AND attribute = 'Expiration' LIMIT 1`,
+    [username]
+  );
+  const currentDate = current ? parseRadiusExpiration(current.value) : null;
+  if (currentDate && currentDate <= new Date()) return;
+
+  await setRadreply(username, 'Expiration', ':=', radiusExpiration(new Date()));
 }
 
 /**
@@ -164,7 +392,7 @@ async function deactivateVoucher(username) {
  * Reactivate a previously deactivated voucher
  * Removes the Auth-Type Reject and updates expiration
  */
-async function reactivateVoucher({ username, password, minutes, speedDownKbps, speedUpKbps, dataMb }) {
+async function reactivateVoucher({ username, password, minutes, groupname }) {
   if (!username) {
     throw new Error("reactivateVoucher requires username");
   }
@@ -175,14 +403,39 @@ async function reactivateVoucher({ username, password, minutes, speedDownKbps, s
     [username]
   );
 
-  // If password and minutes provided, do a full reactivation
-  if (password && minutes) {
-    return activateVoucher({ username, password, minutes, speedDownKbps, speedUpKbps, dataMb });
+  // If password, minutes and group provided, do a full reactivation
+  if (password && minutes && groupname) {
+    return activateVoucher({ username, password, minutes, groupname });
   }
 
   return { username, reactivated: true };
 }
 
+/**
+ * Block or unblock logins for many users with Auth-Type Reject.
+ * Unlike deactivateVoucher this leaves Expiration alone, so unblocking
+ * restores the user as they were.
+ *
+ * @param {string[]} usernames
+ * @param {boolean} rejected - true to block, false to unblock
+ */
+async function setUsersRejected(usernames, rejected) {
+  if (!usernames.length) return;
+
+  if (rejected) {
+    await radiusDB.query(
+      `INSERT INTO radcheck (username, attribute, op, value) VALUES ?
+       ON DUPLICATE KEY UPDATE value=VALUES(value), op=VALUES(op)`,
+      [usernames.map((u) => [u, 'Auth-Type', ':=', 'Reject'])]
+    );
+  } else {
+    await radiusDB.query(
+      `DELETE FROM radcheck WHERE attribute = 'Auth-Type' AND value = 'Reject' AND username IN (?)`,
+      [usernames]
+    );
+  }
+}
+
 /**
  * Delete a voucher completely from RADIUS database
  */
@@ -203,6 +456,19 @@ async function deleteVoucher(username) {
   return { username, deleted: true };
 }
 
+/**
+ * Delete many users from the RADIUS database (radcheck, radreply and
+ * radusergroup)
+ * @param {string[]} usernames
+ */
+async function deleteUsers(usernames) {
+  if (!usernames.length) return;
+
+  await radiusDB.query(`DELETE FROM radcheck WHERE username IN (?)`, [usernames]);
+  await radiusDB.query(`DELETE FROM radreply WHERE username IN (?)`, [usernames]);
+  await radiusDB.query(`DELETE FROM radusergroup WHERE username IN (?)`, [usernames]);
+}
+
 /**
  * Get voucher status from RADIUS database
  */
@@ -223,6 +489,16 @@ async function getVoucherStatus(username) {
     [username]
   );
 
+  // Get plan group membership and the group's reply items
+  const [groupRows] = await radiusDB.query(
+    `SELECT ug.groupname, gr.attribute, gr.value
+     FROM radusergroup ug
+     LEFT JOIN radgroupreply gr ON gr.groupname = ug.groupname
+     WHERE ug.username = ?
+     ORDER BY ug.priority ASC`,
+    [username]
+  );
+
   // Get accounting info (last session)
   const [acctRows] = await radiusDB.query(
     `SELECT acctstarttime, acctstoptime, acctinputoctets, acctoutputoctets, acctsessiontime
@@ -234,9 +510,13 @@ async function getVoucherStatus(username) {
   const check = {};
   checkRows.forEach(r => { check[r.attribute] = r.value; });
 
+  // Group items apply unless the user has their own value
   const reply = {};
+  groupRows.forEach(r => { if (r.attribute && !(r.attribute in reply)) reply[r.attribute] = r.value; });
   replyRows.forEach(r => { reply[r.attribute] = r.value; });
 
+  const groupname = groupRows.length ? groupRows[0].groupname : null;
+
   const lastSession = acctRows[0] || null;
 
   // Determine status
@@ -258,6 +538,7 @@ async function getVoucherStatus(username) {
     username,
     status,
     hasPassword: !!check['Cleartext-Password'],
+    groupname,
     expiration: reply['Expiration'] || null,
     sessionTimeout: reply['Session-Timeout'] ? parseInt(reply['Session-Timeout']) : null,
     rateLimit: reply['Mikrotik-Rate-Limit'] || null,
@@ -274,6 +555,26 @@ async function getVoucherStatus(username) {
   };
 }
 
+/**
+ * Get the parsed Expiration for a set of usernames
+ * @param {string[]} usernames
+ * @returns {Promise<Map<string, Date>>}
+ */
+async function getExpirations(usernames) {
+  const expirations = new Map();
+  if (usernames.length === 0) return expirations;
+
+  const [rows] = await radiusDB.query(
+    "SELECT username, value FROM radreply WHERE attribute = 'Expiration' AND username IN (?)",
+    [usernames]
+  );
+  for (const row of rows) {
+    const date = parseRadiusExpiration(row.value);
+    if (date) expirations.set(row.username, date);
+  }
+  return expirations;
+}
+
 /**
  * Parse FreeRADIUS expiration format back to Date
  */
@@ -300,6 +601,53 @@ function parseRadiusExpiration(str) {
   return isNaN(date.getTime()) ? null : date;
 }
 
+/**
+ * Get the airtime budget of a user in seconds (Max-All-Session).
+ * A per-user radcheck value (e.g. after a top-up) wins over the plan group.
+ * @returns {Promise<number|null>} null when the user has no airtime budget
+ */
+async function getAirtimeBudget(username) {
+  const [[own]] = await radiusDB.query(
+    `SELECT value FROM radcheck WHERE username = ? AND attribute = 'Max-All-Session' LIMIT 1`,
+    [username]
+  );
+  if (own) return parseInt(own.value);
+
+  const [[group]] = await radiusDB.query(
+    `SELECT gc.value
+     FROM radusergroup ug
+     JOIN radgroupcheck gc ON gc.groupname = ug.groupname AND gc.attribute = 'Max-All-Session'
+     WHERE ug.username = ?
+     ORDER BY ug.priority ASC
+     LIMIT 1`,
+    [username]
+  );
+  return group ? parseInt(group.value) : null;
+}
+
+/**
+ * Get airtime used and remaining for a user.
+ * Used time is summed from radacct.acctsessiontime across all sessions,
+ * including interim updates of sessions that are still open.
+ * @returns {Promise<Object|null>} { budgetSeconds, usedSeconds, remainingSeconds } or null
+ */
+async function getAirtimeStatus(username) {
+  const budgetSeconds = await getAirtimeBudget(username);
+  if (budgetSeconds === null) return null;
+
+  const [[row]] = await radiusDB.query(
+    `SELECT COALESCE(SUM(acctsessiontime), 0) AS used FROM radacct WHERE username = ?`,
+    [username]
+  );
+  const usedSeconds = Number(row.used) || 0;
+
+  return {
+    budgetSeconds,
+    usedSeconds,
+    remainingSeconds: Math.max(0, budgetSeconds - usedSeconds)
+  };
+}
+
 /**
  * Get usage statistics for a voucher from accounting
  */
@@ -323,38 +671,76 @@ async function getVoucherUsage(username) {
 
   const stats = rows[0];
 
+  // Time remaining is the tighter of the airtime budget and the validity window
+  const [[expirationRow]] = await radiusDB.query(
+    `SELECT value FROM radreply WHERE username = ? AND attribute = 'Expiration' LIMIT 1`,
+    [username]
+  );
+  const expiresAt = expirationRow ? parseRadiusExpiration(expirationRow.value) : null;
+  const airtime = await getAirtimeStatus(username);
+
+  const candidates = [];
+  if (expiresAt) candidates.push(Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000)));
+  if (airtime) candidates.push(airtime.remainingSeconds);
+
   return {
     username,
     totalSessions: stats.total_sessions || 0,
     totalDownloadMb: stats.total_download_bytes ? Math.round(stats.total_download_bytes / 1024 / 1024 * 100) / 100 : 0,
     totalUploadMb: stats.total_upload_bytes ? Math.round(stats.total_upload_bytes / 1024 / 1024 * 100) / 100 : 0,
     totalSessionMinutes: stats.total_session_seconds ? Math.round(stats.total_session_seconds / 60) : 0,
+    timeUsedSeconds: Number(stats.total_session_seconds) || 0,
+    timeRemainingSeconds: candidates.length ? Math.min(...candidates) : null,
+    expiresAt,
+    airtime,
     lastSessionStart: stats.last_session_start,
     lastSessionStop: stats.last_session_stop
   };
 }
 
 /**
- * Disconnect active session (requires COA/POD support in NAS)
- * Note: This sends a signal but actual disconnection depends on NAS configuration
+ * Disconnect all active sessions of a user (requires CoA/POD support in NAS)
+ * Sends an RFC 5176 Disconnect-Request per session and reports the NAS answer
  */
 async function disconnectSession(username) {
-  // This would typically require RADIUS COA (Change of Authorization) or POD (Packet of Disconnect)
-  // For now, we just set the expiration to past which will prevent re-authentication
-  const pastDate = new Date(Date.now() - 1000);
-  await setRadreply(username, 'Expiration', ':=', radiusExpiration(pastDate));
+  const result = await radiusCoa.disconnectUser(username);
 
-  return { username, signalSent: true, note: 'Expiration set to past. User will be disconnected on next reauthentication.' };
+  return {
+    username,
+    signalSent: result.total > 0,
+    total: result.total,
+    acked: result.acked,
+    sessions: result.sessions
+  };
 }
 
 module.exports = {
   activateVoucher,
+  activateVouchersBulk,
   deactivateVoucher,
   reactivateVoucher,
+  setUsersRejected,
   deleteVoucher,
+  deleteUsers,
   getVoucherStatus,
+  getExpirations,
   getVoucherUsage,
+  getAirtimeBudget,
+  getAirtimeStatus,
   disconnectSession,
+  startValidityClock,
+  setUserExpiration,
+  setUserAirtimeBudget,
+  setUserSessionTimeout,
+  setUserDataLimit,
+  setUserRateLimit,
+  expireUser,
+  setGroupAttributes,
+  deleteGroup,
+  setUserGroup,
+  addMissingGroupMembers,
+  clearUserPlanAttributes,
+  PLAN_REPLY_ATTRIBUTES,
   radiusExpiration,
   parseRadiusExpiration
 };
@@ -0,0 +1,533 @@
+/**
+ * Reconciliation Service
+ * Matches what each payment provider says it collected against our orders,
+ * so finance does not rely on orders.status alone. A run covers a range of
+ * order dates; every provider that can take requests is checked:
+ *
+ * - providers with listTransactions (Flutterwave): their transaction list
+ *   for the range is matched to orders by reference, and PAID orders with
+ *   no successful transaction in it are checked one by one
+ * - others (Yo Payments, MTN MoMo, Airtel Money): every PAID order, and
+ *   every FAILED, EXPIRED or CANCELLED order sent to the customer's phone,
+ *   is checked with the provider (checkStatus)
+ *
+ * Findings are stored in reconciliation_items, one per order (or provider
+ * transaction) and issue:
+ *
+ *   MONEY_NO_VOUCHER - the provider collected the money, the order is not PAID
+ *                      (or there is no order for the transaction)
+ *   VOUCHER_NO_MONEY - the order is PAID, the provider has no successful payment
+ *   AMOUNT_MISMATCH  - both agree it was paid, but not on the amount or currency
+ *
+ * Items stay OPEN until an admin resolves them (fulfil the order, cancel it,
+ * or dismiss the item with a note). An open item that a later run checks
+ * again and no longer finds is closed as CLEARED.
+ */
+
+const portalDB = require("../config/db.portal");
+const paymentRegistry = require("./payment-registry.service");
+const fulfilment = require("./order-fulfilment.service");
+const radiusService = require("./radius.service");
+const radiusCoa = require("./radius-coa.service");
+
+const ISSUES = ["MONEY_NO_VOUCHER", "VOUCHER_NO_MONEY", "AMOUNT_MISMATCH"];
+
+// Longest range one run may cover
+const MAX_RANGE_DAYS = 31;
+
+// Orders being or already refunded (refund.service), never cancelled here
+const REFUND_STATUSES = ["REFUNDING", "REFUNDED", "REFUND_FAILED"];
+
+const ORDER_COLUMNS = "id, order_ref, order_type, status, amount_ugx, provider_ref, provider_tx_id, username, created_at";
+
+/**
+ * Ensure the reconciliation tables exist
+ */
+async function ensureReconciliationTables() {
+  try {
+    await portalDB.query(`
+      CREATE TABLE IF NOT EXISTS reconciliation_runs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        date_from DATE NOT NULL,
+        date_to DATE NOT NULL,
+        status ENUM('RUNNING', 'COMPLETED', 'FAILED') NOT NULL DEFAULT 'RUNNING',
+        checked_count INT NOT NULL DEFAULT 0,
+        flagged_count INT NOT NULL DEFAULT 0,
+        summary JSON DEFAULT NULL,
+        error VARCHAR(255) DEFAULT NULL,
+        triggered_by INT DEFAULT NULL,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP NULL DEFAULT NULL,
+        INDEX idx_dates (date_from, date_to),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    await portalDB.query(`
+      CREATE TABLE IF NOT EXISTS reconciliation_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        run_id INT NOT NULL,
+        provider_code VARCHAR(50) NOT NULL,
+        item_key VARCHAR(100) NOT NULL,
+        issue ENUM('MONEY_NO_VOUCHER', 'VOUCHER_NO_MONEY', 'AMOUNT_MISMATCH') NOT NULL,
+        order_id INT DEFAULT NULL,
+        order_ref VARCHAR(64) DEFAULT NULL,
+        order_status VARCHAR(20) DEFAULT NULL,
+        order_amount INT DEFAULT NULL,
+        provider_tx_id VARCHAR(100) DEFAULT NULL,
+        provider_status VARCHAR(20) DEFAULT NULL,
+        provider_amount DECIMAL(12,2) DEFAULT NULL,
+        provider_currency VARCHAR(3) DEFAULT NULL,
+        details JSON DEFAULT NULL,
+        status ENUM('OPEN', 'RESOLVED') NOT NULL DEFAULT 'OPEN',
+        resolution VARCHAR(20) DEFAULT NULL,
+        resolution_note VARCHAR(255) DEFAULT NULL,
+        resolved_by INT DEFAULT NULL,
+        resolved_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_item (provider_code, item_key, issue),
+        INDEX idx_status_issue (status, issue),
+        INDEX idx_order_id (order_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+
+    // A run cut short by a restart never finishes
+    await portalDB.query(
+      "UPDATE reconciliation_runs SET status = 'FAILED', error = 'Interrupted by restart', finished_at = NOW() WHERE status = 'RUNNING'"
+    );
+  } catch (e) {
+    console.error("Error creating reconciliation tables:", e);
+  }
+}
+
+// Initialize tables on module load
+ensureReconciliationTables();
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+function localDate(date) {
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Day after a YYYY-MM-DD date
+ * @param {string} date
+ * @returns {string}
+ */
+function nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate a run's date range
+ * @returns {string|null} error message
+ */
+function rangeError(from, to) {
+  const pattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!pattern.test(String(from)) || !pattern.test(String(to))) return "Dates must be YYYY-MM-DD";
+  if (from > to) return "Start date is after end date";
+
+  const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000 + 1;
+  if (days > MAX_RANGE_DAYS) return `A run can cover at most ${MAX_RANGE_DAYS} days`;
+  return null;
+}
+
+/**
+ * A finding for an order (or a provider transaction without one)
+ */
+function finding(issue, order, result, details = {}) {
+  return {
+    issue,
+    itemKey: order ? order.order_ref : `tx:${result.providerTxId}`,
+    order,
+    providerTxId: result ? result.providerTxId || null : null,
+    providerStatus: result ? result.status : null,
+    providerAmount: result && result.amount != null ? Number(result.amount) : null,
+    providerCurrency: result ? result.currency || null : null,
+    details: { message: result ? result.message || null : null, ...details }
+  };
+}
+
+/**
+ * Compare one order with the provider's view of its payment
+ * @param {Object} order
+ * @param {Object} result - checkStatus result, or a listed transaction
+ * @returns {Object|null} finding
+ */
+function compare(order, result) {
+  // The provider still shows a refunded payment as collected
+  if (REFUND_STATUSES.includes(order.status)) return null;
+
+  const paid = result.status === "success";
+
+  if (order.status === "PAID") {
+    if (!paid) return finding("VOUCHER_NO_MONEY", order, result);
+    if (!fulfilment.matchesOrder(result, order)) return finding("AMOUNT_MISMATCH", order, result);
+    return null;
+  }
+
+  if (paid) return finding("MONEY_NO_VOUCHER", order, result, { amountMatches: fulfilment.matchesOrder(result, order) });
+  return null;
+}
+
+/**
+ * Reconcile one provider's orders for a date range
+ * @param {Object} provider - from payment-registry.service
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<Object>} { checked, findings, checkedKeys, errors }
+ */
+async function reconcileProvider(provider, from, to) {
+  const findings = [];
+  const checkedKeys = [];
+  let errors = 0;
+
+  const [orders] = await portalDB.query(
+    `SELECT ${ORDER_COLUMNS}
+     FROM orders
+     WHERE payment_provider = ? AND created_at >= ? AND created_at < ?`,
+    [provider.orderCode, from, nextDay(to)]
+  );
+
+  // Orders to ask the provider about one by one
+  let toCheck;
+
+  if (provider.listTransactions) {
+    const byRef = new Map();
+    for (const order of orders) {
+      byRef.set(order.order_ref, order);
+      if (order.provider_ref) byRef.set(order.provider_ref, order);
+    }
+
+    // The day after the range too: a payment may complete after midnight
+    const transactions = await provider.listTransactions({ from, to: nextDay(to) });
+    const matched = new Set();
+
+    for (const tx of transactions) {
+      // Only our orders (other payments may go to the same account)
+      if (!tx.orderRef || !tx.orderRef.startsWith(`${provider.orderRefPrefix}_`)) continue;
+
+      let order = byRef.get(tx.orderRef) || byRef.get(tx.providerRef);
+      if (!order) {
+        // Paid in the range for an order from before it
+        [[order]] = await portalDB.query(
+          `SELECT ${ORDER_COLUMNS} FROM orders WHERE order_ref = ? AND payment_provider = ? LIMIT 1`,
+          [tx.orderRef, provider.orderCode]
+        );
+      }
+
+      if (!order) {
+        if (tx.status === "success") {
+          findings.push(finding("MONEY_NO_VOUCHER", null, tx, { orderRef: tx.orderRef, reason: "No order for this payment" }));
+        }
+        continue;
+      }
+
+      if (tx.status !== "success") continue;
+      matched.add(order.id);
+      checkedKeys.push(order.order_ref);
+
+      const result = compare(order, tx);
+      if (result) findings.push(result);
+    }
+
+    toCheck = orders.filter((order) => order.status === "PAID" && !matched.has(order.id));
+  } else {
+    // Orders that never reached the customer's phone have nothing to check;
+    // PENDING ones are left to the poller
+    toCheck = orders.filter((order) =>
+      order.status === "PAID" || (order.provider_ref && ["FAILED", "EXPIRED", "CANCELLED"].includes(order.status))
+    );
+  }
+
+  for (const order of toCheck) {
+    try {
+      const result = await provider.checkStatus(order);
+      checkedKeys.push(order.order_ref);
+
+      const outcome = compare(order, result);
+      if (outcome) findings.push(outcome);
+    } catch (e) {
+      console.error(`${provider.displayName} reconciliation error for order ${order.order_ref}:`, e.message);
+      errors++;
+    }
+  }
+
+  return { checked: checkedKeys.length, findings, checkedKeys, errors };
+}
+
+/**
+ * Store a run's findings and clear open items it no longer finds
+ */
+async function saveFindings(runId, provider, { findings, checkedKeys }) {
+  for (const item of findings) {
+    await portalDB.query(
+      `INSERT INTO reconciliation_items
+         (run_id, provider_code, item_key, issue, order_id, order_ref, order_status, order_amount,
+          provider_tx_id, provider_status, provider_amount, provider_currency, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         run_id = VALUES(run_id), order_status = VALUES(order_status), provider_tx_id = VALUES(provider_tx_id),
+         provider_status = VALUES(provider_status), provider_amount = VALUES(provider_amount),
+         provider_currency = VALUES(provider_currency), details = VALUES(details), last_seen_at = NOW()`,
+      [
+        runId,
+        provider.code,
+        item.itemKey,
+        item.issue,
+        item.order ? item.order.id : null,
+        item.order ? item.order.order_ref : item.details.orderRef || null,
+        item.order ? item.order.status : null,
+        item.order ? item.order.amount_ugx : null,
+        item.providerTxId,
+        item.providerStatus,
+        item.providerAmount,
+        item.providerCurrency,
+        JSON.stringify(item.details)
+      ]
+    );
+  }
+
+  if (checkedKeys.length) {
+    await portalDB.query(
+      `UPDATE reconciliation_items
+       SET status = 'RESOLVED', resolution = 'CLEARED', resolution_note = 'No longer found by reconciliation',
+           resolved_at = NOW()
+       WHERE provider_code = ? AND status = 'OPEN' AND run_id <> ? AND item_key IN (?)`,
+      [provider.code, runId, checkedKeys]
+    );
+  }
+}
+
+/**
+ * Reconcile every available provider for a date range
+ * @param {Object} range
+ * @param {string} range.from - YYYY-MM-DD
+ * @param {string} range.to - YYYY-MM-DD
+ * @param {number} [range.triggeredBy] - admin user id (none for the scheduler)
+ * @returns {Promise<Object>} { runId, checked, flagged, providers }
+ */
+async function runReconciliation({ from, to, triggeredBy = null }) {
+  const error = rangeError(from, to);
+  if (error) throw new Error(error);
+
+  const [result] = await portalDB.query(
+    "INSERT INTO reconciliation_runs (date_from, date_to, triggered_by) VALUES (?, ?, ?)",
+    [from, to, triggeredBy]
+  );
+  const runId = result.insertId;
+
+  const totals = { runId, checked: 0, flagged: 0, providers: {} };
+  try {
+    for (const provider of paymentRegistry.listProviders()) {
+      if (!(await provider.isAvailable())) continue;
+
+      try {
+        const outcome = await reconcileProvider(provider, from, to);
+        await saveFindings(runId, provider, outcome);
+
+        totals.checked += outcome.checked;
+        totals.flagged += outcome.findings.length;
+        totals.providers[provider.code] = { checked: outcome.checked, flagged: outcome.findings.length, errors: outcome.errors };
+      } catch (e) {
+        console.error(`${provider.displayName} reconciliation error:`, e.message);
+        totals.providers[provider.code] = { error: e.message };
+      }
+    }
+
+    await portalDB.query(
+      `UPDATE reconciliation_runs
+       SET status = 'COMPLETED', checked_count = ?, flagged_count = ?, summary = ?, finished_at = NOW()
+       WHERE id = ?`,
+      [totals.checked, totals.flagged, JSON.stringify(totals.providers), runId]
+    );
+  } catch (e) {
+    await portalDB.query(
+      "UPDATE reconciliation_runs SET status = 'FAILED', error = ?, finished_at = NOW() WHERE id = ?",
+      [String(e.message).slice(0, 255), runId]
+    );
+    throw e;
+  }
+
+  return totals;
+}
+
+/**
+ * Scheduler task: reconcile yesterday once it has not been done yet
+ * @returns {Promise<Object|null>} runReconciliation totals, or null if already done
+ */
+async function reconcileYesterday() {
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+  const date = localDate(yesterday);
+
+  const [[done]] = await portalDB.query(
+    "SELECT id FROM reconciliation_runs WHERE status IN ('RUNNING', 'COMPLETED') AND date_from <= ? AND date_to >= ? LIMIT 1",
+    [date, date]
+  );
+  if (done) return null;
+
+  return runReconciliation({ from: date, to: date });
+}
+
+/**
+ * Whether a run is in progress
+ * @returns {Promise<boolean>}
+ */
+async function isRunning() {
+  const [[running]] = await portalDB.query("SELECT id FROM reconciliation_runs WHERE status = 'RUNNING' LIMIT 1");
+  return !!running;
+}
+
+/**
+ * Latest runs, newest first
+ * @param {number} [limit]
+ * @returns {Promise<Array>}
+ */
+async function listRuns(limit = 10) {
+  const [runs] = await portalDB.query(
+    `SELECT r.id, DATE_FORMAT(r.date_from, '%Y-%m-%d') AS date_from, DATE_FORMAT(r.date_to, '%Y-%m-%d') AS date_to,
+            r.status, r.checked_count, r.flagged_count, r.summary, r.error, r.triggered_by, r.started_at, r.finished_at,
+            a.full_name AS triggered_by_name
+     FROM reconciliation_runs r
+     LEFT JOIN admin_users a ON r.triggered_by = a.id
+     ORDER BY r.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+  return runs;
+}
+
+/**
+ * Flagged items, newest first
+ * @param {Object} filters - { status, issue, provider, page, limit }
+ * @returns {Promise<Object>} { items, total }
+ */
+async function listItems({ status = null, issue = null, provider = null, page = 1, limit = 20 } = {}) {
+  let whereClause = "WHERE 1=1";
+  const params = [];
+
+  if (status) {
+    whereClause += " AND i.status = ?";
+    params.push(status);
+  }
+  if (issue) {
+    whereClause += " AND i.issue = ?";
+    params.push(issue);
+  }
+  if (provider) {
+    whereClause += " AND i.provider_code = ?";
+    params.push(provider);
+  }
+
+  const [[{ total }]] = await portalDB.query(
+    `SELECT COUNT(*) as total FROM reconciliation_items i ${whereClause}`,
+    params
+  );
+
+  const [items] = await portalDB.query(
+    `SELECT i.*, o.status AS current_order_status, o.order_type, a.full_name AS resolved_by_name
+     FROM reconciliation_items i
+     LEFT JOIN orders o ON i.order_id = o.id
+     LEFT JOIN admin_users a ON i.resolved_by = a.id
+     ${whereClause}
+     ORDER BY i.status = 'OPEN' DESC, i.last_seen_at DESC, i.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return { items, total };
+}
+
+/**
+ * Resolve a flagged item
+ *
+ *   fulfil  - activate the order and mark it PAID (money received, no voucher)
+ *   cancel  - mark the order CANCELLED, no longer counted as revenue; a
+ *             purchased voucher is blocked and disconnected
+ *   dismiss - close the item without changing the order (note required)
+ *
+ * @param {number} itemId
+ * @param {string} action - fulfil, cancel or dismiss
+ * @param {Object} admin - req.session.admin
+ * @param {string} [note]
+ * @returns {Promise<Object>} { ok, message }
+ */
+async function resolveItem(itemId, action, admin, note = null) {
+  const [[item]] = await portalDB.query("SELECT * FROM reconciliation_items WHERE id = ?", [itemId]);
+  if (!item) return { ok: false, message: "Item not found" };
+  if (item.status !== "OPEN") return { ok: false, message: "Item is already resolved" };
+
+  const [[order]] = item.order_id
+    ? await portalDB.query("SELECT id, order_ref, order_type, status, username FROM orders WHERE id = ?", [item.order_id])
+    : [[null]];
+
+  let message;
+  if (action === "fulfil") {
+    if (!order) return { ok: false, message: "There is no order to fulfil" };
+
+    const provider = paymentRegistry.getProvider(item.provider_code);
+    const result = await fulfilment.fulfilOrder(order.id, {
+      provider: provider ? provider.orderCode : null,
+      providerTxId: item.provider_tx_id,
+      source: "Reconciliation"
+    });
+    if (!result.fulfilled) return { ok: false, message: `Order is ${result.status || "missing"} and cannot be fulfilled` };
+    message = `Order ${order.order_ref} fulfilled`;
+  } else if (action === "cancel") {
+    if (!order) return { ok: false, message: "There is no order to cancel" };
+    if (order.status === "CANCELLED") return { ok: false, message: "Order is already cancelled" };
+    if (REFUND_STATUSES.includes(order.status)) {
+      return { ok: false, message: `Order is ${order.status} and cannot be cancelled; dismiss the item with a note` };
+    }
+
+    // Only if nothing (a callback, a refund) changed the order since it was read
+    const [cancelled] = await portalDB.query(
+      "UPDATE orders SET status = 'CANCELLED', paid_at = NULL WHERE id = ? AND status = ?",
+      [order.id, order.status]
+    );
+    if (cancelled.affectedRows !== 1) {
+      return { ok: false, message: `Order ${order.order_ref} changed while it was being cancelled; reload and check it again` };
+    }
+
+    // A purchase's voucher stops working; a top-up already added stays
+    if (order.order_type !== "TOPUP" && order.username && order.status === "PAID") {
+      await radiusService.setUsersRejected([order.username], true);
+      await radiusCoa.disconnectUser(order.username, { requestedBy: admin.id, reason: "reconciliation_cancel" });
+    }
+    message = `Order ${order.order_ref} cancelled`;
+  } else if (action === "dismiss") {
+    if (!note) return { ok: false, message: "A note is required to dismiss an item" };
+    message = "Item dismissed";
+  } else {
+    return { ok: false, message: "Unknown action" };
+  }
+
+  await portalDB.query(
+    `UPDATE reconciliation_items
+     SET status = 'RESOLVED', resolution = ?, resolution_note = ?, resolved_by = ?, resolved_at = NOW()
+     WHERE id = ?`,
+    [{ fulfil: "FULFILLED", cancel: "CANCELLED", dismiss: "DISMISSED" }[action], note ? String(note).slice(0, 255) : null, admin.id, item.id]
+  );
+
+  return { ok: true, message };
+}
+
+module.exports = {
+  ISSUES,
+  MAX_RANGE_DAYS,
+  ensureReconciliationTables,
+  rangeError,
+  runReconciliation,
+  reconcileYesterday,
+  isRunning,
+  listRuns,
+  listItems,
+  resolveItem
+};
@@ -0,0 +1,307 @@
+/**
+ * Refund Service
+ * Gives a paid order's money back to the customer through the provider that
+ * collected it (the provider's refund(), see payment-registry.service):
+ *
+ * - Flutterwave refunds the card or mobile money transaction
+ * - Yo Payments sends the amount from the Yo account to the number that paid
+ * - Airtel Money reverses the collection
+ *
+ * Providers without refunds (MTN MoMo) can only have a manual refund
+ * recorded, once the customer has been paid back some other way.
+ *
+ * A refunded order becomes REFUNDED and the refund is logged in
+ * payment_logs with entry_type 'refund':
+ *
+ *   success    - the provider paid the customer back
+ *   pending    - accepted by the provider and not completed yet; the Refund
+ *                tracking job asks the provider (checkRefund) until it is
+ *   processing - no answer from the provider (or a pending refund without a
+ *                reference to track it by), so the money may or may not
+ *                have left: the order stays REFUNDING until a super admin
+ *                checks with the provider and settles it (settleRefund)
+ *   failed     - declined; the order stays PAID
+ *
+ * Once the refund has succeeded, a purchased voucher is deactivated and its
+ * sessions disconnected (a top-up already added stays on its voucher). A
+ * pending refund that fails afterwards moves the order to REFUND_FAILED,
+ * which can be refunded again, and the customer keeps the voucher. The
+ * finance summary subtracts pending and successful refunds from revenue.
+ */
+
+const portalDB = require("../config/db.portal");
+const paymentRegistry = require("./payment-registry.service");
+const radiusService = require("./radius.service");
+const radiusCoa = require("./radius-coa.service");
+
+// Order statuses a refund can start from
+const REFUNDABLE = ["PAID", "REFUND_FAILED"];
+
+// Pending refunds checked per job run
+const TRACK_BATCH_SIZE = 50;
+
+const ORDER_SELECT = `
+  SELECT o.id, o.order_ref, o.order_type, o.status, o.amount_ugx, o.payment_provider,
+         o.provider_ref, o.provider_tx_id, o.username, c.msisdn AS customer_msisdn
+  FROM orders o
+  LEFT JOIN customers c ON o.customer_id = c.id`;
+
+/**
+ * Record a refund attempt in payment_logs
+ */
+async function logRefund(order, { providerCode, status, refundRef, message, reason, manual, raw }) {
+  try {
+    await portalDB.query(
+      `INSERT INTO payment_logs
+       (order_id, provider_code, entry_type, transaction_ref, provider_tx_id, amount, currency, status, status_message,
+        request_payload, response_payload, customer_msisdn, payment_method, initiated_at, completed_at)
+       VALUES (?, ?, 'refund', ?, ?, ?, 'UGX', ?, ?, ?, ?, ?, ?, NOW(), ?)`,
+      [
+        order.id,
+        providerCode,
+        `RF_${order.order_ref}`,
+        refundRef || null,
+        order.amount_ugx,
+        status,
+        message ? String(message).slice(0, 1000) : null,
+        JSON.stringify({ reason, manual }),
+        raw ? JSON.stringify(raw) : null,
+        order.customer_msisdn || null,
+        manual ? "manual" : "refund",
+        status === "success" ? new Date() : null
+      ]
+    );
+  } catch (e) {
+    console.error("Error logging refund:", e.message);
+  }
+}
+
+/**
+ * Move an order's refund log entry from one status to another
+ */
+async function updateRefundLog(orderId, fromStatus, status, message = null) {
+  await portalDB.query(
+    `UPDATE payment_logs
+     SET status = ?, status_message = COALESCE(?, status_message),
+         completed_at = IF(? = 'success', NOW(), completed_at)
+     WHERE order_id = ? AND entry_type = 'refund' AND status = ?`,
+    [status, message ? String(message).slice(0, 1000) : null, status, orderId, fromStatus]
+  );
+}
+
+/**
+ * Deactivate a refunded purchase's voucher (a top-up already added stays)
+ * @returns {Promise<string>} note for the admin when it failed
+ */
+async function deactivateRefundedVoucher(order, admin = null) {
+  if (order.order_type === "TOPUP" || !order.username) return "";
+  try {
+    await radiusService.deactivateVoucher(order.username);
+    await radiusCoa.disconnectUser(order.username, { requestedBy: admin ? admin.id : null, reason: "refund" });
+    return "";
+  } catch (e) {
+    console.error(`Error deactivating refunded voucher ${order.username}:`, e.message);
+    return `, but voucher ${order.username} could not be deactivated: ${e.message}`;
+  }
+}
+
+/**
+ * Leave a claimed order REFUNDING for a super admin to settle, when it is
+ * not known whether the customer was paid back
+ * @returns {Promise<Object>} { ok, status, message }
+ */
+async function holdRefund(order, { providerCode, message, reason, admin, providerName, raw }) {
+  await portalDB.query(
+    "UPDATE orders SET refund_reason = ?, refunded_by = ? WHERE id = ?",
+    [String(reason).slice(0, 255), admin.id, order.id]
+  );
+  await logRefund(order, { providerCode, status: "processing", message, reason, manual: false, raw });
+  return {
+    ok: false,
+    status: "REFUNDING",
+    message: `Refund not confirmed (${message}); check with ${providerName} and settle the refund by hand`
+  };
+}
+
+/**
+ * Refund a paid order in full
+ * @param {number} orderId
+ * @param {Object} options
+ * @param {string} options.reason - why the customer is refunded
+ * @param {Object} options.admin - admin user refunding the order
+ * @param {boolean} [options.manual] - record a refund made outside the
+ *   portal instead of asking the provider
+ * @returns {Promise<Object>} { ok, message, pending, status }
+ */
+async function refundOrder(orderId, { reason, admin, manual = false }) {
+  if (!reason) return { ok: false, message: "A reason is required" };
+
+  const [[order]] = await portalDB.query(`${ORDER_SELECT} WHERE o.id = ?`, [orderId]);
+  if (!order) return { ok: false, message: "Order not found" };
+  if (!REFUNDABLE.includes(order.status)) {
+    return { ok: false, message: `Only paid orders can be refunded (this one is ${order.status})` };
+  }
+
+  const provider = paymentRegistry.getByOrderCode(order.payment_provider);
+  const providerName = provider ? provider.displayName : order.payment_provider;
+  if (!manual && !(provider && provider.refund)) {
+    return { ok: false, message: `${providerName} does not support refunds; pay the customer back and record a manual refund` };
+  }
+  if (!manual && !(await provider.isAvailable())) {
+    return { ok: false, message: `${providerName} is not configured` };
+  }
+
+  // Claim the order so it cannot be refunded twice
+  const [claim] = await portalDB.query(
+    "UPDATE orders SET status = 'REFUNDING' WHERE id = ? AND status = ?",
+    [order.id, order.status]
+  );
+  if (claim.affectedRows !== 1) return { ok: false, message: "Order is already being refunded" };
+
+  const providerCode = provider ? provider.code : String(order.payment_provider || "").toLowerCase();
+
+  let result;
+  if (manual) {
+    result = { ok: true, refundRef: null, pending: false, message: "Refunded outside the portal" };
+  } else {
+    try {
+      result = await provider.refund(order, { amount: Number(order.amount_ugx), reason });
+    } catch (e) {
+      // No answer: the refund may have gone through, so the order must not
+      // be refundable again until someone has checked with the provider
+      console.error(`${providerName} refund error for order ${order.order_ref}:`, e.message);
+      return holdRefund(order, { providerCode, message: e.message, reason, admin, providerName });
+    }
+  }
+
+  const logDetails = { providerCode, refundRef: result.refundRef, message: result.message, reason, manual, raw: result.raw };
+
+  // Accepted but with nothing the tracking job could check it by
+  if (result.ok && result.pending && !result.refundRef) {
+    return holdRefund(order, { ...logDetails, message: result.message || "Pending without a refund reference", admin, providerName });
+  }
+
+  if (!result.ok) {
+    await portalDB.query("UPDATE orders SET status = ? WHERE id = ? AND status = 'REFUNDING'", [order.status, order.id]);
+    await logRefund(order, { ...logDetails, status: "failed" });
+    return { ok: false, message: `Refund failed: ${result.message || `${providerName} declined the refund`}` };
+  }
+
+  await portalDB.query(
+    `UPDATE orders
+     SET status = 'REFUNDED', refunded_at = NOW(), refund_ref = ?, refund_reason = ?, refunded_by = ?
+     WHERE id = ?`,
+    [result.refundRef || null, String(reason).slice(0, 255), admin.id, order.id]
+  );
+  await logRefund(order, { ...logDetails, status: result.pending ? "pending" : "success" });
+
+  // The voucher is kept until the provider confirms a pending refund (trackRefunds)
+  if (result.pending) {
+    return {
+      ok: true,
+      pending: true,
+      message: `Refund of order ${order.order_ref} sent to ${providerName}, which completes it`
+    };
+  }
+
+  const voucherNote = await deactivateRefundedVoucher(order, admin);
+  return { ok: true, pending: false, message: `Order ${order.order_ref} refunded${voucherNote}` };
+}
+
+/**
+ * Settle a refund the provider did not answer, once a super admin has
+ * checked with the provider whether the customer was paid back
+ * @param {number} orderId
+ * @param {Object} options
+ * @param {boolean} options.refunded - whether the money reached the customer
+ * @param {Object} options.admin
+ * @param {string} [options.note]
+ * @returns {Promise<Object>} { ok, message }
+ */
+async function settleRefund(orderId, { refunded, admin, note = null }) {
+  const [[order]] = await portalDB.query(`${ORDER_SELECT} WHERE o.id = ?`, [orderId]);
+  if (!order) return { ok: false, message: "Order not found" };
+  if (order.status !== "REFUNDING") return { ok: false, message: `Order is ${order.status}, not waiting for a refund` };
+
+  const [claim] = await portalDB.query(
+    refunded
+      ? "UPDATE orders SET status = 'REFUNDED', refunded_at = NOW(), refunded_by = ? WHERE id = ? AND status = 'REFUNDING'"
+      : "UPDATE orders SET status = 'PAID', refunded_by = ? WHERE id = ? AND status = 'REFUNDING'",
+    [admin.id, order.id]
+  );
+  if (claim.affectedRows !== 1) return { ok: false, message: "Order refund was settled already" };
+
+  const message = note || (refunded ? "Confirmed refunded by an admin" : "Confirmed not refunded by an admin");
+  await updateRefundLog(order.id, "processing", refunded ? "success" : "failed", message);
+
+  if (!refunded) return { ok: true, message: `Order ${order.order_ref} is PAID again` };
+
+  const voucherNote = await deactivateRefundedVoucher(order, admin);
+  return { ok: true, message: `Order ${order.order_ref} refunded${voucherNote}` };
+}
+
+/**
+ * Ask the providers about pending refunds and complete or fail them
+ * @returns {Promise<Object>} { checked, completed, failed, errors }
+ */
+async function trackRefunds() {
+  const totals = { checked: 0, completed: 0, failed: 0, errors: 0 };
+
+  const [refunds] = await portalDB.query(
+    `SELECT pl.id, pl.order_id, pl.provider_code, pl.provider_tx_id, o.order_ref, o.order_type, o.username
+     FROM payment_logs pl
+     JOIN orders o ON o.id = pl.order_id
+     WHERE pl.entry_type = 'refund' AND pl.status = 'pending' AND pl.provider_tx_id IS NOT NULL
+     ORDER BY pl.initiated_at
+     LIMIT ?`,
+    [TRACK_BATCH_SIZE]
+  );
+
+  // Providers are asked only if they can take requests at the moment
+  const available = new Map();
+
+  for (const refund of refunds) {
+    const provider = paymentRegistry.getProvider(refund.provider_code);
+    if (!provider || !provider.checkRefund) continue;
+
+    if (!available.has(provider.code)) available.set(provider.code, await provider.isAvailable());
+    if (!available.get(provider.code)) continue;
+
+    try {
+      const result = await provider.checkRefund(refund.provider_tx_id);
+      totals.checked++;
+      if (result.status === "pending") continue;
+
+      await portalDB.query(
+        `UPDATE payment_logs
+         SET status = ?, status_message = COALESCE(?, status_message), response_payload = ?,
+             completed_at = IF(? = 'success', NOW(), completed_at)
+         WHERE id = ? AND status = 'pending'`,
+        [result.status, result.message || null, result.raw ? JSON.stringify(result.raw) : null, result.status, refund.id]
+      );
+
+      if (result.status === "success") {
+        await deactivateRefundedVoucher(refund);
+        totals.completed++;
+      } else {
+        // The customer was not paid back: the order can be refunded again
+        await portalDB.query(
+          "UPDATE orders SET status = 'REFUND_FAILED' WHERE id = ? AND status = 'REFUNDED'",
+          [refund.order_id]
+        );
+        totals.failed++;
+      }
+    } catch (e) {
+      console.error(`Refund status check error for order ${refund.order_ref}:`, e.message);
+      totals.errors++;
+    }
+  }
+
+  return totals;
+}
+
+module.exports = {
+  refundOrder,
+  settleRefund,
+  trackRefunds
+};
@@ -0,0 +1,84 @@
+/**
+ * Scheduler Service
+ * Runs the portal's background jobs in-process on fixed intervals.
+ *
+ * A job's task resolves to a one-line summary of what it did (or nothing
+ * when there was nothing to do), which is logged under the job's name.
+ * A job never runs twice at the same time: a run that is due while the
+ * previous one is still going is skipped.
+ *
+ * With several app instances (e.g. pm2 cluster) only one of them should
+ * start the scheduler.
+ */
+
+// name => { name, intervalMs, task, runAtStart, timer, running }
+const jobs = new Map();
+
+/**
+ * Add a job
+ * @param {string} name - Shown in the log, e.g. "Quota sweep"
+ * @param {number} intervalMs
+ * @param {Function} task - async () => string|null|undefined
+ * @param {Object} [options]
+ * @param {boolean} [options.runAtStart] - Also run once when the scheduler starts
+ */
+function register(name, intervalMs, task, { runAtStart = false } = {}) {
+  if (jobs.has(name)) {
+    throw new Error(`Scheduler job "${name}" already exists`);
+  }
+  jobs.set(name, {
+    name,
+    intervalMs,
+    task,
+    runAtStart,
+    timer: null,
+    running: false
+  });
+}
+
+/**
+ * Run a job now (no-op if it is already running)
+ * @param {string} name
+ */
+async function runJob(name) {
+  const job = jobs.get(name);
+  if (!job || job.running) return;
+
+  job.running = true;
+  try {
+    const summary = await job.task();
+    if (summary) console.log(`${job.name}: ${summary}`);
+  } catch (e) {
+    console.error(`${job.name} error:`, e);
+  } finally {
+    job.running = false;
+  }
+}
+
+/**
+ * Start every registered job's timer
+ */
+function start() {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    if (job.runAtStart) runJob(job.name);
+  }
+}
+
+/**
+ * Stop all timers (running tasks finish on their own)
+ */
+function stop() {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+module.exports = {
+  register,
+  runJob,
+  start,
+  stop
+};
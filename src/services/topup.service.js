@@ -0,0 +1,334 @@
+/**
+ * Top-up Service
+ * Adds a plan's time and data to an existing voucher or order username,
+ * so a customer who is running out does not need a new voucher.
+ *
+ * A top-up is an order of type TOPUP on the top-up plan. It carries no
+ * username of its own: topup_username is the username being topped up,
+ * linked to the voucher (parent_voucher_id) or purchase order
+ * (parent_order_id) that owns it. Portal top-ups are paid through Yo
+ * Payments or Flutterwave like any order and applied once paid; admin
+ * top-ups are applied immediately and their order marked paid once they
+ * were.
+ *
+ * Applying a top-up:
+ * - Expiration moves out by the plan's duration, counted from the current
+ *   Expiration or from now if that already passed
+ * - users with an airtime budget get the plan's airtime (its duration for
+ *   time plans) added to a per-user Max-All-Session
+ * - users with a data cap get the plan's data as bonus bytes
+ * - quotas are refreshed (Session-Timeout, data limit, throttle) and
+ *   active sessions get the new limits through CoA; for a paid order this
+ *   happens after the order is PAID (finishActivation)
+ *
+ * The RADIUS writes cannot be rolled back with the order, so each top-up
+ * order is recorded in topups_applied once its time and data were added:
+ * if fulfilment fails after that and is retried, the order is not added a
+ * second time.
+ */
+
+const { nanoid } = require("nanoid");
+const portalDB = require("../config/db.portal");
+const radiusDB = require("../config/db.radius");
+const planService = require("./plan.service");
+const quotaService = require("./quota.service");
+const radiusService = require("./radius.service");
+const radiusCoa = require("./radius-coa.service");
+const lifecycle = require("./voucher-lifecycle.service");
+
+/**
+ * Ensure the topups_applied table exists
+ */
+async function ensureTopupsAppliedTable() {
+  try {
+    await portalDB.query(`
+      CREATE TABLE IF NOT EXISTS topups_applied (
+        order_ref VARCHAR(64) NOT NULL PRIMARY KEY,
+        username VARCHAR(64) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        airtime_seconds INT NOT NULL DEFAULT 0,
+        data_bytes BIGINT NOT NULL DEFAULT 0,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_username (username)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  } catch (e) {
+    console.error("Error creating topups_applied table:", e);
+  }
+}
+
+// Initialize table on module load
+ensureTopupsAppliedTable();
+
+/**
+ * Find the voucher or paid order a username can be topped up on
+ * @param {string} username
+ * @returns {Promise<Object>} { source: 'voucher'|'order', id, username, plan_id, customer_id }
+ * @throws {Error} with a customer-facing message when it cannot be topped up
+ */
+async function getTopupTarget(username) {
+  const [[voucher]] = await portalDB.query(
+    "SELECT id, code, plan_id, state, used_at, radius_removed_at FROM vouchers WHERE code = ? LIMIT 1",
+    [username]
+  );
+
+  let target;
+  if (voucher) {
+    if (voucher.state === "REVOKED") throw new Error("This voucher has been disabled");
+    if (voucher.radius_removed_at || (voucher.state === "EXPIRED" && !voucher.used_at)) {
+      throw new Error("This voucher has expired and can no longer be topped up");
+    }
+    target = { source: "voucher", id: voucher.id, username: voucher.code, plan_id: voucher.plan_id, customer_id: null };
+  } else {
+    const [[order]] = await portalDB.query(
+      `SELECT id, username, plan_id, customer_id FROM orders
+       WHERE username = ? AND status = 'PAID'
+       ORDER BY id DESC LIMIT 1`,
+      [username]
+    );
+    if (!order) throw new Error("Voucher not found");
+    target = { source: "order", ...order };
+  }
+
+  // The RADIUS account may have been removed after expiry (see expiry.service)
+  const [[account]] = await radiusDB.query(
+    "SELECT 1 AS found FROM radcheck WHERE username = ? AND attribute = 'Cleartext-Password' LIMIT 1",
+    [username]
+  );
+  if (!account) throw new Error("This voucher has expired and can no longer be topped up");
+
+  return target;
+}
+
+/**
+ * Order columns linking a top-up to what it tops up, for INSERT INTO orders
+ * (order_type, topup_username, parent_order_id, parent_voucher_id)
+ * @param {Object|null} target - from getTopupTarget, or null for a purchase
+ * @returns {Array}
+ */
+function orderLinkValues(target) {
+  if (!target) return ["PURCHASE", null, null, null];
+  return [
+    "TOPUP",
+    target.username,
+    target.source === "order" ? target.id : null,
+    target.source === "voucher" ? target.id : null
+  ];
+}
+
+/**
+ * Add a top-up plan's validity, airtime and data to a username in RADIUS
+ *
+ * @param {string} username
+ * @param {Object} plan - Top-up plan
+ * @param {Object} userPlan - Plan the username is on
+ * @returns {Promise<Object>} { expiresAt, airtimeSeconds, dataBytes }
+ */
+async function addTopupBudget(username, plan, userPlan) {
+  // Validity window: first-login users who have not started yet start now
+  const now = Date.now();
+  const current = (await radiusService.getExpirations([username])).get(username);
+  const from = current
+    ? Math.max(current.getTime(), now)
+    : now + Number(userPlan.duration_minutes) * 60 * 1000;
+  const expiresAt = new Date(from + Number(plan.duration_minutes) * 60 * 1000);
+  await radiusService.setUserExpiration(username, expiresAt);
+
+  // Airtime, only for users whose plan has an online-time budget
+  let airtimeSeconds = 0;
+  const budget = await radiusService.getAirtimeBudget(username);
+  if (budget !== null) {
+    airtimeSeconds = Number(plan.plan_type === "airtime" ? plan.airtime_minutes : plan.duration_minutes) * 60;
+    await radiusService.setUserAirtimeBudget(username, budget + airtimeSeconds);
+  }
+
+  // Data, only for users with a data cap
+  let dataBytes = 0;
+  if (plan.data_mb && Number(plan.data_mb) > 0) {
+    const bytes = Number(plan.data_mb) * 1024 * 1024;
+    if (await quotaService.addBonusBytes(username, bytes)) dataBytes = bytes;
+  }
+
+  return { expiresAt, airtimeSeconds, dataBytes };
+}
+
+/**
+ * Add a plan's time and data to a username in RADIUS, without touching its
+ * sessions (see refreshTopupUser)
+ *
+ * @param {string} username
+ * @param {number} planId - Top-up plan
+ * @param {Object} [options]
+ * @param {Object} [options.actor] - Lifecycle event actor (default system)
+ * @param {string} [options.orderRef] - Top-up order, which is added once (see topups_applied)
+ * @returns {Promise<Object>} { username, plan, userPlan, expiresAt, airtimeSeconds, dataBytes }
+ */
+async function addTopup(username, planId, { actor, orderRef = null } = {}) {
+  const plan = await planService.getPlanById(planId);
+  if (!plan) throw new Error("Plan not found");
+
+  const target = await getTopupTarget(username);
+  const userPlan = (await planService.getPlanById(target.plan_id)) || plan;
+
+  // An order already added (fulfilment retried after a later error) is not added again
+  const [[applied]] = orderRef
+    ? await portalDB.query(
+      "SELECT expires_at, airtime_seconds, data_bytes FROM topups_applied WHERE order_ref = ?",
+      [orderRef]
+    )
+    : [[null]];
+
+  const added = applied
+    ? { expiresAt: applied.expires_at, airtimeSeconds: applied.airtime_seconds, dataBytes: Number(applied.data_bytes) }
+    : await addTopupBudget(username, plan, userPlan);
+
+  if (orderRef && !applied) {
+    await portalDB.query(
+      `INSERT INTO topups_applied (order_ref, username, expires_at, airtime_seconds, data_bytes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [orderRef, username, added.expiresAt, added.airtimeSeconds, added.dataBytes]
+    );
+  }
+
+  if (target.source === "voucher") {
+    await lifecycle.transition(target.id, lifecycle.RESTORE, {
+      from: ["EXPIRED"],
+      actor,
+      reason: `Topped up with ${plan.name}`,
+      details: orderRef ? { orderRef } : null
+    });
+  }
+
+  return {
+    username,
+    plan: { id: plan.id, code: plan.code, name: plan.name },
+    userPlan,
+    ...added
+  };
+}
+
+/**
+ * Refresh a topped-up username's quotas and push the new limits to its
+ * active sessions (CoA)
+ *
+ * @param {string} username
+ * @param {Object} userPlan - Plan the username is on
+ * @param {Object} [options]
+ * @param {number} [options.requestedBy] - Admin id recorded in coa_requests
+ * @returns {Promise<Object>} { total, acked, sessions }
+ */
+async function refreshTopupUser(username, userPlan, { requestedBy = null } = {}) {
+  // Session-Timeout and data limit for the next login; EXHAUSTED -> IN_USE
+  await quotaService.refreshUser(username);
+
+  const sessions = await radiusCoa.getActiveSessions(username);
+  return planService.pushToSessions(userPlan, sessions, { reason: "topup", requestedBy });
+}
+
+/**
+ * Activate a paid order in RADIUS: a purchase gets its own username on the
+ * plan, a top-up is added to the username it tops up. The sessions of a
+ * topped-up username are updated afterwards by finishActivation.
+ *
+ * @param {Object} order - orders row (order_type, order_ref, plan_id, username, password, topup_username)
+ * @param {Object} plan - plans row of the order
+ * @returns {Promise<Object|null>} addTopup result for a top-up
+ */
+async function activateOrder(order, plan) {
+  if (order.order_type === "TOPUP") {
+    return addTopup(order.topup_username || order.username, order.plan_id, { orderRef: order.order_ref });
+  }
+
+  await planService.activatePlanVoucher({
+    username: order.username,
+    password: order.password,
+    plan,
+  });
+  return null;
+}
+
+/**
+ * Second step of activateOrder, once the order is PAID: a topped-up
+ * username gets its quotas refreshed and its sessions the new limits
+ *
+ * @param {Object} order - orders row
+ * @param {Object|null} activation - activateOrder result
+ */
+async function finishActivation(order, activation) {
+  if (order.order_type !== "TOPUP" || !activation) return null;
+  return refreshTopupUser(activation.username, activation.userPlan);
+}
+
+/**
+ * Top up a username from the admin panel: records a top-up order (cash or
+ * complimentary, no payment provider), applies it and marks the order PAID
+ *
+ * @param {string} username
+ * @param {number} planId
+ * @param {Object} admin - req.session.admin
+ * @param {number} [amountUgx] - Amount collected, 0 for a free top-up
+ * @returns {Promise<Object>} { orderRef, username, plan, expiresAt, airtimeSeconds, dataBytes, total, acked, sessions }
+ */
+async function adminTopup(username, planId, admin, amountUgx = 0) {
+  const plan = await planService.getPlanById(planId);
+  if (!plan) throw new Error("Plan not found");
+
+  const target = await getTopupTarget(username);
+  const orderRef = `TOP_${nanoid(14)}`;
+
+  // No customer_id: admin top-ups are not tied to a paying customer
+  await portalDB.query(
+    `INSERT INTO orders (order_ref, customer_id, plan_id, username, password, amount_ugx, status,
+                         order_type, topup_username, parent_order_id, parent_voucher_id)
+     VALUES (?, ?, ?, NULL, NULL, ?, 'PENDING', ?, ?, ?, ?)`,
+    [orderRef, target.customer_id || null, plan.id, amountUgx, ...orderLinkValues(target)]
+  );
+
+  let added;
+  try {
+    added = await addTopup(username, plan.id, { actor: lifecycle.adminActor(admin), orderRef });
+  } catch (e) {
+    await portalDB.query("UPDATE orders SET status = 'FAILED' WHERE order_ref = ? AND status = 'PENDING'", [orderRef]);
+    throw e;
+  }
+
+  await portalDB.query("UPDATE orders SET status = 'PAID', paid_at = NOW() WHERE order_ref = ?", [orderRef]);
+
+  // The top-up is applied; the quota sweep catches up if the sessions could not be updated
+  const { userPlan, ...details } = added;
+  let sessions = { total: 0, acked: 0, sessions: [] };
+  try {
+    sessions = await refreshTopupUser(username, userPlan, { requestedBy: admin.id });
+  } catch (e) {
+    console.error(`Error updating sessions for top-up ${orderRef}:`, e.message);
+  }
+
+  return { orderRef, ...details, ...sessions };
+}
+
+/**
+ * Paid top-ups of a voucher or order, newest first
+ * @param {Object} parent - { voucherId } or { orderId }
+ * @returns {Promise<Array>}
+ */
+async function listTopups({ voucherId = null, orderId = null }) {
+  const [topups] = await portalDB.query(
+    `SELECT o.id, o.order_ref, o.amount_ugx, o.status, o.payment_provider, o.paid_at, o.created_at,
+            p.name AS plan_name
+     FROM orders o
+     LEFT JOIN plans p ON p.id = o.plan_id
+     WHERE o.order_type = 'TOPUP' AND (o.parent_voucher_id = ? OR o.parent_order_id = ?)
+     ORDER BY o.id DESC`,
+    [voucherId, orderId]
+  );
+  return topups;
+}
+
+module.exports = {
+  getTopupTarget,
+  orderLinkValues,
+  activateOrder,
+  finishActivation,
+  adminTopup,
+  listTopups
+};
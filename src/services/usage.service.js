@@ -7,6 +7,7 @@
 
 const radiusDB = require("../config/db.radius");
 const portalDB = require("../config/db.portal");
+const radiusCoa = require("./radius-coa.service");
 
 /**
  * Format bytes to human readable string
@@ -481,42 +482,28 @@ async function getUsageSummary(period = 'today') {
 }
 
 /**
- * Disconnect a user session (by setting expiration to past)
+ * Disconnect a user by sending a RADIUS Disconnect-Request for every
+ * active session to the NAS that owns it.
+ * @param {string} username
+ * @param {Object} [context] - { requestedBy, reason } recorded in coa_requests
+ * @returns {Promise<Object>} { success, message, sessions: [per-session ACK/NAK result] }
  */
-async function disconnectUser(username) {
+async function disconnectUser(username, context = {}) {
   try {
-    // Set expiration to past time to force disconnection
-    const pastDate = new Date(Date.now() - 1000);
-    const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
-    const pad = (n) => String(n).padStart(2, "0");
-    const day = pad(pastDate.getDate());
-    const mon = months[pastDate.getMonth()];
-    const year = pastDate.getFullYear();
-    const hh = pad(pastDate.getHours());
-    const mm = pad(pastDate.getMinutes());
-    const ss = pad(pastDate.getSeconds());
-    const expValue = `${day} ${mon} ${year} ${hh}:${mm}:${ss}`;
-
-    // Update radreply to expire the user
-    await radiusDB.query(
-      `INSERT INTO radreply (username, attribute, op, value)
-       VALUES (?, 'Expiration', ':=', ?)
-       ON DUPLICATE KEY UPDATE value = VALUES(value)`,
-      [username, expValue]
-    );
+    const result = await radiusCoa.disconnectUser(username, context);
 
-    // Also set Session-Timeout to 0
-    await radiusDB.query(
-      `INSERT INTO radreply (username, attribute, op, value)
-       VALUES (?, 'Session-Timeout', ':=', '0')
-       ON DUPLICATE KEY UPDATE value = VALUES(value)`,
-      [username]
-    );
+    if (result.total === 0) {
+      return { success: true, message: `User ${username} has no active sessions`, sessions: [] };
+    }
 
-    return { success: true, message: `User ${username} will be disconnected on next re-auth` };
+    return {
+      success: result.acked === result.total,
+      message: `Disconnected ${result.acked} of ${result.total} session(s) for ${username}`,
+      sessions: result.sessions
+    };
   } catch (e) {
     console.error("Error disconnecting user:", e);
-    return { success: false, error: e.message };
+    return { success: false, error: e.message, sessions: [] };
   }
 }
 
@@ -0,0 +1,263 @@
+/**
+ * Voucher Batch Service
+ * A batch is one run of the voucher generator: plan, quantity, location,
+ * notes, an optional price override and who created it. Its vouchers carry
+ * the batch's batch_ref.
+ *
+ * Batch actions (activate/disable all, extend expiry, delete unused) work
+ * on the batch's vouchers the same way the single-voucher endpoints do, and
+ * never touch vouchers that have been used.
+ */
+
+const portalDB = require("../config/db.portal");
+const radiusService = require("./radius.service");
+const planService = require("./plan.service");
+const lifecycle = require("./voucher-lifecycle.service");
+
+/**
+ * Ensure the voucher_batches table exists
+ */
+async function ensureVoucherBatchTable() {
+  try {
+    await portalDB.query(`
+      CREATE TABLE IF NOT EXISTS voucher_batches (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        batch_ref VARCHAR(32) NOT NULL,
+        plan_id INT NOT NULL,
+        quantity INT NOT NULL DEFAULT 0,
+        location_id INT DEFAULT NULL,
+        notes TEXT DEFAULT NULL,
+        price_ugx INT DEFAULT NULL,
+        expires_at DATETIME DEFAULT NULL,
+        created_by INT DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE INDEX idx_batch_ref (batch_ref),
+        INDEX idx_plan_id (plan_id),
+        INDEX idx_location_id (location_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  } catch (e) {
+    console.error("Error creating voucher_batches table:", e);
+  }
+}
+
+// Initialize table on module load
+ensureVoucherBatchTable();
+
+// A voucher that has been redeemed. A printed card is paid for at the point
+// of sale, so it counts as sold from then on, also once it has expired or
+// been disabled (the lifecycle moves used vouchers on to EXPIRED); imported
+// USED vouchers may have no used_at.
+const SOLD = "(used_at IS NOT NULL OR status = 'USED')";
+
+// Per-batch voucher counts; every voucher is in exactly one of sold,
+// unused, expired and disabled.
+const BATCH_SELECT = `
+  SELECT b.*, p.name AS plan_name, p.price_ugx AS plan_price_ugx,
+         COALESCE(b.price_ugx, p.price_ugx, 0) AS unit_price_ugx,
+         l.name AS location_name, a.full_name AS created_by_name,
+         COALESCE(s.total, 0) AS total,
+         COALESCE(s.sold, 0) AS sold,
+         COALESCE(s.unused, 0) AS unused,
+         COALESCE(s.expired, 0) AS expired,
+         COALESCE(s.disabled, 0) AS disabled,
+         COALESCE(s.sold, 0) * COALESCE(b.price_ugx, p.price_ugx, 0) AS revenue_ugx
+  FROM voucher_batches b
+  LEFT JOIN plans p ON b.plan_id = p.id
+  LEFT JOIN locations l ON b.location_id = l.id
+  LEFT JOIN admin_users a ON b.created_by = a.id
+  LEFT JOIN (
+    SELECT batch_ref,
+           COUNT(*) AS total,
+           COUNT(IF(${SOLD}, 1, NULL)) AS sold,
+           COUNT(IF(NOT ${SOLD} AND status = 'ACTIVE' AND (expires_at IS NULL OR expires_at > NOW()), 1, NULL)) AS unused,
+           COUNT(IF(NOT ${SOLD} AND (status = 'EXPIRED' OR (status = 'ACTIVE' AND expires_at <= NOW())), 1, NULL)) AS expired,
+           COUNT(IF(NOT ${SOLD} AND status = 'DISABLED', 1, NULL)) AS disabled
+    FROM vouchers
+    WHERE batch_ref IS NOT NULL
+    GROUP BY batch_ref
+  ) s ON s.batch_ref = b.batch_ref`;
+
+/**
+ * Record a batch
+ * @param {Object} batch - { batchRef, planId, quantity, locationId, notes, priceUgx, expiresAt, createdBy }
+ * @returns {Promise<number>} batch id
+ */
+async function createBatch({ batchRef, planId, quantity, locationId = null, notes = null, priceUgx = null, expiresAt = null, createdBy = null }) {
+  const [result] = await portalDB.query(
+    `INSERT INTO voucher_batches (batch_ref, plan_id, quantity, location_id, notes, price_ugx, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [batchRef, planId, quantity, locationId, notes, priceUgx, expiresAt, createdBy]
+  );
+  return result.insertId;
+}
+
+/**
+ * List batches with their report, newest first
+ * @param {Object} [filters] - { planId, locationId, page, limit }
+ * @returns {Promise<Object>} { batches, pagination }
+ */
+async function listBatches({ planId = null, locationId = null, page = 1, limit = 20 } = {}) {
+  let whereClause = "WHERE 1=1";
+  const params = [];
+
+  if (planId) {
+    whereClause += " AND b.plan_id = ?";
+    params.push(planId);
+  }
+  if (locationId) {
+    whereClause += " AND b.location_id = ?";
+    params.push(locationId);
+  }
+
+  const [[{ total }]] = await portalDB.query(
+    `SELECT COUNT(*) AS total FROM voucher_batches b ${whereClause}`,
+    params
+  );
+
+  const [batches] = await portalDB.query(
+    `${BATCH_SELECT}
+     ${whereClause}
+     ORDER BY b.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return {
+    batches,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+}
+
+/**
+ * Get one batch with its report
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getBatch(id) {
+  const [[batch]] = await portalDB.query(
+    `${BATCH_SELECT}
+     WHERE b.id = ?`,
+    [id]
+  );
+  return batch || null;
+}
+
+/**
+ * Activate or disable every voucher in a batch that is not used or expired:
+ * DISABLED revokes unused vouchers, ACTIVE reinstates revoked ones that
+ * were never used
+ * @param {Object} batch - from getBatch
+ * @param {string} status - ACTIVE or DISABLED
+ * @param {Object} [actor] - lifecycle event actor
+ * @returns {Promise<number>} vouchers changed
+ */
+async function setBatchStatus(batch, status, actor) {
+  const changes = status === "DISABLED"
+    ? await lifecycle.transitionWhere("batch_ref = ?", [batch.batch_ref], "REVOKED", {
+      from: ["CREATED", "ACTIVATED"],
+      actor,
+      reason: `Batch ${batch.batch_ref} disabled`
+    })
+    : await lifecycle.transitionWhere("batch_ref = ? AND used_at IS NULL", [batch.batch_ref], lifecycle.RESTORE, {
+      from: ["REVOKED"],
+      actor,
+      reason: `Batch ${batch.batch_ref} activated`
+    });
+  return changes.length;
+}
+
+/**
+ * Push back the expiry date of a batch's unused vouchers.
+ * Expiry counts from today for vouchers that already expired, which are
+ * made usable again (with a new RADIUS account if the expiry sweeper
+ * removed theirs). Vouchers without an expiry date are left alone.
+ *
+ * @param {Object} batch - from getBatch
+ * @param {number} days
+ * @param {Object} [actor] - lifecycle event actor
+ * @returns {Promise<number>} vouchers changed
+ */
+async function extendBatchExpiry(batch, days, actor) {
+  const [result] = await portalDB.query(
+    `UPDATE vouchers
+     SET expires_at = DATE_ADD(GREATEST(expires_at, NOW()), INTERVAL ? DAY)
+     WHERE batch_ref = ? AND expires_at IS NOT NULL AND NOT ${SOLD}`,
+    [days, batch.batch_ref]
+  );
+
+  const changes = await lifecycle.transitionWhere("batch_ref = ? AND used_at IS NULL", [batch.batch_ref], lifecycle.RESTORE, {
+    from: ["EXPIRED"],
+    actor,
+    reason: `Batch expiry extended by ${days} day(s)`
+  });
+
+  const removed = changes
+    .filter((c) => c.voucher.radius_removed_at && c.voucher.activated_at)
+    .map((c) => c.voucher.code);
+  if (removed.length) {
+    await planService.activatePlanVouchersBulk(removed, await planService.getPlanById(batch.plan_id));
+    await lifecycle.transitionWhere("code IN (?)", [removed], "ACTIVATED", {
+      from: ["CREATED"],
+      actor,
+      reason: "Activated in RADIUS"
+    });
+  }
+
+  await portalDB.query(
+    `UPDATE voucher_batches
+     SET expires_at = DATE_ADD(GREATEST(expires_at, NOW()), INTERVAL ? DAY)
+     WHERE id = ? AND expires_at IS NOT NULL`,
+    [days, batch.id]
+  );
+
+  return result.affectedRows;
+}
+
+/**
+ * Delete a batch's vouchers that were never used, including any RADIUS
+ * account created for them. The batch record is removed once it has no
+ * vouchers left.
+ *
+ * @param {Object} batch - from getBatch
+ * @returns {Promise<Object>} { deleted, batchDeleted }
+ */
+async function deleteUnusedVouchers(batch) {
+  const [vouchers] = await portalDB.query(
+    `SELECT id, code FROM vouchers WHERE batch_ref = ? AND NOT ${SOLD}`,
+    [batch.batch_ref]
+  );
+
+  for (const voucher of vouchers) {
+    // Vouchers generated with "Activate in RADIUS" already have an account
+    await radiusService.deleteVoucher(voucher.code);
+  }
+
+  if (vouchers.length) {
+    await portalDB.query(
+      `DELETE FROM vouchers WHERE id IN (?) AND NOT ${SOLD}`,
+      [vouchers.map((v) => v.id)]
+    );
+  }
+
+  const [[{ remaining }]] = await portalDB.query(
+    "SELECT COUNT(*) AS remaining FROM vouchers WHERE batch_ref = ?",
+    [batch.batch_ref]
+  );
+  if (remaining === 0) {
+    await portalDB.query("DELETE FROM voucher_batches WHERE id = ?", [batch.id]);
+  }
+
+  return { deleted: vouchers.length, batchDeleted: remaining === 0 };
+}
+
+module.exports = {
+  ensureVoucherBatchTable,
+  createBatch,
+  listBatches,
+  getBatch,
+  setBatchStatus,
+  extendBatchExpiry,
+  deleteUnusedVouchers
+};
@@ -0,0 +1,233 @@
+/**
+ * Voucher Code Service
+ * Generates voucher codes (used as both RADIUS username and password) from
+ * crypto randomness, in a format configured per plan:
+ *
+ *   code_length      - random characters, excluding prefix and check digit
+ *   code_alphabet    - numeric, or alphanumeric without look-alike characters
+ *   code_prefix      - optional fixed prefix (e.g. "BW")
+ *   code_check_digit - append a Luhn mod N check character so typos can be
+ *                      rejected before hitting the database
+ *
+ * Every candidate is checked against vouchers, orders and radcheck and
+ * regenerated on collision.
+ */
+
+const crypto = require("crypto");
+const portalDB = require("../config/db.portal");
+const radiusDB = require("../config/db.radius");
+
+const ALPHABETS = {
+  numeric: "0123456789",
+  // No 0/O, 1/I/L - easy to misread on printed vouchers
+  alphanumeric: "ABCDEFGHJKMNPQRSTUVWXYZ23456789"
+};
+
+const DEFAULT_FORMAT = {
+  length: 8,
+  alphabet: "numeric",
+  prefix: "",
+  checkDigit: false
+};
+
+const MIN_LENGTH = 6;
+const MAX_LENGTH = 16;
+const MAX_PREFIX_LENGTH = 8;
+
+// Attempts per code before giving up; a collision streak this long means
+// the format's code space is nearly used up
+const MAX_ATTEMPTS = 10;
+
+// Any code this service can produce (and the legacy 5-digit codes)
+const VOUCHER_CODE_PATTERN = /^[A-Z0-9]{5,32}$/;
+
+/**
+ * Normalize user input: trim, uppercase, drop spaces and dashes
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCode(code) {
+  return String(code || "").toUpperCase().replace(/[\s-]/g, "");
+}
+
+/**
+ * Build a code format from a plans row, applying defaults and limits
+ * @param {Object} [plan] - plans row (code_length, code_alphabet, code_prefix, code_check_digit)
+ * @returns {Object} { length, alphabet, prefix, checkDigit }
+ */
+function formatFromPlan(plan = {}) {
+  const length = parseInt(plan.code_length) || DEFAULT_FORMAT.length;
+  const alphabet = ALPHABETS[plan.code_alphabet] ? plan.code_alphabet : DEFAULT_FORMAT.alphabet;
+  const prefix = normalizeCode(plan.code_prefix).replace(/[^A-Z0-9]/g, "").slice(0, MAX_PREFIX_LENGTH);
+
+  return {
+    length: Math.min(MAX_LENGTH, Math.max(MIN_LENGTH, length)),
+    alphabet,
+    prefix,
+    checkDigit: !!Number(plan.code_check_digit)
+  };
+}
+
+/**
+ * Luhn mod N check character over the given characters
+ * @param {string} chars - characters from the alphabet
+ * @param {string} alphabet - alphabet string
+ * @returns {string}
+ */
+function checkCharacter(chars, alphabet) {
+  const n = alphabet.length;
+  let sum = 0;
+  let factor = 2;
+
+  for (let i = chars.length - 1; i >= 0; i--) {
+    const addend = factor * alphabet.indexOf(chars[i]);
+    sum += Math.floor(addend / n) + (addend % n);
+    factor = factor === 2 ? 1 : 2;
+  }
+
+  return alphabet[(n - (sum % n)) % n];
+}
+
+/**
+ * Check a code's check character (codes without one always pass)
+ * @param {string} code
+ * @param {Object} format - from formatFromPlan
+ * @returns {boolean}
+ */
+function hasValidCheckDigit(code, format) {
+  if (!format.checkDigit) return true;
+
+  const alphabet = ALPHABETS[format.alphabet];
+  const body = normalizeCode(code).slice(format.prefix.length);
+  if (body.length < 2 || [...body].some((c) => !alphabet.includes(c))) return false;
+
+  return checkCharacter(body.slice(0, -1), alphabet) === body.slice(-1);
+}
+
+/**
+ * Whether a code has the shape of a check-digit plan's codes but a wrong
+ * check character, i.e. it was almost certainly mistyped. Codes that match
+ * no check-digit format are not judged.
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function isMistyped(code) {
+  const value = normalizeCode(code);
+  const [plans] = await portalDB.query(
+    "SELECT code_length, code_alphabet, code_prefix, code_check_digit FROM plans WHERE code_check_digit = 1"
+  );
+
+  let shapeMatched = false;
+  for (const plan of plans) {
+    const format = formatFromPlan(plan);
+    const alphabet = ALPHABETS[format.alphabet];
+    const body = value.slice(format.prefix.length);
+
+    if (!value.startsWith(format.prefix) || body.length !== format.length + 1) continue;
+    if ([...body].some((c) => !alphabet.includes(c))) continue;
+
+    if (hasValidCheckDigit(value, format)) return false;
+    shapeMatched = true;
+  }
+
+  return shapeMatched;
+}
+
+/**
+ * Build one random code in a format (no uniqueness check)
+ * @param {Object} format - from formatFromPlan
+ * @returns {string}
+ */
+function randomCode(format) {
+  const alphabet = ALPHABETS[format.alphabet];
+  let body = "";
+  for (let i = 0; i < format.length; i++) {
+    body += alphabet[crypto.randomInt(alphabet.length)];
+  }
+
+  if (format.checkDigit) body += checkCharacter(body, alphabet);
+  return format.prefix + body;
+}
+
+/**
+ * Which of the given codes are already taken as a voucher, order or
+ * RADIUS username
+ * @param {string[]} codes
+ * @returns {Promise<Set<string>>}
+ */
+async function findTakenCodes(codes) {
+  if (!codes.length) return new Set();
+
+  const [vouchers] = await portalDB.query(
+    "SELECT code FROM vouchers WHERE code IN (?)",
+    [codes]
+  );
+  const [orders] = await portalDB.query(
+    "SELECT username AS code FROM orders WHERE username IN (?)",
+    [codes]
+  );
+  const [radius] = await radiusDB.query(
+    "SELECT DISTINCT username AS code FROM radcheck WHERE username IN (?)",
+    [codes]
+  );
+
+  return new Set([...vouchers, ...orders, ...radius].map((r) => String(r.code).toUpperCase()));
+}
+
+/**
+ * Generate unique voucher codes for a plan
+ * @param {Object} plan - plans row (format columns optional)
+ * @param {number} [count=1]
+ * @returns {Promise<string[]>}
+ */
+async function generateCodes(plan, count = 1) {
+  const format = formatFromPlan(plan);
+  const codes = new Set();
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS && codes.size < count; attempt++) {
+    const candidates = new Set();
+    while (candidates.size < count - codes.size) {
+      const code = randomCode(format);
+      if (!codes.has(code)) candidates.add(code);
+    }
+
+    const taken = await findTakenCodes([...candidates]);
+    for (const code of candidates) {
+      if (!taken.has(code)) codes.add(code);
+    }
+  }
+
+  if (codes.size < count) {
+    throw new Error("Could not generate unique voucher codes; increase the plan's code length");
+  }
+
+  return [...codes];
+}
+
+/**
+ * Generate one unique voucher code for a plan
+ * @param {Object} plan
+ * @returns {Promise<string>}
+ */
+async function generateCode(plan) {
+  const [code] = await generateCodes(plan, 1);
+  return code;
+}
+
+module.exports = {
+  ALPHABETS,
+  DEFAULT_FORMAT,
+  MIN_LENGTH,
+  MAX_LENGTH,
+  MAX_PREFIX_LENGTH,
+  VOUCHER_CODE_PATTERN,
+  normalizeCode,
+  formatFromPlan,
+  checkCharacter,
+  hasValidCheckDigit,
+  isMistyped,
+  randomCode,
+  findTakenCodes,
+  generateCodes,
+  generateCode
+};
@@ -0,0 +1,442 @@
+/**
+ * Voucher Import Service
+ * Imports vouchers produced elsewhere (pre-printed card stock, another
+ * hotspot system) from a CSV or XLSX file.
+ *
+ * The first row holds column headers. Columns are mapped by index to
+ * code, password, plan, expiry and status; a file is always checked in
+ * full (validateRows) before anything is written, so the admin page can
+ * show a dry-run preview with the errors per row.
+ *
+ * Codes are stored normalized (uppercase, no spaces or dashes) because the
+ * portal normalizes what customers type the same way.
+ */
+
+const ExcelJS = require("exceljs");
+const portalDB = require("../config/db.portal");
+const planService = require("./plan.service");
+const voucherCodes = require("./voucher-code.service");
+const lifecycle = require("./voucher-lifecycle.service");
+const { nanoid } = require("nanoid");
+
+// Largest file accepted in one import (rows, excluding the header)
+const MAX_IMPORT_ROWS = 5000;
+
+// Rows per multi-row INSERT
+const INSERT_CHUNK_SIZE = 500;
+
+const IMPORT_FIELDS = ["code", "password", "plan", "expiry", "status"];
+
+// Header names recognized by suggestMapping (lowercase, single spaces)
+const HEADER_ALIASES = {
+  code: ["code", "voucher", "voucher code", "voucher no", "pin", "username", "user"],
+  password: ["password", "pass", "secret"],
+  plan: ["plan", "plan code", "plan name", "package", "profile"],
+  expiry: ["expiry", "expires", "expires at", "expiry date", "expiration", "valid until"],
+  status: ["status", "state"]
+};
+
+// Status values from other systems, mapped to ours
+const STATUS_VALUES = {
+  ACTIVE: ["active", "unused", "new", "valid", "available"],
+  USED: ["used", "sold", "redeemed"],
+  EXPIRED: ["expired"],
+  DISABLED: ["disabled", "inactive", "blocked", "suspended"]
+};
+
+/**
+ * Split CSV text into rows (quoted fields, "" escapes, CRLF).
+ * The delimiter (comma, semicolon or tab) is taken from the header line.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, "");
+  const headerLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [",", ";", "\t"]
+    .map((d) => [d, headerLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Plain value of an ExcelJS cell (dates stay Date objects)
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value;
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((t) => t.text).join("");
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellValue(value.result);
+    return "";
+  }
+  return String(value);
+}
+
+/**
+ * Read the first worksheet of an XLSX file into rows
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<Array>>}
+ */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: true }, (row) => {
+    const values = [];
+    for (let col = 1; col <= sheet.columnCount; col++) {
+      values.push(cellValue(row.getCell(col).value));
+    }
+    rows.push(values);
+  });
+  return rows;
+}
+
+/**
+ * Parse an uploaded import file
+ * @param {Buffer} buffer
+ * @param {string} filename - used to tell XLSX from CSV
+ * @returns {Promise<Object>} { headers, rows } - rows without the header row, blank rows dropped
+ */
+async function parseFile(buffer, filename = "") {
+  const isXlsx = /\.xlsx$/i.test(filename) || buffer.slice(0, 2).toString() === "PK";
+  const all = isXlsx ? await parseXlsx(buffer) : parseCsv(buffer.toString("utf8"));
+
+  const [headerRow = [], ...rows] = all;
+  const headers = headerRow.map((h) => String(h).trim());
+
+  // Keep spreadsheet row numbers (header is row 1) for error messages
+  const numbered = rows
+    .map((values, index) => ({ line: index + 2, values }))
+    .filter(({ values }) => values.some((v) => String(v).trim() !== ""));
+
+  if (numbered.length > MAX_IMPORT_ROWS) {
+    throw new Error(`A file can have at most ${MAX_IMPORT_ROWS} vouchers; split it into smaller files`);
+  }
+
+  return { headers, rows: numbered };
+}
+
+/**
+ * Guess which column holds each field from the header names
+ * @param {string[]} headers
+ * @returns {Object} { code, password, plan, expiry, status } - column index or null
+ */
+function suggestMapping(headers) {
+  const names = headers.map((h) => h.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim());
+  const mapping = {};
+
+  for (const field of IMPORT_FIELDS) {
+    const index = names.findIndex((name) => HEADER_ALIASES[field].includes(name));
+    mapping[field] = index >= 0 ? index : null;
+  }
+  return mapping;
+}
+
+/**
+ * A local date from its parts, or undefined for one that does not exist
+ * (31/13/2026, 2026-02-30, 25:00) instead of letting Date roll it over
+ */
+function calendarDate(year, month, day, hour, minute, second) {
+  if (Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) return undefined;
+  const date = new Date(year, month - 1, day, hour, minute, second);
+  return date.getMonth() === month - 1 && date.getDate() === Number(day) ? date : undefined;
+}
+
+/**
+ * Parse an expiry cell: Date, YYYY-MM-DD[ HH:MM[:SS]], ISO 8601 or DD/MM/YYYY
+ * @returns {Date|null|undefined} null when empty, undefined when unreadable
+ */
+function parseExpiry(value) {
+  if (value instanceof Date) return isNaN(value) ? undefined : value;
+
+  const text = String(value).trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (match) {
+    const [, day, month, year, hour = 23, minute = 59, second = 59] = match;
+    return calendarDate(year, month, day, hour, minute, second);
+  }
+
+  match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    // A date without a time is valid until the end of that day
+    return calendarDate(match[1], match[2], match[3], 23, 59, 59);
+  }
+
+  const date = new Date(text.replace(" ", "T"));
+  return isNaN(date) ? undefined : date;
+}
+
+/**
+ * Map a status cell to ACTIVE/USED/EXPIRED/DISABLED
+ * @returns {string|null|undefined} null when empty, undefined when unknown
+ */
+function parseStatus(value) {
+  const text = String(value).trim().toLowerCase();
+  if (!text) return null;
+
+  return Object.keys(STATUS_VALUES).find((status) => STATUS_VALUES[status].includes(text));
+}
+
+/**
+ * Which of the given codes already exist as a voucher, an order username
+ * or a RADIUS username
+ * @param {string[]} codes
+ * @returns {Promise<Set<string>>}
+ */
+async function findExistingCodes(codes) {
+  const existing = new Set();
+
+  for (let i = 0; i < codes.length; i += 1000) {
+    const taken = await voucherCodes.findTakenCodes(codes.slice(i, i + 1000));
+    taken.forEach((code) => existing.add(code));
+  }
+
+  return existing;
+}
+
+/**
+ * Check every row of a parsed file against the mapping
+ *
+ * @param {Object} options
+ * @param {Array} options.rows - from parseFile
+ * @param {Object} options.mapping - field => column index (code is required)
+ * @param {number|null} [options.defaultPlanId] - plan for rows without a plan column/value
+ * @returns {Promise<Array<Object>>} one item per row:
+ *   { line, code, password, plan_id, plan_name, expires_at, status, errors, warnings }
+ */
+async function validateRows({ rows, mapping, defaultPlanId = null }) {
+  const isMapped = (field) => mapping[field] !== null && mapping[field] !== undefined && mapping[field] !== "";
+  if (!isMapped("code")) {
+    throw new Error("Choose the column that holds the voucher code");
+  }
+
+  const [plans] = await portalDB.query("SELECT id, code, name FROM plans");
+  const plansByKey = new Map();
+  for (const plan of plans) {
+    // Plan code first, then name (this portal's own CSV export has names)
+    plansByKey.set(String(plan.name).trim().toLowerCase(), plan);
+  }
+  for (const plan of plans) {
+    if (plan.code) plansByKey.set(String(plan.code).trim().toLowerCase(), plan);
+  }
+  const defaultPlan = defaultPlanId ? plans.find((p) => p.id === Number(defaultPlanId)) : null;
+  if (defaultPlanId && !defaultPlan) {
+    throw new Error("Default plan not found");
+  }
+
+  const cell = (values, field) => (isMapped(field) ? values[mapping[field]] ?? "" : "");
+
+  const seen = new Set();
+  const now = new Date();
+  const items = rows.map(({ line, values }) => {
+    const errors = [];
+    const warnings = [];
+
+    const rawCode = String(cell(values, "code")).trim();
+    const code = voucherCodes.normalizeCode(rawCode);
+    if (!code) {
+      errors.push("Code is empty");
+    } else if (!voucherCodes.VOUCHER_CODE_PATTERN.test(code)) {
+      errors.push("Code must be 5-32 letters or digits");
+    } else if (seen.has(code)) {
+      errors.push("Duplicate code in this file");
+    } else if (code !== rawCode) {
+      warnings.push(`Code stored as ${code}`);
+    }
+    seen.add(code);
+
+    const password = String(cell(values, "password")).trim() || code;
+    if (password.length > 64) errors.push("Password is longer than 64 characters");
+
+    const planValue = String(cell(values, "plan")).trim();
+    const plan = planValue ? plansByKey.get(planValue.toLowerCase()) : defaultPlan;
+    if (!plan) {
+      errors.push(planValue ? `Unknown plan "${planValue}"` : "No plan (map a plan column or choose a default plan)");
+    }
+
+    const expiresAt = parseExpiry(cell(values, "expiry"));
+    if (expiresAt === undefined) errors.push(`Unreadable expiry "${cell(values, "expiry")}"`);
+
+    const statusValue = cell(values, "status");
+    let status = parseStatus(statusValue);
+    if (status === undefined) {
+      errors.push(`Unknown status "${String(statusValue).trim()}"`);
+    } else if (status === null) {
+      status = "ACTIVE";
+    }
+    if (status === "ACTIVE" && expiresAt && expiresAt <= now) {
+      status = "EXPIRED";
+      warnings.push("Already past its expiry, imported as EXPIRED");
+    }
+
+    return {
+      line,
+      code,
+      password,
+      plan_id: plan ? plan.id : null,
+      plan_name: plan ? plan.name : null,
+      expires_at: expiresAt || null,
+      status: status || null,
+      errors,
+      warnings
+    };
+  });
+
+  const existing = await findExistingCodes(items.filter((i) => !i.errors.length).map((i) => i.code));
+  for (const item of items) {
+    if (existing.has(item.code)) item.errors.push("Code already exists (voucher, order or RADIUS user)");
+  }
+
+  return items;
+}
+
+/**
+ * Store validated rows (rows with errors must be filtered out first).
+ * All vouchers are inserted in one transaction, with one batch per plan.
+ * With activateRadius, ACTIVE vouchers then get a RADIUS account on their
+ * plan through activatePlanVouchersBulk, a chunk at a time.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.items - from validateRows, without errors
+ * @param {boolean} [options.activateRadius]
+ * @param {string} [options.filename] - recorded in the batch notes
+ * @param {number|null} [options.createdBy]
+ * @param {Object} [options.actor] - lifecycle event actor
+ * @returns {Promise<Object>} { imported, activated, activationErrors, batches }
+ */
+async function importVouchers({ items, activateRadius = false, filename = "", createdBy = null, actor = lifecycle.SYSTEM_ACTOR }) {
+  const byPlan = new Map();
+  for (const item of items) {
+    if (!byPlan.has(item.plan_id)) byPlan.set(item.plan_id, []);
+    byPlan.get(item.plan_id).push(item);
+  }
+
+  const batches = [];
+  const conn = await portalDB.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    for (const [planId, planItems] of byPlan) {
+      const batchRef = `BATCH_${nanoid(10)}`;
+      await conn.query(
+        `INSERT INTO voucher_batches (batch_ref, plan_id, quantity, notes, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [batchRef, planId, planItems.length, `Imported from ${filename || "file"}`.slice(0, 1000), createdBy]
+      );
+
+      for (let i = 0; i < planItems.length; i += INSERT_CHUNK_SIZE) {
+        await conn.query(
+          `INSERT INTO vouchers (code, password, plan_id, status, state, used_at, created_by, expires_at, batch_ref) VALUES ?`,
+          [planItems.slice(i, i + INSERT_CHUNK_SIZE).map((item) => [
+            item.code, item.password, planId, item.status, lifecycle.STATE_FOR_STATUS[item.status],
+            item.status === "USED" ? new Date() : null, createdBy, item.expires_at, batchRef
+          ])]
+        );
+      }
+      await lifecycle.recordCreated(planItems.map((item) => item.code), {
+        conn,
+        actor,
+        reason: `Imported from ${filename || "file"}`
+      });
+
+      batches.push({ batch_ref: batchRef, plan_id: planId, plan_name: planItems[0].plan_name, count: planItems.length });
+    }
+
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+
+  let activated = 0;
+  const activationErrors = [];
+  if (activateRadius) {
+    for (const [planId, planItems] of byPlan) {
+      const plan = await planService.getPlanById(planId);
+
+      const codes = [];
+      const activeItems = planItems.filter((i) => i.status === "ACTIVE");
+      for (let i = 0; i < activeItems.length; i += INSERT_CHUNK_SIZE) {
+        const chunk = activeItems.slice(i, i + INSERT_CHUNK_SIZE);
+        try {
+          await planService.activatePlanVouchersBulk(
+            chunk.map((item) => ({ code: item.code, password: item.password, expiresAt: item.expires_at })),
+            plan
+          );
+          codes.push(...chunk.map((item) => item.code));
+        } catch (e) {
+          console.error("RADIUS activation error for imported vouchers:", e.message);
+          activationErrors.push(...chunk.map((item) => ({ line: item.line, code: item.code, message: e.message })));
+        }
+      }
+
+      if (codes.length) {
+        await lifecycle.transitionWhere("code IN (?)", [codes], "ACTIVATED", { actor, reason: "Activated in RADIUS" });
+        activated += codes.length;
+      }
+    }
+  }
+
+  return { imported: items.length, activated, activationErrors, batches };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  parseCsv,
+  parseFile,
+  suggestMapping,
+  parseExpiry,
+  parseStatus,
+  validateRows,
+  importVouchers
+};
@@ -0,0 +1,365 @@
+/**
+ * Voucher Job Service
+ * Generates large voucher batches in the background.
+ *
+ * A job inserts its batch in chunks: each chunk's vouchers go into
+ * `vouchers` with one multi-row INSERT in a transaction, and (with
+ * "Activate in RADIUS") into radcheck/radreply/radusergroup the same way.
+ * Progress is the number of vouchers already stored for the job's
+ * batch_ref, so a job interrupted by a restart picks up where it stopped
+ * (resumeJobs on startup). Vouchers whose RADIUS chunk did not commit are
+ * activated in a final pass over the batch.
+ *
+ * Jobs run one at a time in this process. With several app instances
+ * (e.g. pm2 cluster) only one of them should call resumeJobs.
+ */
+
+const portalDB = require("../config/db.portal");
+const radiusDB = require("../config/db.radius");
+const planService = require("./plan.service");
+const voucherCodes = require("./voucher-code.service");
+const voucherBatches = require("./voucher-batch.service");
+const lifecycle = require("./voucher-lifecycle.service");
+
+// Vouchers per transaction
+const CHUNK_SIZE = 500;
+
+// Larger batches are generated by a job instead of in the request
+const SYNC_LIMIT = 100;
+
+// Largest batch a single job may generate
+const MAX_JOB_QUANTITY = 20000;
+
+/**
+ * Ensure the voucher_jobs table exists
+ */
+async function ensureVoucherJobTable() {
+  try {
+    await portalDB.query(`
+      CREATE TABLE IF NOT EXISTS voucher_jobs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        batch_ref VARCHAR(32) NOT NULL,
+        plan_id INT NOT NULL,
+        quantity INT NOT NULL,
+        generated INT NOT NULL DEFAULT 0,
+        activated INT NOT NULL DEFAULT 0,
+        status ENUM('queued', 'running', 'completed', 'failed') NOT NULL DEFAULT 'queued',
+        initial_status ENUM('ACTIVE', 'DISABLED') NOT NULL DEFAULT 'ACTIVE',
+        activate_radius TINYINT(1) NOT NULL DEFAULT 0,
+        expires_at DATETIME DEFAULT NULL,
+        error VARCHAR(500) DEFAULT NULL,
+        created_by INT DEFAULT NULL,
+        started_at TIMESTAMP NULL,
+        finished_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_status (status),
+        INDEX idx_batch_ref (batch_ref)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  } catch (e) {
+    console.error("Error creating voucher_jobs table:", e);
+  }
+}
+
+// Initialize table on module load
+ensureVoucherJobTable();
+
+// Whether this process is working through the queue
+let runnerActive = false;
+
+/**
+ * Queue a background generation job, recording its batch first
+ *
+ * @param {Object} options
+ * @param {Object} options.plan - plans row (with code format columns)
+ * @param {number} options.quantity
+ * @param {string} options.batchRef
+ * @param {string|null} [options.expiresAt] - Voucher expiry (DATETIME)
+ * @param {boolean} [options.activateRadius]
+ * @param {string} [options.initialStatus] - ACTIVE or DISABLED
+ * @param {Object} [options.batch] - { locationId, notes, priceUgx } for the batch record
+ * @param {number|null} [options.createdBy]
+ * @returns {Promise<Object>} { jobId, batchId }
+ */
+async function createJob({ plan, quantity, batchRef, expiresAt = null, activateRadius = false, initialStatus = "ACTIVE", batch = {}, createdBy = null }) {
+  if (quantity > MAX_JOB_QUANTITY) {
+    throw new Error(`A batch can have at most ${MAX_JOB_QUANTITY} vouchers`);
+  }
+
+  const batchId = await voucherBatches.createBatch({
+    batchRef,
+    planId: plan.id,
+    quantity,
+    expiresAt,
+    createdBy,
+    ...batch
+  });
+
+  const [result] = await portalDB.query(
+    `INSERT INTO voucher_jobs (batch_ref, plan_id, quantity, initial_status, activate_radius, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [batchRef, plan.id, quantity, initialStatus, activateRadius ? 1 : 0, expiresAt, createdBy]
+  );
+
+  runQueue();
+  return { jobId: result.insertId, batchId };
+}
+
+/**
+ * Get a job with its batch id
+ * @param {number} id
+ * @returns {Promise<Object|null>}
+ */
+async function getJob(id) {
+  const [[job]] = await portalDB.query(
+    `SELECT j.*, b.id AS batch_id, p.name AS plan_name
+     FROM voucher_jobs j
+     LEFT JOIN voucher_batches b ON b.batch_ref = j.batch_ref
+     LEFT JOIN plans p ON p.id = j.plan_id
+     WHERE j.id = ?`,
+    [id]
+  );
+  return job || null;
+}
+
+/**
+ * Recent jobs, unfinished first
+ * @param {number} [limit=10]
+ * @returns {Promise<Array>}
+ */
+async function listJobs(limit = 10) {
+  const [jobs] = await portalDB.query(
+    `SELECT j.*, b.id AS batch_id, p.name AS plan_name
+     FROM voucher_jobs j
+     LEFT JOIN voucher_batches b ON b.batch_ref = j.batch_ref
+     LEFT JOIN plans p ON p.id = j.plan_id
+     ORDER BY j.status IN ('queued', 'running') DESC, j.id DESC
+     LIMIT ?`,
+    [limit]
+  );
+  return jobs;
+}
+
+/**
+ * Number of vouchers already stored for a batch
+ */
+async function countBatchVouchers(batchRef) {
+  const [[{ total }]] = await portalDB.query(
+    "SELECT COUNT(*) AS total FROM vouchers WHERE batch_ref = ?",
+    [batchRef]
+  );
+  return total;
+}
+
+// Lifecycle event actor for a job's vouchers
+function jobActor(job) {
+  return job.created_by ? { type: "admin", id: job.created_by, name: null } : lifecycle.SYSTEM_ACTOR;
+}
+
+/**
+ * Insert one chunk of vouchers and the job's progress in one transaction
+ */
+async function insertChunk(job, codes, generated) {
+  const conn = await portalDB.getConnection();
+  try {
+    await conn.beginTransaction();
+
+    await conn.query(
+      `INSERT INTO vouchers (code, password, plan_id, status, created_by, expires_at, batch_ref) VALUES ?`,
+      [codes.map((code) => [code, code, job.plan_id, "ACTIVE", job.created_by, job.expires_at, job.batch_ref])]
+    );
+    await lifecycle.recordCreated(codes, { conn, actor: jobActor(job), reason: `Generated in batch ${job.batch_ref}` });
+    await conn.query(
+      "UPDATE voucher_jobs SET generated = ? WHERE id = ?",
+      [generated, job.id]
+    );
+
+    await conn.commit();
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Activate the batch's vouchers that have no RADIUS account yet, e.g.
+ * because the process stopped between a chunk's portal and RADIUS commits
+ * @returns {Promise<number>} vouchers activated
+ */
+async function activateMissing(job, plan) {
+  let activated = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const [rows] = await portalDB.query(
+      "SELECT id, code FROM vouchers WHERE batch_ref = ? AND id > ? ORDER BY id LIMIT ?",
+      [job.batch_ref, lastId, CHUNK_SIZE]
+    );
+    if (!rows.length) break;
+    lastId = rows[rows.length - 1].id;
+
+    const codes = rows.map((r) => r.code);
+    const [existing] = await radiusDB.query(
+      "SELECT username FROM radcheck WHERE username IN (?) AND attribute = 'Cleartext-Password'",
+      [codes]
+    );
+    const active = new Set(existing.map((r) => r.username));
+    const missing = codes.filter((code) => !active.has(code));
+
+    if (missing.length) {
+      await planService.activatePlanVouchersBulk(missing, plan);
+      await markActivated(job, missing);
+      activated += missing.length;
+    }
+  }
+
+  return activated;
+}
+
+/**
+ * Record vouchers as ACTIVATED once their RADIUS accounts exist
+ */
+async function markActivated(job, codes) {
+  await lifecycle.transitionWhere("code IN (?)", [codes], "ACTIVATED", {
+    from: ["CREATED"],
+    actor: jobActor(job),
+    reason: "Activated in RADIUS"
+  });
+}
+
+/**
+ * Revoke the batch's vouchers when the job generates them disabled
+ */
+async function revokeGenerated(job, where, params) {
+  if (job.initial_status !== "DISABLED") return;
+
+  await lifecycle.transitionWhere(where, params, "REVOKED", {
+    from: ["CREATED", "ACTIVATED"],
+    actor: jobActor(job),
+    reason: "Generated disabled"
+  });
+}
+
+/**
+ * Run one job to completion, continuing from its stored vouchers
+ */
+async function processJob(job) {
+  const plan = await planService.getPlanById(job.plan_id);
+  if (!plan) throw new Error("Plan not found");
+
+  let generated = await countBatchVouchers(job.batch_ref);
+  let activated = job.activated;
+
+  while (generated < job.quantity) {
+    const count = Math.min(CHUNK_SIZE, job.quantity - generated);
+    const codes = await voucherCodes.generateCodes(plan, count);
+
+    generated += codes.length;
+    await insertChunk(job, codes, generated);
+
+    if (job.activate_radius) {
+      await planService.activatePlanVouchersBulk(codes, plan);
+      await markActivated(job, codes);
+      activated += codes.length;
+      await portalDB.query("UPDATE voucher_jobs SET activated = ? WHERE id = ?", [activated, job.id]);
+    }
+    await revokeGenerated(job, "code IN (?)", [codes]);
+  }
+
+  if (job.activate_radius) {
+    // Chunks stored before a restart may not have reached RADIUS
+    await activateMissing(job, plan);
+    activated = generated;
+  }
+  await revokeGenerated(job, "batch_ref = ?", [job.batch_ref]);
+
+  await portalDB.query(
+    `UPDATE voucher_jobs
+     SET status = 'completed', generated = ?, activated = ?, error = NULL, finished_at = NOW()
+     WHERE id = ?`,
+    [generated, activated, job.id]
+  );
+}
+
+/**
+ * Work through queued jobs one at a time (no-op if already running)
+ */
+async function runQueue() {
+  if (runnerActive) return;
+  runnerActive = true;
+
+  try {
+    for (;;) {
+      const [[job]] = await portalDB.query(
+        "SELECT * FROM voucher_jobs WHERE status = 'queued' ORDER BY id LIMIT 1"
+      );
+      if (!job) break;
+
+      await portalDB.query(
+        "UPDATE voucher_jobs SET status = 'running', started_at = COALESCE(started_at, NOW()) WHERE id = ?",
+        [job.id]
+      );
+
+      try {
+        await processJob(job);
+        console.log(`Voucher job ${job.id} completed: ${job.quantity} voucher(s) in ${job.batch_ref}`);
+      } catch (e) {
+        console.error(`Voucher job ${job.id} failed:`, e);
+        await portalDB.query(
+          "UPDATE voucher_jobs SET status = 'failed', error = ?, finished_at = NOW() WHERE id = ?",
+          [String(e.message).slice(0, 500), job.id]
+        );
+      }
+    }
+  } catch (e) {
+    console.error("Voucher job queue error:", e);
+  } finally {
+    runnerActive = false;
+  }
+}
+
+/**
+ * Requeue a failed job; it continues from the vouchers already stored
+ * @param {number} id
+ * @returns {Promise<boolean>} false if the job is not in a failed state
+ */
+async function retryJob(id) {
+  const [result] = await portalDB.query(
+    "UPDATE voucher_jobs SET status = 'queued', error = NULL, finished_at = NULL WHERE id = ? AND status = 'failed'",
+    [id]
+  );
+  if (!result.affectedRows) return false;
+
+  runQueue();
+  return true;
+}
+
+/**
+ * Requeue jobs that were running when the process stopped and start the
+ * queue (run on startup)
+ * @returns {Promise<number>} jobs resumed
+ */
+async function resumeJobs() {
+  const [result] = await portalDB.query(
+    "UPDATE voucher_jobs SET status = 'queued' WHERE status = 'running'"
+  );
+
+  runQueue();
+  return result.affectedRows;
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  SYNC_LIMIT,
+  MAX_JOB_QUANTITY,
+  ensureVoucherJobTable,
+  createJob,
+  getJob,
+  listJobs,
+  retryJob,
+  resumeJobs,
+  runQueue
+};
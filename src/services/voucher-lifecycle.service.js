@@ -0,0 +1,366 @@
+/**
+ * Voucher Lifecycle Service
+ * Owns the state of every voucher (vouchers.state) and records each change
+ * in voucher_events with who made it and why.
+ *
+ *   CREATED   - stored, no RADIUS account yet
+ *   ACTIVATED - RADIUS account created, not used yet
+ *   IN_USE    - redeemed by a customer
+ *   EXHAUSTED - airtime or data budget used up
+ *   EXPIRED   - expiry date (unused) or validity window (used) has passed
+ *   REVOKED   - disabled by an admin
+ *
+ * vouchers.status (ACTIVE/USED/EXPIRED/DISABLED) is kept in step for the
+ * existing lists, filters and reports; only this service writes either.
+ * Vouchers that leave REVOKED or EXPIRED go back to where they were:
+ * IN_USE if ever used, ACTIVATED if ever activated, otherwise CREATED.
+ * Expired vouchers whose RADIUS account was removed (radius_removed_at)
+ * go back to CREATED.
+ */
+
+const portalDB = require("../config/db.portal");
+const radiusService = require("./radius.service");
+const radiusCoa = require("./radius-coa.service");
+
+const STATES = ["CREATED", "ACTIVATED", "IN_USE", "EXHAUSTED", "EXPIRED", "REVOKED"];
+
+// Allowed transitions (from => to)
+const TRANSITIONS = {
+  CREATED: ["ACTIVATED", "IN_USE", "EXPIRED", "REVOKED"],
+  ACTIVATED: ["IN_USE", "EXPIRED", "REVOKED"],
+  // IN_USE again when a top-up raises the budget
+  IN_USE: ["EXHAUSTED", "EXPIRED", "REVOKED"],
+  EXHAUSTED: ["IN_USE", "EXPIRED", "REVOKED"],
+  EXPIRED: ["CREATED", "ACTIVATED", "IN_USE", "REVOKED"],
+  REVOKED: ["CREATED", "ACTIVATED", "IN_USE"]
+};
+
+// vouchers.status for each state
+const LEGACY_STATUS = {
+  CREATED: "ACTIVE",
+  ACTIVATED: "ACTIVE",
+  IN_USE: "USED",
+  EXHAUSTED: "USED",
+  EXPIRED: "EXPIRED",
+  REVOKED: "DISABLED"
+};
+
+// Initial state for an imported/legacy status
+const STATE_FOR_STATUS = {
+  ACTIVE: "CREATED",
+  USED: "IN_USE",
+  EXPIRED: "EXPIRED",
+  DISABLED: "REVOKED"
+};
+
+// Target of transitionWhere that sends each voucher back to where it was
+const RESTORE = "RESTORE";
+
+const SYSTEM_ACTOR = { type: "system", id: null, name: "System" };
+
+// Rows per UPDATE/INSERT when changing many vouchers
+const CHUNK_SIZE = 1000;
+
+/**
+ * Ensure the voucher_events table exists
+ */
+async function ensureVoucherEventsTable() {
+  try {
+    await portalDB.query(`
+      CREATE TABLE IF NOT EXISTS voucher_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        voucher_id INT NOT NULL,
+        voucher_code VARCHAR(50) NOT NULL,
+        from_state VARCHAR(16) DEFAULT NULL,
+        to_state VARCHAR(16) NOT NULL,
+        actor_type ENUM('admin', 'customer', 'system') NOT NULL DEFAULT 'system',
+        actor_id INT DEFAULT NULL,
+        actor_name VARCHAR(100) DEFAULT NULL,
+        reason VARCHAR(255) DEFAULT NULL,
+        details JSON DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_voucher_id (voucher_id),
+        INDEX idx_voucher_code (voucher_code),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  } catch (e) {
+    console.error("Error creating voucher_events table:", e);
+  }
+}
+
+// Initialize table on module load
+ensureVoucherEventsTable();
+
+/**
+ * Event actor for a logged-in admin (req.session.admin)
+ * @param {Object} [admin]
+ * @returns {Object} { type, id, name }
+ */
+function adminActor(admin) {
+  return admin ? { type: "admin", id: admin.id, name: admin.name || admin.email } : SYSTEM_ACTOR;
+}
+
+/**
+ * Event actor for a customer on the portal
+ * @param {Object} [client] - { ipAddress, macAddress }
+ * @returns {Object} { type, id, name }
+ */
+function customerActor(client = {}) {
+  return { type: "customer", id: null, name: client.macAddress || client.ipAddress || "Customer" };
+}
+
+/**
+ * Whether a voucher may move from one state to another
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * State a voucher returns to when it leaves REVOKED or EXPIRED
+ * @param {Object} voucher - { used_at, activated_at, radius_removed_at }
+ * @returns {string}
+ */
+function restoreState(voucher) {
+  if (voucher.used_at) return "IN_USE";
+  if (voucher.activated_at && !voucher.radius_removed_at) return "ACTIVATED";
+  return "CREATED";
+}
+
+function eventRow(voucher, toState, { actor = SYSTEM_ACTOR, reason = null, details = null }) {
+  return [
+    voucher.id, voucher.code, voucher.state || null, toState,
+    actor.type, actor.id || null, actor.name ? String(actor.name).slice(0, 100) : null,
+    reason ? String(reason).slice(0, 255) : null,
+    details ? JSON.stringify(details) : null
+  ];
+}
+
+async function insertEvents(conn, rows) {
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    await conn.query(
+      `INSERT INTO voucher_events
+         (voucher_id, voucher_code, from_state, to_state, actor_type, actor_id, actor_name, reason, details)
+       VALUES ?`,
+      [rows.slice(i, i + CHUNK_SIZE)]
+    );
+  }
+}
+
+/**
+ * Record the first event of newly inserted vouchers (from_state NULL).
+ * Call in the same transaction as the INSERT when there is one.
+ *
+ * @param {string[]} codes
+ * @param {Object} [options] - { actor, reason, details, conn }
+ */
+async function recordCreated(codes, { conn = portalDB, ...event } = {}) {
+  if (!codes.length) return;
+
+  for (let i = 0; i < codes.length; i += CHUNK_SIZE) {
+    const [vouchers] = await conn.query(
+      "SELECT id, code, state FROM vouchers WHERE code IN (?)",
+      [codes.slice(i, i + CHUNK_SIZE)]
+    );
+    await insertEvents(conn, vouchers.map((v) => eventRow({ ...v, state: null }, v.state, event)));
+  }
+}
+
+/**
+ * RADIUS side of a change: revoked vouchers are rejected (and disconnected
+ * if online), reinstated ones are let back in
+ */
+async function applyRadius(changes, actor) {
+  const revoked = changes.filter((c) => c.to === "REVOKED").map((c) => c.voucher.code);
+  const reinstated = changes.filter((c) => c.voucher.state === "REVOKED").map((c) => c.voucher.code);
+
+  await radiusService.setUsersRejected(revoked, true);
+  await radiusService.setUsersRejected(reinstated, false);
+
+  for (const change of changes) {
+    if (change.to === "REVOKED" && change.voucher.state === "IN_USE") {
+      await radiusCoa.disconnectUser(change.voucher.code, {
+        requestedBy: actor.type === "admin" ? actor.id : null,
+        reason: "voucher_revoked"
+      });
+    }
+  }
+}
+
+/**
+ * Move the vouchers matching a condition to a state, recording an event
+ * for each. Vouchers for which the transition is not allowed (or that are
+ * already in the state) are left alone.
+ *
+ * @param {string} where - SQL condition on vouchers (e.g. "batch_ref = ?")
+ * @param {Array} params - parameters of the condition
+ * @param {string} toState - a state, or RESTORE to send each voucher back to where it was
+ * @param {Object} [options]
+ * @param {string[]} [options.from] - only move vouchers in these states
+ * @param {Object} [options.actor] - { type, id, name } (default system)
+ * @param {string} [options.reason]
+ * @param {Object} [options.details] - stored as JSON on each event
+ * @param {Object} [options.conn] - connection with an open transaction (otherwise one is started)
+ * @returns {Promise<Array>} changes: [{ voucher, from, to }]
+ */
+async function transitionWhere(where, params, toState, options = {}) {
+  const { from = STATES, actor = SYSTEM_ACTOR, reason = null, details = null } = options;
+  if (toState !== RESTORE && !STATES.includes(toState)) {
+    throw new Error(`Unknown voucher state ${toState}`);
+  }
+
+  const conn = options.conn || await portalDB.getConnection();
+  const ownTransaction = !options.conn;
+  let changes;
+
+  try {
+    if (ownTransaction) await conn.beginTransaction();
+
+    const [vouchers] = await conn.query(
+      `SELECT id, code, state, used_at, activated_at, radius_removed_at FROM vouchers
+       WHERE (${where}) AND state IN (?)
+       FOR UPDATE`,
+      [...params, from]
+    );
+
+    changes = vouchers
+      .map((voucher) => ({ voucher, from: voucher.state, to: toState === RESTORE ? restoreState(voucher) : toState }))
+      .filter((c) => canTransition(c.from, c.to));
+
+    // One UPDATE per target state
+    for (const to of new Set(changes.map((c) => c.to))) {
+      const ids = changes.filter((c) => c.to === to).map((c) => c.voucher.id);
+      for (let i = 0; i < ids.length; i += CHUNK_SIZE) {
+        await conn.query(
+          `UPDATE vouchers
+           SET state = ?, status = ?,
+               activated_at = IF(? = 'ACTIVATED', COALESCE(activated_at, NOW()), activated_at),
+               used_at = IF(? = 'IN_USE', COALESCE(used_at, NOW()), used_at),
+               radius_removed_at = IF(? = 'EXPIRED', radius_removed_at, NULL)
+           WHERE id IN (?)`,
+          [to, LEGACY_STATUS[to], to, to, to, ids.slice(i, i + CHUNK_SIZE)]
+        );
+      }
+    }
+
+    await insertEvents(conn, changes.map((c) => eventRow(c.voucher, c.to, { actor, reason, details })));
+
+    if (ownTransaction) await conn.commit();
+  } catch (e) {
+    if (ownTransaction) await conn.rollback();
+    throw e;
+  } finally {
+    if (ownTransaction) conn.release();
+  }
+
+  await applyRadius(changes, actor);
+  return changes;
+}
+
+/**
+ * Move one voucher to a state
+ * @param {number} voucherId
+ * @param {string} toState - a state or RESTORE
+ * @param {Object} [options] - see transitionWhere
+ * @returns {Promise<Object|null>} { voucher, from, to } or null if nothing changed
+ */
+async function transition(voucherId, toState, options = {}) {
+  const [change] = await transitionWhere("id = ?", [voucherId], toState, options);
+  return change || null;
+}
+
+/**
+ * Move the voucher with a code (username) to a state. Usernames that are
+ * not vouchers (orders) are ignored.
+ * @param {string} code
+ * @param {string} toState
+ * @param {Object} [options] - see transitionWhere
+ * @returns {Promise<Object|null>}
+ */
+async function transitionByCode(code, toState, options = {}) {
+  const [change] = await transitionWhere("code = ?", [code], toState, options);
+  return change || null;
+}
+
+/**
+ * A voucher's events, oldest first
+ * @param {number} voucherId
+ * @returns {Promise<Array>}
+ */
+async function getTimeline(voucherId) {
+  const [events] = await portalDB.query(
+    `SELECT e.id, e.from_state, e.to_state, e.actor_type, e.actor_id,
+            COALESCE(e.actor_name, a.full_name) AS actor_name,
+            e.reason, e.details, e.created_at
+     FROM voucher_events e
+     LEFT JOIN admin_users a ON e.actor_type = 'admin' AND a.id = e.actor_id
+     WHERE e.voucher_id = ?
+     ORDER BY e.id ASC`,
+    [voucherId]
+  );
+  return events;
+}
+
+/**
+ * Expire vouchers whose time is up:
+ * unused vouchers past their expiry date, and vouchers in use whose
+ * RADIUS Expiration (validity window) has passed
+ * @returns {Promise<number>} vouchers expired
+ */
+async function expireDue() {
+  const unused = await transitionWhere(
+    "expires_at IS NOT NULL AND expires_at <= NOW()",
+    [],
+    "EXPIRED",
+    { from: ["CREATED", "ACTIVATED"], reason: "Expiry date passed" }
+  );
+
+  let used = 0;
+  let lastId = 0;
+  for (;;) {
+    const [vouchers] = await portalDB.query(
+      "SELECT id, code FROM vouchers WHERE state = 'IN_USE' AND id > ? ORDER BY id LIMIT ?",
+      [lastId, CHUNK_SIZE]
+    );
+    if (!vouchers.length) break;
+    lastId = vouchers[vouchers.length - 1].id;
+
+    const expirations = await radiusService.getExpirations(vouchers.map((v) => v.code));
+    const now = new Date();
+    const due = vouchers.filter((v) => expirations.has(v.code) && expirations.get(v.code) <= now);
+
+    if (due.length) {
+      const changes = await transitionWhere("id IN (?)", [due.map((v) => v.id)], "EXPIRED", {
+        from: ["IN_USE"],
+        reason: "Validity period ended"
+      });
+      used += changes.length;
+    }
+  }
+
+  return unused.length + used;
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  LEGACY_STATUS,
+  STATE_FOR_STATUS,
+  RESTORE,
+  SYSTEM_ACTOR,
+  ensureVoucherEventsTable,
+  adminActor,
+  customerActor,
+  canTransition,
+  restoreState,
+  recordCreated,
+  transitionWhere,
+  transition,
+  transitionByCode,
+  getTimeline,
+  expireDue
+};
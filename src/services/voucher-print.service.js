@@ -0,0 +1,351 @@
+/**
+ * Voucher Print Service
+ * Lays out vouchers as printable A4 card sheets, as an HTML print page
+ * (views/admin/voucher-sheet.ejs) or a PDF.
+ *
+ * Each card carries the business branding from business_settings, the
+ * plan, price, duration, expiry and a QR code that opens the captive
+ * portal with the voucher code filled in. Cards are grouped by the batch
+ * they were generated in, and every batch starts on a new page.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const QRCode = require("qrcode");
+const PDFDocument = require("pdfkit");
+const portalDB = require("../config/db.portal");
+const env = require("../config/env");
+const settingsService = require("./settings.service");
+
+// Cards per A4 page -> grid [columns, rows]
+const PAGE_LAYOUTS = {
+  8: [2, 4],
+  10: [2, 5],
+  12: [3, 4],
+  21: [3, 7]
+};
+
+const DEFAULT_CARDS_PER_PAGE = 10;
+
+// Upper bound for one sheet, to keep QR/PDF rendering bounded
+const MAX_SHEET_VOUCHERS = 1000;
+
+const PUBLIC_DIR = path.join(__dirname, "..", "..", "public");
+
+// A4 in PDF points, and the page margin / gap between cards
+const A4 = { width: 595.28, height: 841.89 };
+const PAGE_MARGIN = 24;
+const CARD_GAP = 10;
+
+/**
+ * Grid for a cards-per-page choice (unknown values get the default)
+ * @param {number|string} cardsPerPage
+ * @returns {Object} { perPage, columns, rows }
+ */
+function getLayout(cardsPerPage) {
+  const perPage = PAGE_LAYOUTS[cardsPerPage] ? Number(cardsPerPage) : DEFAULT_CARDS_PER_PAGE;
+  const [columns, rows] = PAGE_LAYOUTS[perPage];
+  return { perPage, columns, rows };
+}
+
+/**
+ * Captive portal URL with the voucher code prefilled
+ * @param {string} code
+ * @returns {string}
+ */
+function portalUrl(code) {
+  return `${env.BASE_URL.replace(/\/+$/, "")}/portal?code=${encodeURIComponent(code)}`;
+}
+
+/**
+ * Human readable duration, e.g. "2 hours", "7 days"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatDuration(minutes) {
+  const value = Number(minutes) || 0;
+  const units = [["day", 1440], ["hour", 60], ["minute", 1]];
+
+  for (const [unit, size] of units) {
+    if (value >= size && value % size === 0) {
+      const n = value / size;
+      return `${n} ${unit}${n === 1 ? "" : "s"}`;
+    }
+  }
+  return `${value} minutes`;
+}
+
+/**
+ * What the voucher gives, e.g. "24 hours" or "5 hours online within 7 days"
+ * @param {Object} voucher - row from getSheetVouchers
+ * @returns {string}
+ */
+function describePlan(voucher) {
+  let text = voucher.plan_type === "airtime" && voucher.airtime_minutes
+    ? `${formatDuration(voucher.airtime_minutes)} online within ${formatDuration(voucher.duration_minutes)}`
+    : formatDuration(voucher.duration_minutes);
+
+  if (voucher.data_mb) {
+    text += voucher.data_mb >= 1024 && voucher.data_mb % 1024 === 0
+      ? `, ${voucher.data_mb / 1024} GB`
+      : `, ${voucher.data_mb} MB`;
+  }
+  return text;
+}
+
+/**
+ * Load vouchers to print, oldest first
+ * @param {Object} filters - { batchRef, ids, status, planId }
+ * @returns {Promise<Array>}
+ */
+async function getSheetVouchers(filters = {}) {
+  let whereClause = "WHERE 1=1";
+  const params = [];
+
+  if (filters.batchRef) {
+    whereClause += " AND v.batch_ref = ?";
+    params.push(filters.batchRef);
+  }
+  if (filters.ids && filters.ids.length) {
+    whereClause += " AND v.id IN (?)";
+    params.push(filters.ids);
+  }
+  if (filters.status) {
+    whereClause += " AND v.status = ?";
+    params.push(filters.status);
+  }
+  if (filters.planId) {
+    whereClause += " AND v.plan_id = ?";
+    params.push(filters.planId);
+  }
+
+  const [vouchers] = await portalDB.query(
+    `SELECT v.id, v.code, v.batch_ref, v.status, v.created_at, v.expires_at,
+            p.name AS plan_name, COALESCE(b.price_ugx, p.price_ugx) AS price_ugx,
+            p.duration_minutes, p.plan_type, p.airtime_minutes, p.data_mb
+     FROM vouchers v
+     LEFT JOIN plans p ON v.plan_id = p.id
+     LEFT JOIN voucher_batches b ON b.batch_ref = v.batch_ref
+     ${whereClause}
+     ORDER BY v.id
+     LIMIT ?`,
+    [...params, MAX_SHEET_VOUCHERS]
+  );
+
+  return vouchers;
+}
+
+/**
+ * Branding for the cards from business_settings
+ * @returns {Promise<Object>} { name, tagline, logoUrl, color, colorLight, supportPhone }
+ */
+async function getBranding() {
+  const settings = await settingsService.getSettings();
+  const hex = (value, fallback) => (/^#[0-9a-f]{6}$/i.test(value || "") ? value : fallback);
+
+  return {
+    name: settings.business_name || "WiFi Hotspot",
+    tagline: settings.tagline || "",
+    logoUrl: settings.logo_url || null,
+    color: hex(settings.primary_color, "#0ea56b"),
+    colorLight: hex(settings.primary_light, "#e6f6ef"),
+    supportPhone: settings.support_phone || settings.phone || null
+  };
+}
+
+/**
+ * Build a sheet: vouchers grouped by batch and split into pages
+ *
+ * @param {Object} filters - see getSheetVouchers
+ * @param {Object} [options]
+ * @param {number} [options.cardsPerPage]
+ * @returns {Promise<Object>} { branding, layout, batches: [{ batchRef, count, pages: [[card]] }], total }
+ */
+async function buildSheet(filters, options = {}) {
+  const layout = getLayout(options.cardsPerPage);
+  const [vouchers, branding] = await Promise.all([getSheetVouchers(filters), getBranding()]);
+
+  // Map keeps batches in order of their first voucher
+  const batches = new Map();
+  for (const v of vouchers) {
+    const batchRef = v.batch_ref || null;
+    if (!batches.has(batchRef)) batches.set(batchRef, { batchRef, count: 0, pages: [] });
+    const batch = batches.get(batchRef);
+
+    if (batch.count % layout.perPage === 0) batch.pages.push([]);
+    batch.pages[batch.pages.length - 1].push({
+      code: v.code,
+      planName: v.plan_name || "WiFi Voucher",
+      price: v.price_ugx != null ? `${Number(v.price_ugx).toLocaleString()} UGX` : "",
+      duration: describePlan(v),
+      expiresAt: v.expires_at ? new Date(v.expires_at) : null,
+      batchRef,
+      url: portalUrl(v.code)
+    });
+    batch.count++;
+  }
+
+  return { branding, layout, batches: [...batches.values()], total: vouchers.length };
+}
+
+/**
+ * Add a QR code data URL (qr) to every card, for the HTML sheet
+ * @param {Object} sheet - from buildSheet
+ * @returns {Promise<Object>} the same sheet
+ */
+async function addQrDataUrls(sheet) {
+  for (const batch of sheet.batches) {
+    for (const page of batch.pages) {
+      for (const card of page) {
+        card.qr = await QRCode.toDataURL(card.url, { margin: 1, width: 240 });
+      }
+    }
+  }
+  return sheet;
+}
+
+/**
+ * Expiry line for a card
+ * @param {Date|null} expiresAt
+ * @returns {string}
+ */
+function formatExpiry(expiresAt) {
+  if (!expiresAt) return "No expiry date";
+  return `Use by ${expiresAt.toLocaleDateString("en-GB", { day: "numeric", month: "short", year: "numeric" })}`;
+}
+
+/**
+ * Local file for an uploaded logo, if PDFKit can embed it (PNG/JPEG)
+ * @param {string|null} logoUrl
+ * @returns {string|null}
+ */
+function resolveLogoFile(logoUrl) {
+  if (!logoUrl || !logoUrl.startsWith("/uploads/") || !/\.(png|jpe?g)$/i.test(logoUrl)) return null;
+
+  const file = path.join(PUBLIC_DIR, path.normalize(logoUrl));
+  return file.startsWith(PUBLIC_DIR) && fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Draw one card on the PDF
+ */
+async function drawPdfCard(doc, card, box, branding, logoFile) {
+  const { x, y, width, height } = box;
+  const scale = Math.min(1, height / 190);
+  const pad = 8 * scale;
+  const header = 22 * scale;
+
+  doc.save();
+  doc.roundedRect(x, y, width, height, 6).lineWidth(0.8).strokeColor(branding.color).stroke();
+  doc.rect(x, y, width, header).fill(branding.color);
+  doc.restore();
+
+  // Header: logo and business name
+  let nameX = x + pad;
+  if (logoFile) {
+    try {
+      doc.image(logoFile, x + pad, y + 3 * scale, { fit: [header * 1.6, header - 6 * scale] });
+      nameX += header * 1.6 + 4;
+    } catch (e) {
+      // Unreadable logo file: business name only
+    }
+  }
+  doc.font("Helvetica-Bold").fontSize(9 * scale).fillColor("#ffffff")
+    .text(branding.name, nameX, y + (header - 9 * scale) / 2, { width: x + width - pad - nameX, lineBreak: false, ellipsis: true });
+
+  // QR code on the right
+  const qrSize = Math.min(height - header - 2 * pad, width * 0.38);
+  const qr = await QRCode.toBuffer(card.url, { margin: 1, width: 240 });
+  doc.image(qr, x + width - pad - qrSize, y + header + pad, { width: qrSize, height: qrSize });
+
+  // Details on the left
+  const textX = x + pad;
+  const textWidth = width - 3 * pad - qrSize;
+  let textY = y + header + pad;
+
+  doc.font("Helvetica-Bold").fontSize(10 * scale).fillColor("#111111")
+    .text(card.planName, textX, textY, { width: textWidth, lineBreak: false, ellipsis: true });
+  textY += 14 * scale;
+
+  doc.font("Helvetica").fontSize(7 * scale).fillColor("#666666")
+    .text("VOUCHER CODE", textX, textY, { width: textWidth });
+  textY += 9 * scale;
+
+  doc.font("Courier-Bold").fontSize(15 * scale).fillColor(branding.color)
+    .text(card.code, textX, textY, { width: textWidth, lineBreak: false, ellipsis: true });
+  textY += 19 * scale;
+
+  doc.font("Helvetica").fontSize(8 * scale).fillColor("#333333");
+  for (const line of [card.price, card.duration, formatExpiry(card.expiresAt)]) {
+    if (!line) continue;
+    doc.text(line, textX, textY, { width: textWidth, lineBreak: false, ellipsis: true });
+    textY += 11 * scale;
+  }
+
+  // Footer: how to use the QR code, support phone and batch reference
+  const footer = [
+    "Scan to connect",
+    branding.supportPhone && `Help: ${branding.supportPhone}`,
+    card.batchRef
+  ].filter(Boolean).join(" · ");
+  doc.font("Helvetica").fontSize(6 * scale).fillColor("#999999")
+    .text(footer, textX, y + height - pad - 6 * scale, { width: textWidth, lineBreak: false, ellipsis: true });
+}
+
+/**
+ * Render a sheet as an A4 PDF
+ * @param {Object} sheet - from buildSheet
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(sheet) {
+  const { layout, branding } = sheet;
+  const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN, autoFirstPage: false });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const logoFile = resolveLogoFile(branding.logoUrl);
+  const cardWidth = (A4.width - 2 * PAGE_MARGIN - (layout.columns - 1) * CARD_GAP) / layout.columns;
+  const cardHeight = (A4.height - 2 * PAGE_MARGIN - (layout.rows - 1) * CARD_GAP) / layout.rows;
+
+  for (const batch of sheet.batches) {
+    for (const page of batch.pages) {
+      doc.addPage();
+      for (let i = 0; i < page.length; i++) {
+        const column = i % layout.columns;
+        const row = Math.floor(i / layout.columns);
+        await drawPdfCard(doc, page[i], {
+          x: PAGE_MARGIN + column * (cardWidth + CARD_GAP),
+          y: PAGE_MARGIN + row * (cardHeight + CARD_GAP),
+          width: cardWidth,
+          height: cardHeight
+        }, branding, logoFile);
+      }
+    }
+  }
+
+  if (!sheet.total) {
+    doc.addPage();
+    doc.font("Helvetica").fontSize(12).fillColor("#666666").text("No vouchers to print.");
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  PAGE_LAYOUTS,
+  DEFAULT_CARDS_PER_PAGE,
+  MAX_SHEET_VOUCHERS,
+  getLayout,
+  portalUrl,
+  formatDuration,
+  formatExpiry,
+  getSheetVouchers,
+  buildSheet,
+  addQrDataUrls,
+  renderPdf
+};
@@ -6,10 +6,13 @@
  * - Tracking validation attempts
  * - Detecting and flagging suspicious activity
  * - Preventing multiple voucher usage
+ * - Limiting the number of devices online on one voucher (plan max_devices)
  */
 
 const portalDB = require("../config/db.portal");
 const radiusDB = require("../config/db.radius");
+const voucherCodes = require("./voucher-code.service");
+const lifecycle = require("./voucher-lifecycle.service");
 
 // In-memory rate limiting (per IP)
 const rateLimitStore = new Map();
@@ -292,6 +295,75 @@ async function hasActiveSession(voucherCode) {
   }
 }
 
+/**
+ * Normalize a MAC address to AA:BB:CC:DD:EE:FF (NAS formats vary)
+ */
+function normalizeMac(mac) {
+  if (!mac) return null;
+  const hex = String(mac).replace(/[^0-9a-f]/gi, '').toUpperCase();
+  if (hex.length !== 12) return String(mac).toUpperCase();
+  return hex.match(/.{2}/g).join(':');
+}
+
+/**
+ * Get the devices (MAC addresses) currently online on a voucher
+ * @returns {Promise<Array>} [{ mac, clientIp, nasIp, startTime, sessions }]
+ */
+async function getActiveDevices(voucherCode) {
+  const [rows] = await radiusDB.query(
+    `SELECT callingstationid, framedipaddress, nasipaddress, acctstarttime
+     FROM radacct
+     WHERE username = ? AND acctstoptime IS NULL
+     ORDER BY acctstarttime ASC`,
+    [voucherCode]
+  );
+
+  // One entry per device; a device can briefly hold two sessions while reconnecting
+  const devices = new Map();
+  for (const row of rows) {
+    const mac = normalizeMac(row.callingstationid) || `session-${devices.size + 1}`;
+    const device = devices.get(mac);
+    if (device) {
+      device.sessions++;
+    } else {
+      devices.set(mac, {
+        mac,
+        clientIp: row.framedipaddress,
+        nasIp: row.nasipaddress,
+        startTime: row.acctstarttime,
+        sessions: 1
+      });
+    }
+  }
+
+  return [...devices.values()];
+}
+
+/**
+ * Check whether another device may go online on a voucher
+ * @param {string} voucherCode
+ * @param {number} maxDevices - Plan max_devices
+ * @param {string} [macAddress] - Device asking; already-online devices are always allowed
+ * @returns {Promise<Object>} { allowed, maxDevices, devices }
+ */
+async function checkDeviceLimit(voucherCode, maxDevices, macAddress = null) {
+  try {
+    const devices = await getActiveDevices(voucherCode);
+    const mac = normalizeMac(macAddress);
+
+    const alreadyOnline = mac && devices.some(d => d.mac === mac);
+
+    return {
+      allowed: alreadyOnline || devices.length < maxDevices,
+      maxDevices,
+      devices
+    };
+  } catch (e) {
+    console.error("Error checking device limit:", e);
+    return { allowed: true, maxDevices, devices: [], error: e.message };
+  }
+}
+
 /**
  * Mark a voucher as used
  */
@@ -309,12 +381,14 @@ async function markVoucherUsed(voucherCode, source, sourceId, metadata = {}) {
       [voucherCode, source, sourceId, ipAddress || null, macAddress || null, userAgent || null, sessionId || null]
     );
 
-    // Update voucher status in source table
+    // Update voucher state in source table
     if (source === 'vouchers') {
-      await portalDB.query(
-        `UPDATE vouchers SET status = 'USED', used_at = NOW() WHERE id = ?`,
-        [sourceId]
-      );
+      await lifecycle.transition(sourceId, 'IN_USE', {
+        from: ['CREATED', 'ACTIVATED'],
+        actor: lifecycle.customerActor({ ipAddress, macAddress }),
+        reason: 'Redeemed on the portal',
+        details: { ipAddress, macAddress, sessionId }
+      });
     } else if (source === 'orders') {
       await portalDB.query(
         `UPDATE orders SET status = 'COMPLETED' WHERE id = ? AND status = 'PAID'`,
@@ -397,9 +471,9 @@ async function validateVoucherSecure(voucherCode, clientInfo = {}) {
   let voucherSourceId = null;
 
   const [[voucherRow]] = await portalDB.query(
-    `SELECT v.id, v.code, v.status, v.expires_at, v.used_at,
+    `SELECT v.id, v.code, v.status, v.state, v.expires_at, v.used_at,
             p.id as plan_id, p.name as plan_name, p.duration_minutes,
-            p.speed_down_kbps, p.speed_up_kbps, p.data_mb
+            p.speed_down_kbps, p.speed_up_kbps, p.data_mb, p.max_devices
      FROM vouchers v
      LEFT JOIN plans p ON v.plan_id = p.id
      WHERE v.code = ? LIMIT 1`,
@@ -415,7 +489,7 @@ async function validateVoucherSecure(voucherCode, clientInfo = {}) {
     const [[orderRow]] = await portalDB.query(
       `SELECT o.id, o.username as code, o.status, o.paid_at,
               p.id as plan_id, p.name as plan_name, p.duration_minutes,
-              p.speed_down_kbps, p.speed_up_kbps, p.data_mb
+              p.speed_down_kbps, p.speed_up_kbps, p.data_mb, p.max_devices
        FROM orders o
        LEFT JOIN plans p ON o.plan_id = p.id
        WHERE o.username = ? AND o.status IN ('PAID', 'COMPLETED') LIMIT 1`,
@@ -446,6 +520,9 @@ async function validateVoucherSecure(voucherCode, clientInfo = {}) {
       await flagIpAddress(ipAddress, 'Too many failed voucher validation attempts', 60);
       result.security.ipBlocked = true;
       result.message = 'Too many failed attempts. Access temporarily blocked.';
+    } else if (await voucherCodes.isMistyped(voucherCode)) {
+      // Wrong check digit: still counted as a failed attempt
+      result.message = 'Voucher code looks mistyped. Please check it and try again.';
     } else {
       result.message = 'Voucher code not found';
     }
@@ -453,6 +530,11 @@ async function validateVoucherSecure(voucherCode, clientInfo = {}) {
     return result;
   }
 
+  // Multi-device plans: the same code is entered on each device, so being
+  // used is expected and only the number of devices online is limited
+  const maxDevices = Number(voucher.max_devices) || 1;
+  const shared = maxDevices > 1;
+
   // 5. Check voucher status (for vouchers table)
   if (voucherSource === 'vouchers') {
     if (voucher.status === 'DISABLED') {
@@ -467,7 +549,12 @@ async function validateVoucherSecure(voucherCode, clientInfo = {}) {
       return result;
     }
 
-    if (voucher.status === 'USED') {
+    if (voucher.state === 'EXHAUSTED') {
+      result.message = 'This voucher has no time or data left';
+      return result;
+    }
+
+    if (voucher.status === 'USED' && !shared) {
       result.security.alreadyUsed = true;
 
       await logSecurityEvent('multiple_use_attempt', {
@@ -497,7 +584,7 @@ async function validateVoucherSecure(voucherCode, clientInfo = {}) {
   }
 
   // 6. Check if already used (via usage table or RADIUS accounting)
-  const usageCheck = await checkVoucherUsed(voucherCode);
+  const usageCheck = shared ? { used: false } : await checkVoucherUsed(voucherCode);
   if (usageCheck.used) {
     result.security.alreadyUsed = true;
 
@@ -517,19 +604,26 @@ async function validateVoucherSecure(voucherCode, clientInfo = {}) {
     return result;
   }
 
-  // 7. Check for active session
-  const sessionCheck = await hasActiveSession(voucherCode);
-  if (sessionCheck.active) {
+  // 7. Check active sessions against the plan's device limit
+  const deviceCheck = await checkDeviceLimit(voucherCode, maxDevices, macAddress);
+  if (!deviceCheck.allowed) {
     result.security.hasActiveSession = true;
-    result.message = 'This voucher is currently in use';
-    result.activeSession = sessionCheck;
+    result.message = shared
+      ? `This voucher is already in use on ${deviceCheck.devices.length} devices (limit ${maxDevices})`
+      : 'This voucher is currently in use';
+    result.activeSession = await hasActiveSession(voucherCode);
+    result.devices = deviceCheck.devices;
 
-    await logSecurityEvent('validation_failed', {
+    await logSecurityEvent(shared ? 'multiple_use_attempt' : 'validation_failed', {
       voucherCode,
       ipAddress,
       userAgent,
-      severity: 'info',
-      details: { reason: 'active_session', session: sessionCheck }
+      severity: shared ? 'warning' : 'info',
+      details: {
+        reason: shared ? 'device_limit' : 'active_session',
+        maxDevices,
+        devices: deviceCheck.devices.map(d => d.mac)
+      }
     });
 
     return result;
@@ -544,7 +638,8 @@ async function validateVoucherSecure(voucherCode, clientInfo = {}) {
     duration_minutes: voucher.duration_minutes,
     speed_down_kbps: voucher.speed_down_kbps,
     speed_up_kbps: voucher.speed_up_kbps,
-    data_mb: voucher.data_mb
+    data_mb: voucher.data_mb,
+    max_devices: maxDevices
   };
   result.voucherSource = voucherSource;
   result.voucherSourceId = voucherSourceId;
@@ -674,6 +769,8 @@ module.exports = {
   validateVoucherSecure,
   checkVoucherUsed,
   hasActiveSession,
+  getActiveDevices,
+  checkDeviceLimit,
   markVoucherUsed,
   checkRateLimit,
   isIpBlocked,
@@ -0,0 +1,165 @@
+/**
+ * Webhook Event Service
+ * Records every payment provider callback in webhook_events:
+ *
+ *   RECEIVED  - verified and being processed
+ *   PROCESSED - verified and applied to its order
+ *   REJECTED  - failed verification, or verified but not applicable (no
+ *               such order, amount mismatch); shown on the finance page
+ *
+ * Verified callbacks are claimed by (provider_code, event_id), so a replayed
+ * or retried callback is counted (received_count) but processed only once.
+ * A claim whose processing threw is released so the provider's retry can
+ * try again. Rejected callbacks have no event_id and never block one.
+ */
+
+const portalDB = require("../config/db.portal");
+
+// Stored payloads are cut to this many characters
+const MAX_PAYLOAD_LENGTH = 10000;
+
+/**
+ * Ensure the webhook_events table exists
+ */
+async function ensureWebhookEventsTable() {
+  try {
+    await portalDB.query(`
+      CREATE TABLE IF NOT EXISTS webhook_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        provider_code VARCHAR(50) NOT NULL,
+        event_id VARCHAR(150) DEFAULT NULL,
+        order_ref VARCHAR(64) DEFAULT NULL,
+        status ENUM('RECEIVED', 'PROCESSED', 'REJECTED') NOT NULL DEFAULT 'RECEIVED',
+        reason VARCHAR(255) DEFAULT NULL,
+        payload MEDIUMTEXT,
+        remote_ip VARCHAR(45) DEFAULT NULL,
+        received_count INT NOT NULL DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_provider_event (provider_code, event_id),
+        INDEX idx_status_created (status, created_at),
+        INDEX idx_order_ref (order_ref)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `);
+  } catch (e) {
+    console.error("Error creating webhook_events table:", e);
+  }
+}
+
+// Initialize table on module load
+ensureWebhookEventsTable();
+
+/**
+ * Raw callback body as stored text
+ * @param {Object|string} body
+ * @returns {string|null}
+ */
+function payloadText(body) {
+  if (body === undefined || body === null) return null;
+  const text = typeof body === "string" ? body : JSON.stringify(body);
+  return text.slice(0, MAX_PAYLOAD_LENGTH);
+}
+
+/**
+ * Claim a verified event for processing
+ * @param {string} providerCode
+ * @param {string} eventId - provider event ID
+ * @param {Object} details - { orderRef, payload, remoteIp }
+ * @returns {Promise<Object>} { claimed, id } - claimed is false for a replay
+ */
+async function claimEvent(providerCode, eventId, { orderRef = null, payload = null, remoteIp = null } = {}) {
+  const [result] = await portalDB.query(
+    `INSERT INTO webhook_events (provider_code, event_id, order_ref, status, payload, remote_ip)
+     VALUES (?, ?, ?, 'RECEIVED', ?, ?)
+     ON DUPLICATE KEY UPDATE received_count = received_count + 1`,
+    [providerCode, String(eventId).slice(0, 150), orderRef, payloadText(payload), remoteIp]
+  );
+
+  // affectedRows is 2 when an existing row was updated
+  return { claimed: result.affectedRows === 1, id: result.insertId || null };
+}
+
+/**
+ * Record the outcome of a claimed event
+ * @param {number} id - webhook_events.id from claimEvent
+ * @param {Object} outcome - { status: PROCESSED|REJECTED, reason, orderRef }
+ */
+async function finishEvent(id, { status, reason = null, orderRef = null }) {
+  await portalDB.query(
+    "UPDATE webhook_events SET status = ?, reason = ?, order_ref = COALESCE(?, order_ref) WHERE id = ?",
+    [status, reason ? String(reason).slice(0, 255) : null, orderRef, id]
+  );
+}
+
+/**
+ * Release a claimed event whose processing failed, so a retry is processed
+ * @param {number} id
+ */
+async function releaseEvent(id) {
+  try {
+    await portalDB.query("DELETE FROM webhook_events WHERE id = ? AND status = 'RECEIVED'", [id]);
+  } catch (e) {
+    console.error("Error releasing webhook event:", e.message);
+  }
+}
+
+/**
+ * Record a callback that failed verification
+ * @param {string} providerCode
+ * @param {string} reason
+ * @param {Object} details - { orderRef, payload, remoteIp }
+ */
+async function recordRejected(providerCode, reason, { orderRef = null, payload = null, remoteIp = null } = {}) {
+  try {
+    await portalDB.query(
+      `INSERT INTO webhook_events (provider_code, order_ref, status, reason, payload, remote_ip)
+       VALUES (?, ?, 'REJECTED', ?, ?, ?)`,
+      [providerCode, orderRef, String(reason).slice(0, 255), payloadText(payload), remoteIp]
+    );
+  } catch (e) {
+    console.error("Error recording rejected webhook:", e.message);
+  }
+}
+
+/**
+ * List webhook events, newest first
+ * @param {Object} filters - { status, provider, page, limit }
+ * @returns {Promise<Object>} { events, total }
+ */
+async function listEvents({ status = null, provider = null, page = 1, limit = 20 } = {}) {
+  let whereClause = "WHERE 1=1";
+  const params = [];
+
+  if (status) {
+    whereClause += " AND status = ?";
+    params.push(status);
+  }
+  if (provider) {
+    whereClause += " AND provider_code = ?";
+    params.push(provider);
+  }
+
+  const [[{ total }]] = await portalDB.query(
+    `SELECT COUNT(*) as total FROM webhook_events ${whereClause}`,
+    params
+  );
+
+  const [events] = await portalDB.query(
+    `SELECT id, provider_code, event_id, order_ref, status, reason, payload, remote_ip, received_count, created_at, updated_at
+     FROM webhook_events ${whereClause}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, (page - 1) * limit]
+  );
+
+  return { events, total };
+}
+
+module.exports = {
+  ensureWebhookEventsTable,
+  claimEvent,
+  finishEvent,
+  releaseEvent,
+  recordRejected,
+  listEvents
+};
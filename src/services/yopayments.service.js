@@ -1,5 +1,8 @@
 const axios = require("axios");
 const paymentProviderService = require("./payment-provider.service");
+const paymentRegistry = require("./payment-registry.service");
+const settingsService = require("./settings.service");
+const { formatMsisdn, detectNetwork } = require("./msisdn.service");
 
 /**
  * Yo Payments API URLs
@@ -14,7 +17,7 @@ const YO_API_URLS = {
  * @returns {Promise<Object>} Credentials with API URL
  */
 async function getCredentials() {
-  const creds = await paymentProviderService.getYoPaymentsCredentials();
+  const creds = await paymentProviderService.getCredentials("yopayments");
   const apiUrl = creds.environment === "live" ? YO_API_URLS.live : YO_API_URLS.test;
   return {
     ...creds,
@@ -185,6 +188,65 @@ async function initiateCollection({ msisdn, amount, narrative, externalRef, prov
   }
 }
 
+/**
+ * Send money from the Yo Payments account to a mobile money number
+ * @param {Object} params - Payout parameters
+ * @param {string} params.msisdn - Recipient phone number
+ * @param {number} params.amount - Amount to send
+ * @param {string} params.narrative - Transaction description
+ * @param {string} [params.externalRef] - External reference for tracking
+ * @param {boolean} [params.nonBlocking] - Return as soon as Yo accepts the
+ *   request instead of waiting for the transfer to complete
+ * @returns {Promise<Object>} Withdrawal response
+ */
+async function withdrawFunds({ msisdn, amount, narrative, externalRef, nonBlocking = false }) {
+  const creds = await getCredentials();
+
+  if (!creds.api_username || !creds.api_password) {
+    throw new Error("Yo Payments credentials not configured");
+  }
+
+  const params = {
+    NonBlocking: nonBlocking ? "TRUE" : "FALSE",
+    Amount: amount,
+    Account: formatMsisdn(msisdn),
+    Narrative: narrative || "Bula WiFi Payout"
+  };
+  if (externalRef) {
+    params.ExternalReference = externalRef;
+  }
+
+  const xml = buildXmlRequest("acwithdrawfunds", params, creds);
+
+  try {
+    const response = await axios.post(creds.apiUrl, xml, {
+      headers: {
+        "Content-Type": "application/xml",
+        "Accept": "application/xml"
+      },
+      // A blocking request waits for the mobile money transfer
+      timeout: nonBlocking ? 30000 : 120000
+    });
+
+    const result = parseXmlResponse(response.data);
+    const success = !result.isError && result.status === "OK";
+
+    return {
+      success,
+      transactionReference: result.transactionReference,
+      transactionStatus: result.transactionStatus,
+      paymentStatus: success ? paymentStatus(result.transactionStatus) : "failed",
+      networkRef: result.networkRef,
+      statusCode: result.statusCode,
+      statusMessage: result.statusMessage,
+      rawResponse: result
+    };
+  } catch (e) {
+    console.error("Yo Payments withdrawal error:", e.message);
+    throw new Error(`Yo Payments request failed: ${e.message}`);
+  }
+}
+
 /**
  * Check the status of a transaction
  * @param {string} transactionRef - Yo Payments transaction reference
@@ -242,63 +304,13 @@ async function checkTransactionStatus(transactionRef) {
   }
 }
 
-/**
- * Format phone number to 256XXXXXXXXX format
- * @param {string} msisdn - Phone number in any format
- * @returns {string} Formatted phone number
- */
-function formatMsisdn(msisdn) {
-  // Remove all non-digit characters
-  let cleaned = String(msisdn).replace(/\D/g, "");
-
-  // Handle different formats
-  if (cleaned.startsWith("256")) {
-    // Already in correct format
-    return cleaned;
-  } else if (cleaned.startsWith("0")) {
-    // Local format: 0XXXXXXXXX
-    return "256" + cleaned.slice(1);
-  } else if (cleaned.startsWith("7") || cleaned.startsWith("3")) {
-    // Short format: 7XXXXXXXX or 3XXXXXXXX
-    return "256" + cleaned;
-  } else if (cleaned.startsWith("+256")) {
-    return cleaned.replace("+", "");
-  }
-
-  // Default: assume it needs 256 prefix
-  return "256" + cleaned;
-}
-
-/**
- * Determine the mobile network from phone number
- * @param {string} msisdn - Phone number
- * @returns {string} Network name (MTN, AIRTEL, unknown)
- */
-function detectNetwork(msisdn) {
-  const formatted = formatMsisdn(msisdn);
-  const prefix = formatted.slice(3, 5); // Get digits after 256
-
-  // MTN Uganda prefixes: 77, 78, 76, 39
-  const mtnPrefixes = ["77", "78", "76", "39"];
-  // Airtel Uganda prefixes: 70, 75, 74
-  const airtelPrefixes = ["70", "75", "74"];
-
-  if (mtnPrefixes.includes(prefix)) {
-    return "MTN";
-  } else if (airtelPrefixes.includes(prefix)) {
-    return "AIRTEL";
-  }
-
-  return "unknown";
-}
-
 /**
  * Check if Yo Payments is enabled and configured
  * @returns {Promise<boolean>} Whether Yo Payments can be used
  */
 async function isAvailable() {
   try {
-    const creds = await paymentProviderService.getYoPaymentsCredentials();
+    const creds = await paymentProviderService.getCredentials("yopayments");
     return !!(creds.api_username && creds.api_password);
   } catch (e) {
     return false;
@@ -310,7 +322,7 @@ async function isAvailable() {
  * @returns {Promise<Object>} Credentials info (without exposing secrets)
  */
 async function getCredentialsInfo() {
-  const creds = await paymentProviderService.getYoPaymentsCredentials();
+  const creds = await paymentProviderService.getCredentials("yopayments");
   return {
     isConfigured: !!(creds.api_username && creds.api_password),
     source: creds.source,
@@ -319,13 +331,186 @@ async function getCredentialsInfo() {
   };
 }
 
+/**
+ * Parse a Yo Payments IPN (XML or form data)
+ * @param {string|Object} body - Request body
+ * @returns {Object} { transactionRef, transactionStatus, networkRef, amount }
+ */
+function parseNotification(body) {
+  // Yo Payments sends data as form-urlencoded or XML
+  if (typeof body === "string" && body.includes("<?xml")) {
+    const parsed = parseXmlResponse(body);
+    return {
+      transactionRef: parsed.transactionReference,
+      transactionStatus: parsed.transactionStatus,
+      networkRef: parsed.networkRef,
+      amount: null
+    };
+  }
+
+  const form = body || {};
+  return {
+    // Success IPNs carry our external_ref, failure notifications the
+    // failed_transaction_reference
+    transactionRef: form.transaction_reference || form.external_reference || form.external_ref ||
+      form.failed_transaction_reference || form.TransactionReference,
+    transactionStatus: form.transaction_status || form.TransactionStatus || form.status,
+    networkRef: form.network_ref || form.NetworkRef,
+    amount: form.amount || form.Amount || null
+  };
+}
+
+/**
+ * Map a Yo Payments transaction status to a payment registry status
+ * @param {string} status - e.g. SUCCEEDED, FAILED, PENDING
+ * @returns {string} success, failed or pending
+ */
+function paymentStatus(status) {
+  const upper = String(status || "").toUpperCase();
+  if (["SUCCEEDED", "SUCCESSFUL", "SUCCESS"].includes(upper)) return "success";
+  if (upper === "FAILED") return "failed";
+  return "pending";
+}
+
+/**
+ * Build the narrative shown on the customer's phone:
+ * "Buula's 4 Hours @500UGX" or "ACME WiFi 4 Hours @500UGX"
+ * @param {Object} plan
+ * @returns {Promise<Object>} { narrative, bizPrefix }
+ */
+async function buildNarrative(plan) {
+  const settings = await settingsService.getSettings();
+  const businessName = settings.business_name || "Bula WiFi";
+  // Extract first word of business name
+  const bizPrefix = businessName.split(/\s+/)[0];
+  // Check if business name already contains WiFi
+  const hasWifi = /wifi/i.test(businessName);
+
+  const narrative = hasWifi
+    ? `${bizPrefix} ${plan.name} @${plan.price_ugx}UGX`
+    : `${bizPrefix} WiFi ${plan.name} @${plan.price_ugx}UGX`;
+  return { narrative, bizPrefix };
+}
+
+paymentRegistry.register({
+  code: "yopayments",
+  orderCode: "YO",
+  displayName: "Yo Payments",
+  description: "Accept mobile money payments in Uganda (MTN and Airtel).",
+  website: "https://yopayments.com",
+  setupSteps: [
+    "Register at yopayments.com",
+    "Get your API credentials from your account dashboard",
+    "Set up the IPN URL above in your Yo Payments account"
+  ],
+  orderRefPrefix: "YO",
+  credentialSchema: [
+    { key: "api_username", label: "API Username", placeholder: "Your Yo Payments API username", required: true, env: "YO_API_USERNAME" },
+    { key: "api_password", label: "API Password", placeholder: "Your Yo Payments API password", secret: true, required: true, env: "YO_API_PASSWORD" },
+    { key: "account_number", label: "Account Number", placeholder: "Yo Payments account number (optional)", env: "YO_ACCOUNT_NUMBER" },
+  ],
+  isAvailable,
+  formatMsisdn,
+  paymentMethod: (msisdn) => `mobile_money_${detectNetwork(msisdn).toLowerCase()}`,
+
+  // Push prompt to the customer's phone; the portal waits on the pending page
+  async initiate({ order, plan, msisdn }) {
+    const { narrative, bizPrefix } = await buildNarrative(plan);
+    const result = await initiateCollection({
+      msisdn,
+      amount: plan.price_ugx,
+      narrative,
+      externalRef: order.order_ref,
+      providerRef: bizPrefix.toUpperCase()
+    });
+
+    return {
+      ok: result.success,
+      providerRef: result.transactionReference || null,
+      redirectUrl: `/payment-pending?provider=yopayments&orderRef=${encodeURIComponent(order.order_ref)}`,
+      message: result.success
+        ? "Payment request sent. Please check your phone to approve the payment."
+        : result.statusMessage || "Failed to initiate payment",
+      raw: result.rawResponse
+    };
+  },
+
+  async checkStatus(order) {
+    if (!order.provider_ref) {
+      return { status: "pending", message: "Payment not yet processed" };
+    }
+
+    const result = await checkTransactionStatus(order.provider_ref);
+    return {
+      status: result.paymentStatus === "processing" ? "pending" : result.paymentStatus,
+      providerTxId: result.networkRef,
+      message: result.statusMessage,
+      raw: result.rawResponse
+    };
+  },
+
+  // IPN: Yo's notifications are not trusted as posted; the reference is
+  // looked up with Yo and the order settled on what Yo reports
+  async verifyWebhook(req) {
+    const notification = parseNotification(req.body);
+    if (!notification.transactionRef) return { rejected: "No transaction reference" };
+
+    const result = await checkTransactionStatus(notification.transactionRef);
+    if (!result.success || !result.transactionStatus) {
+      return { rejected: `Transaction not confirmed by Yo Payments: ${result.statusMessage || "unknown reference"}` };
+    }
+
+    const transactionRef = result.transactionReference || notification.transactionRef;
+    return {
+      providerRef: notification.transactionRef,
+      eventId: `${transactionRef}:${result.transactionStatus}`,
+      status: result.paymentStatus === "processing" ? "pending" : result.paymentStatus,
+      providerTxId: result.networkRef || notification.networkRef || transactionRef,
+      raw: { notification: req.body, status: result.rawResponse }
+    };
+  },
+
+  // Refunds are paid out of the Yo account to the number that paid
+  async refund(order, { amount }) {
+    if (!order.customer_msisdn) {
+      return { ok: false, message: "The order has no customer phone number to refund" };
+    }
+
+    const result = await withdrawFunds({
+      msisdn: order.customer_msisdn,
+      amount,
+      narrative: `Refund ${order.order_ref}`,
+      externalRef: `RF_${order.order_ref}`
+    });
+
+    return {
+      ok: result.success && result.paymentStatus !== "failed",
+      refundRef: result.transactionReference || null,
+      pending: result.paymentStatus !== "success",
+      message: result.statusMessage,
+      raw: result.rawResponse
+    };
+  },
+
+  async checkRefund(refundRef) {
+    const result = await checkTransactionStatus(refundRef);
+    return {
+      status: result.paymentStatus === "processing" ? "pending" : result.paymentStatus,
+      message: result.statusMessage,
+      raw: result.rawResponse
+    };
+  }
+});
+
 module.exports = {
   initiateCollection,
+  withdrawFunds,
   checkTransactionStatus,
   formatMsisdn,
   detectNetwork,
   isAvailable,
   getCredentialsInfo,
   parseXmlResponse,
+  parseNotification,
   YO_API_URLS
 };